@@ -4,13 +4,28 @@ require('loadenv')('cluster-man');
 
 var cluster = require('cluster');
 var debug = require('debug');
-var domain = require('domain');
+var EventEmitter = require('events').EventEmitter;
+var http = require('http');
+var inherits = require('util').inherits;
 var os = require('os');
 var isFunction = require('101/is-function');
 var noop = require('101/noop');
 var exists = require('101/exists');
 var defaults = require('101/defaults');
 var pluck = require('101/pluck');
+var Autoscaler = require('./lib/autoscaler');
+var config = require('./lib/config');
+var ControlServer = require('./lib/control');
+var CrashReporter = require('./lib/crash-report');
+var JsonLogger = require('./lib/json-logger');
+var message = require('./lib/message');
+var Metrics = require('./lib/metrics');
+var PubSub = require('./lib/pubsub');
+var Reporter = require('./lib/reporter');
+var Rpc = require('./lib/rpc');
+var ShutdownHooks = require('./lib/shutdown-hooks');
+var StickyBalancer = require('./lib/sticky');
+var WorkerRecord = require('./lib/worker-record');
 
 /**
  * Extendable and easy-to-use node cluster management.
@@ -19,6 +34,16 @@ var pluck = require('101/pluck');
  */
 module.exports = ClusterManager;
 
+/**
+ * Names of the bunyan- and pino-style logger methods used for each log level.
+ * @type {Object}
+ */
+var LOGGER_METHODS = {
+  info: 'info',
+  warning: 'warn',
+  error: 'error'
+};
+
 /**
  * Utility class for creating new server clusters.
  *
@@ -51,87 +76,562 @@ module.exports = ClusterManager;
  *
  * @author Ryan Sandor Richards.
  * @class
+ * @extends EventEmitter
  * @param {object|function} opts Options for the cluster or a worker function to
  *   execute on worker processes.
  * @param {cluster-man~Callback} opt.worker Function to execute on the worker
  *   processes.
  * @param {cluster-man~Callback} opt.master Function to execute on the master
  *   process.
- * @param {Number} opt.numWorkers Number of workers to spawn. Defaults to the
- *   value in `process.env.CLUSTER_WORKERS` if present, and if not then the
- *   number of CPUs as reported by `os.cpus().length`.
+ * @param {Number|String} opt.numWorkers Number of workers to spawn, or an
+ *   expression of the number of CPUs such as `"auto"`, `"cpus-1"`, `"50%"` or
+ *   `"max(2,cpus/2)"`. Defaults to the value in `process.env.CLUSTER_WORKERS`
+ *   if present, and if not then the number of CPUs as reported by
+ *   `os.cpus().length`. When `0`, the worker callback runs in the master
+ *   process without forking (see `start`).
  * @param {String} opt.debugScope Root scope for debug logging. Defaults to the
  *   value in `process.env.CLUSTER_DEBUG` if present, and if not then defaults
  *   to 'cluster-man'.
  * @param {Boolean} opt.killOnError=true Whether or not to kill the master
  *   process on and unhandled error.
  * @param {cluster-man~BeforeExit} opt.beforeExit Callback to execute before the
- *   master process exits in response to an error.
+ *   master process exits in response to an error. It is registered as the
+ *   `beforeExit` shutdown hook of the master (see `onShutdown`).
+ * @param {Number} opt.shutdownTimeoutMs=30000 Time (in milliseconds) the
+ *   shutdown hooks of a process are given to complete, after which the process
+ *   exits regardless.
+ * @param {String} opt.crashReportDir Directory to which the master writes a
+ *   JSON crash report when it exits because all of its workers died or they
+ *   are in a crash loop. The report describes the recently crashed workers,
+ *   including the tail of their `stderr`, which the master captures when this
+ *   option is set. Disabled by default.
+ * @param {Boolean} opt.respawn=true Whether or not to replace workers that exit
+ *   unexpectedly.
+ * @param {Number} opt.respawnDelay=1000 Initial delay (in milliseconds) before
+ *   replacing a dead worker. The delay doubles for every crash that occurred
+ *   within the `crashLoopWindow`.
+ * @param {Number} opt.maxRespawnDelay=30000 Upper bound (in milliseconds) for
+ *   the respawn delay.
+ * @param {Number} opt.crashLoopCount=5 Number of crashes within the
+ *   `crashLoopWindow` after which the cluster is considered to be in a crash
+ *   loop. When this happens respawning stops and the master process exits.
+ * @param {Number} opt.crashLoopWindow=60000 Window of time (in milliseconds)
+ *   used for crash loop detection and respawn backoff.
+ * @param {Number} opt.gracePeriod=10000 Time (in milliseconds) a worker is
+ *   given to exit after being disconnected before it is killed. Workers are
+ *   given at least `shutdownTimeoutMs`, so that their shutdown hooks can
+ *   complete.
+ * @param {Boolean} opt.awaitReady=false Whether or not workers signal that they
+ *   are ready with `manager.ready()`. When set, workers only count as started
+ *   once they are ready instead of once they are online, for `start`, respawns
+ *   and rolling restarts.
+ * @param {Number} opt.startupTimeoutMs Time (in milliseconds) a worker is given
+ *   to become ready, or to come online when not using `awaitReady`. Workers
+ *   that do not are killed and count as failed starts. Disabled by default.
+ * @param {Number} opt.replaceTimeoutMs=10000 Time (in milliseconds) a
+ *   replacement worker is given to start listening, or to become ready when
+ *   using `awaitReady`, when reloading or recycling workers. Replacements that
+ *   are online by then but do not listen, such as queue consumers, count as
+ *   started. Other replacements are killed and the replacement fails.
+ * @param {Boolean} opt.autoscale=false Whether or not to scale the cluster
+ *   based on the load reported by the workers.
+ * @param {Number|String} opt.minWorkers=1 Minimum number of workers when
+ *   autoscaling. Accepts the same expressions as `opt.numWorkers`.
+ * @param {Number|String} opt.maxWorkers Maximum number of workers when
+ *   autoscaling. Accepts the same expressions as `opt.numWorkers`. Defaults to
+ *   the number of CPUs as reported by `os.cpus().length`.
+ * @param {cluster-man~ScalePolicy} opt.scalePolicy Policy used to make
+ *   autoscaling decisions. Defaults to a policy based on event loop lag.
+ * @param {Number} opt.scaleInterval=5000 Time (in milliseconds) between
+ *   evaluations of the scaling policy.
+ * @param {Number} opt.scaleCooldown=30000 Time (in milliseconds) the scaling
+ *   policy must consistently make the same decision before it is acted upon.
+ * @param {Number} opt.reportInterval=1000 Time (in milliseconds) between load
+ *   reports sent by the workers.
+ * @param {Number} opt.heartbeatInterval=0 Time (in milliseconds) between
+ *   heartbeats sent by the workers. Heartbeats are disabled when set to `0`.
+ * @param {Number} opt.heartbeatTolerance=3 Number of consecutive heartbeats a
+ *   worker may miss before it is considered hung and is killed.
+ * @param {Number} opt.maxWorkerRss Resident set size (in bytes) above which a
+ *   worker is recycled. Disabled by default.
+ * @param {Number} opt.maxWorkerCpuPercent CPU usage (as a percentage of a
+ *   single core) above which a worker is recycled. Disabled by default.
+ * @param {Number} opt.limitDuration=30000 Time (in milliseconds) a worker must
+ *   continuously exceed a resource limit before it is recycled.
+ * @param {Number} opt.maxWorkerAge Time (in milliseconds) after which a worker
+ *   is recycled. Disabled by default.
+ * @param {Number} opt.maxWorkerAgeJitter Maximum random time (in milliseconds)
+ *   added to `maxWorkerAge` for each worker, so that workers are not all
+ *   recycled at once. Defaults to 10% of `maxWorkerAge`.
+ * @param {Number} opt.maxWorkUnits Number of units of work, as counted by
+ *   `countWork` in the worker, after which a worker is recycled. Disabled by
+ *   default.
+ * @param {Number} opt.rpcTimeout=10000 Time (in milliseconds) after which calls
+ *   made with `call` that have not received a response are rejected.
+ * @param {Object} opt.logger Bunyan- or pino-style logger (an object with
+ *   `info`, `warn` and `error` methods) used instead of `debug`. Events are
+ *   logged as structured records with fields such as `event`, `workerId`,
+ *   `pid`, `code`, `signal` and `address`. See `ClusterManager.JsonLogger` for
+ *   a logger that writes newline delimited JSON to stdout.
+ * @param {Number} opt.metricsPort Port of an HTTP endpoint on the master that
+ *   serves the cluster metrics at `/metrics`, in the Prometheus text format.
+ *   Disabled by default.
+ * @param {String} opt.metricsHost='127.0.0.1' Host the metrics endpoint binds
+ *   to.
+ * @param {String} opt.controlSocket Path of a Unix domain socket on which the
+ *   master accepts admin commands. Disabled by default.
+ * @param {Object} opt.groups Groups of workers with different roles, indexed
+ *   by group name. Each group is an object with a `worker` function and a
+ *   `count` of workers (defaults to `1`), or just a worker function. When
+ *   given, `opt.worker` and `opt.numWorkers` are not used.
+ * @param {Number} opt.stickyPort Port on which the master accepts connections
+ *   for sticky sessions, handing off every connection to a worker chosen by
+ *   its `stickyKey`. Workers receive the connections with `manager.sticky()`.
+ *   Disabled by default.
+ * @param {String} opt.stickyHost Host the sticky session port binds to.
+ *   Defaults to every interface.
+ * @param {function} opt.stickyKey Determines the key of a sticky connection,
+ *   given its `net.Socket`. Connections with the same key are handed off to
+ *   the same worker. Defaults to the remote address of the connection.
+ * @param {Object|function} opt.env Environment variables passed to every
+ *   worker, in addition to `CLUSTER_WORKER_INDEX` and `CLUSTER_GROUP`. May be a
+ *   function that is given the index of the worker (see `createWorker`) and
+ *   the name of its group, and returns the environment variables.
+ * @param {String} opt.config Path of a JSON config file with default values
+ *   for the other options. Defaults to the value in
+ *   `process.env.CLUSTER_CONFIG` if present. Options given in code and in the
+ *   environment take precedence over the config file.
  * @throws Error If a opt.worker was not specified or was not a function.
+ * @throws Error If an option has the wrong type, or a worker count is not a
+ *   positive integer or a valid expression.
+ * @throws Error If the config file can not be loaded or has unsupported
+ *   options.
+ * @throws Error If a opt.logger is missing any of the logger methods.
+ * @throws Error If a worker group was not given a worker function, or if
+ *   worker groups are combined with autoscaling or sticky sessions.
+ * @throws Error If a `numWorkers` of `0` is combined with autoscaling or
+ *   sticky sessions.
  */
 function ClusterManager(opts) {
+  EventEmitter.call(this);
+
   if (isFunction(opts)) {
     opts = { worker: opts };
   }
   this.options = opts || {};
 
-  this.givenNumWorkers =
-    exists(this.options.numWorkers) ||
-    exists(process.env.CLUSTER_WORKERS);
+  // Explicit options take precedence over the environment, which takes
+  // precedence over the config file
+  var env = {};
+  if (!exists(this.options.numWorkers) &&
+      exists(process.env.CLUSTER_WORKERS)) {
+    env.numWorkers = config.parseWorkers(
+      process.env.CLUSTER_WORKERS, 'CLUSTER_WORKERS', undefined, true
+    );
+  }
+  if (exists(process.env.CLUSTER_DEBUG)) {
+    env.debugScope = process.env.CLUSTER_DEBUG;
+  }
+  defaults(this.options, env);
+  var configFile = this.options.config || process.env.CLUSTER_CONFIG;
+  if (configFile) {
+    this.options.config = configFile;
+    defaults(this.options, config.load(configFile));
+  }
+
+  this.givenNumWorkers = exists(this.options.numWorkers);
 
   defaults(this.options, {
-    debugScope: process.env.CLUSTER_DEBUG || 'cluster-man',
+    debugScope: 'cluster-man',
     master: noop,
-    numWorkers: process.env.CLUSTER_WORKERS || os.cpus().length,
+    numWorkers: os.cpus().length,
     killOnError: true,
+    respawn: true,
+    respawnDelay: 1000,
+    maxRespawnDelay: 30000,
+    crashLoopCount: 5,
+    crashLoopWindow: 60000,
+    gracePeriod: 10000,
+    awaitReady: false,
+    replaceTimeoutMs: 10000,
+    autoscale: false,
+    minWorkers: 1,
+    maxWorkers: os.cpus().length,
+    scalePolicy: Autoscaler.defaultPolicy,
+    scaleInterval: 5000,
+    scaleCooldown: 30000,
+    reportInterval: 1000,
+    heartbeatInterval: 0,
+    heartbeatTolerance: 3,
+    limitDuration: 30000,
+    rpcTimeout: 10000,
+    metricsHost: '127.0.0.1',
+    shutdownTimeoutMs: 30000,
     beforeExit: function (err, done) {
       done();
     }
   });
 
+  config.validate(this.options);
+  if (this.options.logger) {
+    this._validateLogger();
+  }
   this._addLogger('info', [this.options.debugScope, 'info'].join(':'));
   this._addLogger('warning', [this.options.debugScope, 'warning'].join(':'));
   this._addLogger('error', [this.options.debugScope, 'error'].join(':'));
 
-  if (!this.options.worker || !isFunction(this.options.worker)) {
+  if (this.options.groups) {
+    this._validateGroups();
+  }
+  else if (!this.options.worker || !isFunction(this.options.worker)) {
     throw new Error('Cluster must be provided with a worker closure.');
   }
 
+  // Without workers the worker callback runs in the master process
+  this.inline = !this.options.groups && this.options.numWorkers === 0;
+  if (this.inline) {
+    this._validateInline();
+  }
+
   if (!isFunction(this.options.beforeExit)) {
-    this.log.warning('Before exit callback is not a function, removing.');
+    this.log.warning(
+      'Before exit callback is not a function, removing.',
+      this._logFields('invalidOption', null, { option: 'beforeExit' })
+    );
     this.options.beforeExit = noop;
   }
 
+  // Hooks executed when this process shuts down, and the timer that forces it
+  // to exit if they take too long. The `beforeExit` option is the first hook of
+  // the master.
+  var self = this;
+  this.shutdownHooks = new ShutdownHooks(this);
+  this.shutdownHooks.add('beforeExit', function (err, done) {
+    // Like other hooks, callbacks that do not take `done` and do not return a
+    // promise complete when they return
+    var beforeExit = self.options.beforeExit;
+    var result = beforeExit(err, done);
+    if (beforeExit.length < 2 && !(result && isFunction(result.then))) {
+      done();
+    }
+    return result;
+  });
+  this._shutdownDeadline = null;
+  this._shutdownHandlers = null;
+  this._exited = false;
+
   this.workers = [];
 
+  // Timestamps of recent unexpected worker exits, used for respawn backoff and
+  // crash loop detection
+  this.crashes = [];
+  this.respawning = this.options.respawn;
+  this._respawnTimer = null;
+  this.exiting = false;
+
+  // Callbacks for workers that are being shut down on purpose, indexed by
+  // worker id. Their exits are not treated as failures.
+  this.retiring = {};
+  this.reloading = false;
+
+  // Lifecycle record of each tracked worker, indexed by worker id, and the
+  // records of crashed workers that have not been respawned yet
+  this.records = {};
+  this._deadRecords = [];
+  this._onStarted = null;
+  this.shuttingDown = false;
+
+  // Latest load report of each worker, indexed by worker id
+  this.reports = {};
+  this._messageHandlers = {};
+  this._onMessage('report', function (worker, data) {
+    this.report(worker, data);
+  });
+
+  // Time at which each worker started exceeding a resource limit, and workers
+  // that are being recycled, indexed by worker id
+  this.overLimit = {};
+  this.recycling = {};
+
+  // Workers that take part in a pending replacement, as the worker being
+  // replaced or as its replacement, and the reasons to recycle them once the
+  // replacement is over, indexed by worker id
+  this.replacing = {};
+  this._deferredRecycles = {};
+
+  // Replacements that have not taken over the slot of the worker they replace
+  // yet, mapped to that worker and indexed by the id of the replacement
+  this.replacements = {};
+
+  // Timers that recycle workers once they reach their maximum age, indexed by
+  // worker id
+  this._ageTimers = {};
+
+  // Units of work done by this worker process
+  this.workUnits = 0;
+  this._onMessage('recycle', function (worker, reason) {
+    this.recycleWorker(worker, reason);
+  });
+
+  // Request/response messaging between the master and workers
+  this.rpc = new Rpc(this.options.rpcTimeout);
+  this._onMessage('rpc-request', function (source, request) {
+    this.rpc.request(source, request);
+  });
+  this._onMessage('rpc-response', function (source, response) {
+    this.rpc.response(response);
+  });
+
+  // Publish/subscribe messaging relayed through the master
+  this.pubsub = new PubSub();
+  this._onMessage('subscribe', function (worker, channel) {
+    this.pubsub.addWorker(channel, worker.id);
+  });
+  this._onMessage('unsubscribe', function (worker, channel) {
+    this.pubsub.removeWorker(worker.id, channel);
+  });
+  this._onMessage('publish', function (worker, data) {
+    this._relay(data.channel, data.data, worker);
+  });
+  this._onMessage('deliver', function (source, data) {
+    this.pubsub.deliver(data.channel, data.data);
+  });
+
+  // Admin control server of the master
+  this.controlServer = null;
+
+  // Lifecycle counters and gauges of the cluster
+  this._metrics = new Metrics();
+  this.metricsServer = null;
+
+  // Sticky session balancer of the master, and the server that receives the
+  // connections handed off to a worker
+  this.balancer = null;
+  this._stickyServer = null;
+  this._onMessage('sticky-ready', function (worker) {
+    this._stickyReady(worker);
+  });
+  this._onMessage('sticky-connection', function (source, data, socket) {
+    this._stickyConnection(socket);
+  });
+
+  // Timers that kill workers that do not become ready in time, indexed by
+  // worker id
+  this._startupTimers = {};
+  this._onMessage('ready', function (worker) {
+    this._workerReady(worker);
+  });
+
+  // Time of the last heartbeat of each worker, indexed by worker id
+  this.heartbeats = {};
+  this._heartbeatTimer = null;
+  this._onMessage('heartbeat', function (worker) {
+    this.heartbeats[worker.id] = Date.now();
+  });
+
+  // Errors and output of crashed workers, for the error passed to the
+  // shutdown hooks and crash reports
+  this.crashReporter = new CrashReporter(this);
+  this._onMessage('worker-error', function (worker, err) {
+    this.crashReporter.error(worker, err);
+  });
+
   // This is here to expose the cluster without having to re-require in the
   // script that uses cluster-man
   this.cluster = cluster;
 }
+inherits(ClusterManager, EventEmitter);
+
+/**
+ * Logger that writes structured records as newline delimited JSON, for use
+ * with the `logger` option.
+ * @type {function}
+ */
+ClusterManager.JsonLogger = JsonLogger;
+
+/**
+ * Emitted when a worker exits unexpectedly, that is without being retired.
+ * @event ClusterManager#workerCrashed
+ * @param {cluster~Worker} worker Worker that crashed.
+ * @param {Number} code Exit code of the worker process.
+ * @param {String} signal Signal that killed the worker process.
+ * @param {Number} uptime Time (in milliseconds) the worker was running.
+ */
+
+/**
+ * Emitted when a worker has been gracefully replaced by a new worker, for
+ * instance during a rolling restart or when a worker is recycled.
+ * @event ClusterManager#workerReplaced
+ * @param {cluster~Worker} oldWorker Worker that was replaced and has exited.
+ * @param {cluster~Worker} worker Worker that replaced it.
+ */
+
+/**
+ * Emitted when the last worker of the cluster exits unexpectedly.
+ * @event ClusterManager#allWorkersDead
+ */
+
+/**
+ * Emitted once the cluster, or a worker group, has been scaled.
+ * @event ClusterManager#scaled
+ * @param {Number} from Number of workers before scaling.
+ * @param {Number} to Number of workers after scaling.
+ * @param {String} [group] Name of the worker group that was scaled.
+ */
+
+/**
+ * Emitted when a graceful shutdown of the cluster, or of a worker group,
+ * starts.
+ * @event ClusterManager#shutdownStarted
+ * @param {String} [group] Name of the worker group that is shut down.
+ */
+
+/**
+ * Validates the worker groups given in the options and fills in the default
+ * count of each group.
+ * @throws Error If a group was not given a worker function, or if worker
+ *   groups are combined with autoscaling.
+ */
+ClusterManager.prototype._validateGroups = function () {
+  var groups = this.options.groups;
+  if (this.options.autoscale) {
+    throw new Error('Autoscaling is not supported with worker groups.');
+  }
+  if (exists(this.options.stickyPort)) {
+    throw new Error('Sticky sessions are not supported with worker groups.');
+  }
+  Object.keys(groups).forEach(function (name) {
+    if (isFunction(groups[name])) {
+      groups[name] = { worker: groups[name] };
+    }
+    if (!groups[name] || !isFunction(groups[name].worker)) {
+      throw new Error(
+        'Worker group "' + name + '" must be provided with a worker closure.'
+      );
+    }
+    defaults(groups[name], { count: 1 });
+  });
+};
+
+/**
+ * Validates the options of a cluster that runs its worker in the master
+ * process.
+ * @throws Error If combined with autoscaling or sticky sessions.
+ */
+ClusterManager.prototype._validateInline = function () {
+  if (this.options.autoscale) {
+    throw new Error('Autoscaling is not supported without workers.');
+  }
+  if (exists(this.options.stickyPort)) {
+    throw new Error('Sticky sessions are not supported without workers.');
+  }
+};
+
+/**
+ * Determines the names of the worker groups. Without worker groups the cluster
+ * consists of a single unnamed group.
+ * @return {Array} Names of the worker groups.
+ */
+ClusterManager.prototype._groupNames = function () {
+  return this.options.groups ? Object.keys(this.options.groups) : [undefined];
+};
+
+/**
+ * Determines the number of workers a group should have.
+ * @param {String} [group] Name of the group, only used with worker groups.
+ * @return {Number} Number of workers for the group.
+ * @throws Error If the group is unknown, or if no group was given while using
+ *   worker groups.
+ */
+ClusterManager.prototype._groupSize = function (group) {
+  var groups = this.options.groups;
+  if (!groups && !exists(group)) {
+    return this.options.numWorkers;
+  }
+  if (groups && !exists(group)) {
+    throw new Error('A worker group must be given when using worker groups.');
+  }
+  if (!groups || !groups.hasOwnProperty(group)) {
+    throw new Error('Unknown worker group: ' + group);
+  }
+  return groups[group].count;
+};
+
+/**
+ * Sets the number of workers a group should have.
+ * @param {String} [group] Name of the group, only used with worker groups.
+ * @param {Number} numWorkers Number of workers for the group.
+ */
+ClusterManager.prototype._setGroupSize = function (group, numWorkers) {
+  if (exists(group)) {
+    this.options.groups[group].count = numWorkers;
+  }
+  else {
+    this.options.numWorkers = numWorkers;
+  }
+};
 
 /**
  * Callback for performing tasks before the master process is killed.
  * @callback cluster-man~BeforeExit
- * @param {Error} [err] Error that caused the cluster to be shut down.
+ * @param {Error} [err] Error that caused the cluster to be shut down. When all
+ *   workers died or they are in a crash loop, the error lists the recently
+ *   crashed workers as `err.workers` (with their `exitCode`, `signal`,
+ *   `uptime`, last uncaught `error` and `stderr`), their errors as
+ *   `err.errors`, and the path of the crash report as `err.reportPath`.
  * @param {function} done Execute this method when you are done performing
  *   tasks.
+ * @return {Promise} [promise] Instead of calling `done`, async callbacks may
+ *   return a promise. The master process exits once it settles.
+ */
+
+/**
+ * Hook executed when a master or worker process shuts down.
+ * @callback cluster-man~ShutdownHook
+ * @param {Error} [err] Error that caused the process to shut down.
+ * @param {function} done Execute this method, optionally with an error, when
+ *   the hook has completed. Hooks that do not take `done` complete when they
+ *   return.
+ * @return {Promise} [promise] Instead of calling `done`, async hooks may
+ *   return a promise.
+ */
+
+/**
+ * Callback executed on the master or worker processes.
+ * @callback cluster-man~Callback
+ * @param {ClusterManager} manager The cluster manager.
+ * @return {Promise} [promise] Async callbacks may return a promise. Rejections
+ *   are handled like errors thrown by the callback.
  */
 
 /**
  * Starts either a cluster master or a worker depending on the process type at
- * the time of invocation.
+ * the time of invocation. With a `numWorkers` of `0` the master process also
+ * runs the worker callback, without forking (see `_startInline`).
+ * @return {Promise} On the master, resolves once the initial number of workers
+ *   are ready, that is online or, when using `awaitReady`, once they called
+ *   `manager.ready()`. On workers, resolves once the worker callback has returned or,
+ *   if it returns a promise, once that promise resolves.
  */
 ClusterManager.prototype.start = function () {
-  if (this.cluster.isMaster) {
-    this._startMaster();
+  var self = this;
+  if (!this.cluster.isMaster) {
+    return this._startWorker();
   }
-  else {
-    this._startWorker();
+  if (this.inline) {
+    return this._startInline();
   }
+  return new Promise(function (resolve) {
+    self._onStarted = resolve;
+    self._startMaster();
+  });
 };
 
 /**
- * Adds a logger debug method to the manager.
+ * Adds a logger method to the manager. Logger methods take a message and
+ * optional structured fields. When a `logger` was given in the options the
+ * message and fields are passed to it, otherwise the message is logged with
+ * debug.
  * @param {string} name Name of the logger method.
  * @param {string} label Output label for debug.
  */
@@ -139,32 +639,88 @@ ClusterManager.prototype._addLogger = function (name, label) {
   if (!this.log) {
     this.log = {};
   }
-  this.log[name] = debug(label);
+  var logger = this.options.logger;
+  if (logger) {
+    var method = LOGGER_METHODS[name];
+    this.log[name] = function (msg, fields) {
+      logger[method](fields || {}, msg);
+    };
+    return;
+  }
+  var log = debug(label);
+  this.log[name] = function (msg) {
+    log(msg);
+  };
+};
+
+/**
+ * Validates the logger given in the options.
+ * @throws Error If the logger is missing any of the logger methods.
+ */
+ClusterManager.prototype._validateLogger = function () {
+  var logger = this.options.logger;
+  Object.keys(LOGGER_METHODS).forEach(function (name) {
+    if (!isFunction(logger[LOGGER_METHODS[name]])) {
+      throw new Error('Logger must have info, warn and error methods.');
+    }
+  });
+};
+
+/**
+ * Builds the structured fields of a log record.
+ * @param {String} event Name of the logged event.
+ * @param {cluster~Worker} [worker] Worker the event is about.
+ * @param {Object} [fields] Additional fields for the record.
+ * @return {Object} Fields for the record.
+ */
+ClusterManager.prototype._logFields = function (event, worker, fields) {
+  var record = { event: event };
+  if (worker) {
+    record.workerId = worker.id;
+    if (worker.process && exists(worker.process.pid)) {
+      record.pid = worker.process.pid;
+    }
+    if (exists(worker.group)) {
+      record.group = worker.group;
+    }
+  }
+  Object.keys(fields || {}).forEach(function (key) {
+    record[key] = fields[key];
+  });
+  return record;
 };
 
 /**
  * Starts a cluster master. Specifically this will bind worker events to
- * specific handlers on this manager instance, fork all worker process, setup a
- * domain to catch unhandled errors on the master process and execute the master
- * process callback (as specified in the constructor).
+ * specific handlers on this manager instance, fork all worker process, catch
+ * unhandled errors on the master process and execute the master process
+ * callback (as specified in the constructor).
  */
 ClusterManager.prototype._startMaster = function() {
   var self = this;
 
-  if (!this.givenNumWorkers) {
-
-    this.log.warning('Number of workers not specified, using default.');
+  if (!this.givenNumWorkers && !this.options.groups) {
+    this.log.warning(
+      'Number of workers not specified, using default.',
+      this._logFields('defaultNumWorkers', null, {
+        numWorkers: this.options.numWorkers
+      })
+    );
   }
 
-  // Setup master process domain error handling
-  var masterDomain = domain.create();
-  masterDomain.on('error', function() {
-    self.masterError.apply(self, arguments);
-  });
-  masterDomain.add(this);
+  this._logConfig();
+
+  // Workers output through pipes so the master can keep the tail of their
+  // stderr for crash reports
+  if (exists(this.options.crashReportDir) &&
+      isFunction(this.cluster.setupMaster)) {
+    this.cluster.setupMaster({ silent: true });
+  }
 
   // Bind cluster events to this object.
-  var eventNames = ['fork', 'listening', 'exit', 'online', 'disconnect'];
+  var eventNames = [
+    'fork', 'listening', 'exit', 'online', 'disconnect', 'message'
+  ];
   eventNames.forEach(function (eventName) {
     self.cluster.on(eventName, function() {
       self[eventName].apply(self, arguments);
@@ -172,111 +728,1877 @@ ClusterManager.prototype._startMaster = function() {
   });
 
   // Spawn workers
-  for (var i = 0; i < this.options.numWorkers; i++) {
-    this.createWorker();
+  this._groupNames().forEach(function (group) {
+    for (var i = 0; i < self._groupSize(group); i++) {
+      self.createWorker(group);
+    }
+  });
+
+  this._bindSignals();
+
+  if (this.options.autoscale) {
+    this.autoscaler = new Autoscaler(this);
+    this.autoscaler.start();
+  }
+
+  if (this.options.heartbeatInterval > 0) {
+    this._monitorHeartbeats();
+  }
+
+  if (exists(this.options.metricsPort)) {
+    this._startMetricsServer();
   }
 
-  // Execute master callback from options
-  masterDomain.run(function () {
-    self.options.master(this);
+  if (exists(this.options.controlSocket)) {
+    this._startControlServer();
+  }
+
+  if (exists(this.options.stickyPort)) {
+    this._startBalancer();
+  }
+
+  // Execute master callback from options, errors thrown or rejected by the
+  // callback are handled like any other unhandled master error
+  this._run(this.options.master).catch(function (err) {
+    self.masterError(err);
   });
 };
 
 /**
- * Runs before exit callback and exits the master process.
- * @param {Error} [err] Error that caused the master process to exit.
+ * Starts a cluster that runs its worker in the master process, for local
+ * development. The process is both the master and its only worker, with index
+ * `0` and the environment from the `env` option: it runs the master callback
+ * and then the worker callback, handles signals and runs its shutdown hooks
+ * like a master, and the worker APIs such as `ready`, `call` and `onShutdown`
+ * act within the process. Since nothing is forked, respawning, recycling,
+ * resource limits and heartbeats do not apply, and neither the control socket
+ * nor the metrics endpoint are started. Errors thrown or rejected by the
+ * worker callback exit the process, running its shutdown hooks.
+ * @return {Promise} Resolves once the worker callback has been executed or,
+ *   when using `awaitReady`, once it called `manager.ready()`.
  */
-ClusterManager.prototype._exitMaster = function (err) {
-  this.options.beforeExit(err, function () {
-    process.exit(err ? 1 : 0);
+ClusterManager.prototype._startInline = function () {
+  var self = this;
+  this._logConfig();
+  this.log.info(
+    'Running the worker in the master process',
+    this._logFields('inline', null, { pid: process.pid })
+  );
+
+  var env = this._workerEnv(undefined, 0);
+  Object.keys(env).forEach(function (name) {
+    process.env[name] = String(env[name]);
+  });
+  this.index = 0;
+  this._bindSignals();
+
+  return new Promise(function (resolve) {
+    self._onStarted = resolve;
+    self._run(self.options.master).catch(function (err) {
+      self.masterError(err);
+    });
+    self._run(self.options.worker).catch(function (err) {
+      self.log.error(
+        'Unhandled worker error: ' + err.stack,
+        self._logFields('workerError', null, { pid: process.pid, err: err })
+      );
+      self._exitMaster(err);
+    });
+    if (!self.options.awaitReady) {
+      self._inlineReady();
+    }
   });
 };
 
 /**
- * Starts a cluster worker. Simply executes the provided worker callback.
+ * Handles the worker of a cluster that runs in the master process becoming
+ * ready, by resolving the promise returned by `start`.
  */
-ClusterManager.prototype._startWorker = function() {
-  this.options.worker(this);
+ClusterManager.prototype._inlineReady = function () {
+  if (!this._onStarted) {
+    return;
+  }
+  var resolve = this._onStarted;
+  this._onStarted = null;
+  this.log.info(
+    'Worker ready: master process',
+    this._logFields('started', null, { pid: process.pid, numWorkers: 0 })
+  );
+  resolve();
 };
 
 /**
- * Creates a new worker. Specifically it forks a new worker, sets a domain error
- * handler for the worker, and returns it.
- * @return {cluster~Worker} Newly created worker.
+ * Logs the resolved configuration of the cluster.
+ */
+ClusterManager.prototype._logConfig = function () {
+  var resolved = config.summary(this.options);
+  this.log.info(
+    'Resolved configuration: ' + JSON.stringify(resolved),
+    this._logFields('config', null, { config: resolved })
+  );
+};
+
+/**
+ * Executes a master or worker callback with this manager as its argument.
+ * @param {cluster-man~Callback} fn Callback to execute.
+ * @return {Promise} Resolves when the callback returns or, if it returns a
+ *   promise, when that promise resolves. Rejects if the callback throws or its
+ *   promise rejects.
+ */
+ClusterManager.prototype._run = function (fn) {
+  try {
+    return Promise.resolve(fn(this));
+  }
+  catch (err) {
+    return Promise.reject(err);
+  }
+};
+
+/**
+ * Binds process signal handlers for the master process. Specifically `SIGHUP`
+ * triggers a rolling restart of all workers, and `SIGTERM` or `SIGINT` trigger
+ * a graceful shutdown of the cluster. Uncaught exceptions and unhandled
+ * promise rejections are passed to `masterError`.
  */
-ClusterManager.prototype.createWorker = function () {
+ClusterManager.prototype._bindSignals = function () {
   var self = this;
-  var worker = this.cluster.fork();
+  function shutdown(signal) {
+    self.log.info(
+      'Received ' + signal,
+      self._logFields('signal', null, { signal: signal })
+    );
+    self.shutdown();
+  }
+  this._signalHandlers = {
+    SIGHUP: function () {
+      self.log.info(
+        'Received SIGHUP',
+        self._logFields('signal', null, { signal: 'SIGHUP' })
+      );
+      self.reload();
+    },
+    SIGTERM: shutdown,
+    SIGINT: shutdown,
+    uncaughtException: function (err) {
+      self.masterError(err);
+    },
+    unhandledRejection: function (reason) {
+      if (!(reason instanceof Error)) {
+        reason = new Error('Unhandled promise rejection: ' + reason);
+      }
+      self.masterError(reason);
+    }
+  };
+  Object.keys(this._signalHandlers).forEach(function (signal) {
+    process.on(signal, self._signalHandlers[signal]);
+  });
+};
 
-  // Deals with unhandled worker errors
-  var workerDomain = domain.create();
-  workerDomain.add(worker);
-  workerDomain.on('error', function (err) {
-    self.log.error('Unhandled worker error: ' + err.stack);
-    worker.process.kill(1);
+/**
+ * Removes the process signal and error handlers bound by `_bindSignals`.
+ */
+ClusterManager.prototype._unbindSignals = function () {
+  var handlers = this._signalHandlers || {};
+  Object.keys(handlers).forEach(function (signal) {
+    process.removeListener(signal, handlers[signal]);
   });
+  this._signalHandlers = {};
+};
 
-  this.workers.push(worker);
-  this.log.info('Created new worker: ' + worker.id);
-  return worker;
+/**
+ * Registers a hook to execute when this process shuts down. On the master the
+ * hooks run once every worker has exited, before the master process exits. On
+ * workers they run when the worker is disconnected by the master, by which
+ * time node has closed its servers, or receives `SIGTERM` or `SIGINT`. The
+ * worker process exits once its hooks have run.
+ *
+ * Hooks run one at a time, in ascending `order`. A hook that fails or does not
+ * complete within its timeout is logged and skipped, and the process exits with
+ * status `1` once the other hooks have run.
+ *
+ * @example
+ * manager.onShutdown('flush metrics', function (err, done) {
+ *   metrics.flush(done);
+ * });
+ * manager.onShutdown('close database', function () {
+ *   return db.close();
+ * }, { order: 1, timeoutMs: 2000 });
+ *
+ * @param {String} name Unique name of the hook, used in logs.
+ * @param {cluster-man~ShutdownHook} fn The hook.
+ * @param {Object} [options] Options for the hook.
+ * @param {Number} [options.timeoutMs=10000] Time (in milliseconds) the hook is
+ *   given to complete.
+ * @param {Number} [options.order=0] Hooks with a lower order run first. Hooks
+ *   with the same order run in the order they were registered, starting with
+ *   the `beforeExit` hook on the master.
+ * @throws Error If the name or hook are missing, or a hook with the same name
+ *   is already registered.
+ */
+ClusterManager.prototype.onShutdown = function (name, fn, options) {
+  this.shutdownHooks.add(name, fn, options);
+  if (!this.cluster.isMaster) {
+    this._bindWorkerShutdown();
+  }
 };
 
 /**
- * Handles worker `fork` events. This event is emitted when a worker is forked
- * off the master cluster.
- * @param {cluster~Worker} Worker that was forked.
+ * Gracefully shuts down the cluster. Respawning is stopped and every worker is
+ * disconnected. Workers that have not exited within the grace period are
+ * killed. Once all workers have exited the master process exits.
+ *
+ * When a worker group is given only the workers of that group are shut down,
+ * and the master process keeps running the other groups. The group can be
+ * started again with `scaleTo`.
+ * @param {String} [group] Name of the worker group to shut down.
+ * @param {function} [cb] Callback to execute once every worker of the group
+ *   has exited.
+ * @fires ClusterManager#shutdownStarted
+ * @throws Error If the group is unknown.
  */
-ClusterManager.prototype.fork = function (worker) {
-  this.log.info('Worker forked: ' + worker.id);
+ClusterManager.prototype.shutdown = function (group, cb) {
+  var self = this;
+
+  if (exists(group)) {
+    return this._shutdownGroup(group, cb);
+  }
+
+  if (this.shuttingDown) {
+    this.log.warning(
+      'Shutdown already in progress, ignoring.',
+      this._logFields('shutdownIgnored')
+    );
+    return;
+  }
+
+  this.shuttingDown = true;
+  this.emit('shutdownStarted');
+  this._stopRespawning();
+  if (this.autoscaler) {
+    this.autoscaler.stop();
+  }
+  clearInterval(this._heartbeatTimer);
+  if (this.balancer) {
+    this.balancer.close();
+  }
+  this.log.info('Shutting down cluster', this._logFields('shutdown'));
+
+  var workers = this.workers.slice();
+  var remaining = workers.length;
+  if (remaining === 0) {
+    return this._exitMaster();
+  }
+  workers.forEach(function (worker) {
+    self.retireWorker(worker, function () {
+      if (--remaining === 0) {
+        self.log.info(
+          'All workers have exited. Master process exiting.',
+          self._logFields('shutdownComplete')
+        );
+        self._exitMaster();
+      }
+    });
+  });
 };
 
 /**
- * Handles worker `listening` events. Indicates to the master that a particular
- * worker is listening.
- * @param {cluster~Worker} Worker that is now listening.
- * @param address Address on which the worker is listening.
+ * Gracefully shuts down the workers of a single group. The group is not
+ * respawned until it is scaled up again.
+ * @param {String} group Name of the worker group to shut down.
+ * @param {function} [cb] Callback to execute once every worker of the group
+ *   has exited.
+ * @throws Error If the group is unknown.
  */
-ClusterManager.prototype.listening = function (worker, address) {
-  this.log.info([
-    'Worker listening:', worker.id,
-    'on address', (address.address+':'+address.port)
-  ].join(' '));
+ClusterManager.prototype._shutdownGroup = function (group, cb) {
+  var self = this;
+  cb = cb || noop;
+  this._groupSize(group);
+  this.log.info(
+    'Shutting down worker group: ' + group,
+    this._logFields('shutdown', null, { group: group })
+  );
+  this.emit('shutdownStarted', group);
+  this._setGroupSize(group, 0);
+  this._pruneDeadRecords();
+
+  var workers = this.workers.filter(function (worker) {
+    return worker.group === group;
+  });
+  var remaining = workers.length;
+  if (remaining === 0) {
+    return cb();
+  }
+  workers.forEach(function (worker) {
+    self.retireWorker(worker, function () {
+      if (--remaining === 0) {
+        cb();
+      }
+    });
+  });
 };
 
 /**
- * Handles worker `exit` events.
- * @param {cluster~Worker} worker Worker that exited.
- * @param {Number} code Exit code for the worker process.
- * @param {String} signal Signal name that caused the process to be killed.
+ * Runs the shutdown hooks, including the before exit callback, and exits the
+ * master process.
+ * @param {Error} [err] Error that caused the master process to exit.
  */
-ClusterManager.prototype.exit = function (worker, code, signal) {
-  this.log.info([
-    'Worker exited:', worker.id,
-    '-- with status:', code,
-    '-- and signal:', signal
-  ].join(' '));
+ClusterManager.prototype._exitMaster = function (err) {
+  if (this.exiting) {
+    return;
+  }
+  this.exiting = true;
+
+  // Closing the control server removes its socket
+  if (this.controlServer) {
+    this.controlServer.close();
+  }
+  if (this.balancer) {
+    this.balancer.close();
+  }
+  this._runShutdownHooks(err);
+};
 
+/**
+ * Runs the shutdown hooks of this process and then exits it. Hooks that fail
+ * or time out do not keep the process from exiting, but make it exit with
+ * status `1`. If the hooks have not completed within `shutdownTimeoutMs` the
+ * process exits regardless.
+ * @param {Error} [err] Error that caused the process to exit.
+ */
+ClusterManager.prototype._runShutdownHooks = function (err) {
   var self = this;
-  this.workers.map(pluck('id')).some(function (workerId, i) {
-    if (workerId === worker.id) {
-      self.workers.splice(i, 1);
-    }
+  var timeout = this.options.shutdownTimeoutMs;
+  this._shutdownDeadline = setTimeout(function () {
+    self.log.error(
+      'Shutdown hooks did not complete within ' + timeout + 'ms, exiting.',
+      self._logFields('shutdownTimeout', null, { timeout: timeout })
+    );
+    self._exitProcess(1);
+  }, timeout);
+
+  this.shutdownHooks.run(err, function (hookErr) {
+    self._exitProcess(err || hookErr ? 1 : 0);
   });
+};
 
-  // If all the workers have been killed, exit the process
-  if (this.workers.length === 0) {
-    this.log.error('Cluster fatal: all worker have died. Master process exiting.');
-    this._exitMaster(new Error('All workers have died.'));
+/**
+ * Exits this process, at most once.
+ * @param {Number} code Exit code of the process.
+ */
+ClusterManager.prototype._exitProcess = function (code) {
+  if (this._exited) {
+    return;
   }
+  this._exited = true;
+  clearTimeout(this._shutdownDeadline);
+  process.exit(code);
 };
 
 /**
- * Handles worker `online` events. This indicates to the cluster that a worker
- * process has successfully spawned a process and is running.
- * @param {cluster~Worker} worker Worker that came online.
+ * Starts a cluster worker. Executes the provided worker callback and, when
+ * enabled, starts reporting the worker's load and heartbeat to the master.
+ * With worker groups the callback of the group named in
+ * `process.env.CLUSTER_GROUP` is executed, and the name of the group is
+ * available as `this.group`. The index of the worker, from
+ * `process.env.CLUSTER_WORKER_INDEX`, is available as `this.index`.
+ * @return {Promise} Resolves once the worker callback has completed.
+ * @throws Error If the worker's group is unknown.
  */
-ClusterManager.prototype.online = function (worker) {
-  this.log.info('Worker online: ' + worker.id);
+ClusterManager.prototype._startWorker = function() {
+  var worker = this.options.worker;
+
+  // The before exit callback only runs on the master
+  this.shutdownHooks.remove('beforeExit');
+
+  if (exists(process.env.CLUSTER_WORKER_INDEX)) {
+    this.index = parseInt(process.env.CLUSTER_WORKER_INDEX, 10);
+  }
+
+  if (this.options.groups) {
+    this.group = process.env.CLUSTER_GROUP;
+    this._groupSize(this.group);
+    worker = this.options.groups[this.group].worker;
+  }
+
+  if (this.options.autoscale || this._hasResourceLimits()) {
+    this.reporter = new Reporter(this.options.reportInterval);
+    this.reporter.start();
+  }
+  if (this.options.heartbeatInterval > 0) {
+    this._sendHeartbeats();
+  }
+  this._bindProcessMessages();
+
+  // Errors thrown or rejected by the worker callback exit the worker process
+  // so that it can be respawned by the master
+  var self = this;
+  return this._run(worker).catch(function (err) {
+    self.log.error(
+      'Unhandled worker error: ' + err.stack,
+      self._logFields('workerError', null, { pid: process.pid, err: err })
+    );
+    self._workerFatal(err);
+  });
+};
+
+/**
+ * Signals the master that this worker is ready, for instance once it has
+ * connected to its databases. When using `awaitReady` the master only counts
+ * the worker as started once it is ready.
+ *
+ * @example
+ * var manager = new ClusterManager({
+ *   awaitReady: true,
+ *   worker: function (manager) {
+ *     db.connect(function () {
+ *       http.createServer(app).listen(8080, function () {
+ *         manager.ready();
+ *       });
+ *     });
+ *   }
+ * });
+ *
+ * @throws Error If called on the master process, unless it runs the worker
+ *   itself.
+ */
+ClusterManager.prototype.ready = function () {
+  if (this.inline) {
+    return this._inlineReady();
+  }
+  if (this.cluster.isMaster) {
+    throw new Error('Only workers can signal that they are ready.');
+  }
+  message.send(process, 'ready');
+};
+
+/**
+ * Listens for internal messages sent to a worker by the master, and for
+ * uncaught exceptions of the worker, which are relayed to the master. Like
+ * node does, the worker only prints the error and exits when the application
+ * has no `uncaughtException` listener of its own.
+ */
+ClusterManager.prototype._bindProcessMessages = function () {
+  var self = this;
+  this._processMessageHandler = function (msg, handle) {
+    self._receive(process, msg, handle);
+  };
+  process.on('message', this._processMessageHandler);
+  this._uncaughtExceptionHandler = function (err) {
+    var handled = process.listeners('uncaughtException').some(function (fn) {
+      // Node adds a listener of its own while domains are in use
+      return fn !== self._uncaughtExceptionHandler &&
+        fn.name !== 'domainUncaughtExceptionClear';
+    });
+    if (handled) {
+      // The application handles the error and keeps the worker running
+      message.send(process, 'worker-error', Rpc.serializeError(err));
+      return;
+    }
+    // Keep the default behavior of printing the error
+    process.stderr.write((err && err.stack || String(err)) + '\n');
+    self._workerFatal(err);
+  };
+  process.on('uncaughtException', this._uncaughtExceptionHandler);
+};
+
+/**
+ * Stops listening for the events bound by `_bindProcessMessages`.
+ */
+ClusterManager.prototype._unbindProcessMessages = function () {
+  if (this._processMessageHandler) {
+    process.removeListener('message', this._processMessageHandler);
+    this._processMessageHandler = null;
+  }
+  if (this._uncaughtExceptionHandler) {
+    process.removeListener(
+      'uncaughtException', this._uncaughtExceptionHandler
+    );
+    this._uncaughtExceptionHandler = null;
+  }
+};
+
+/**
+ * Relays an error that is fatal to this worker to the master, for its crash
+ * reports, and exits the worker once the error has been sent.
+ * @param {Error} err The error.
+ */
+ClusterManager.prototype._workerFatal = function (err) {
+  var exited = false;
+  function exit() {
+    if (!exited) {
+      exited = true;
+      process.exit(1);
+    }
+  }
+  var data = Rpc.serializeError(err);
+  if (!message.send(process, 'worker-error', data, null, exit)) {
+    return exit();
+  }
+  // Do not wait forever for a master that stopped reading
+  setTimeout(exit, 1000);
+};
+
+/**
+ * Runs the shutdown hooks of a worker when it is disconnected by the master or
+ * is asked to terminate. Only bound once a hook is registered, so workers
+ * without hooks keep the default behavior of node.
+ */
+ClusterManager.prototype._bindWorkerShutdown = function () {
+  if (this._shutdownHandlers) {
+    return;
+  }
+  var self = this;
+  this._shutdownHandlers = {};
+  ['disconnect', 'SIGTERM', 'SIGINT'].forEach(function (reason) {
+    self._shutdownHandlers[reason] = function () {
+      self._shutdownWorker(reason);
+    };
+    process.on(reason, self._shutdownHandlers[reason]);
+  });
+};
+
+/**
+ * Stops listening for the events bound by `_bindWorkerShutdown`.
+ */
+ClusterManager.prototype._unbindWorkerShutdown = function () {
+  var handlers = this._shutdownHandlers || {};
+  Object.keys(handlers).forEach(function (reason) {
+    process.removeListener(reason, handlers[reason]);
+  });
+  this._shutdownHandlers = null;
+};
+
+/**
+ * Shuts down a worker by running its shutdown hooks and exiting.
+ * @param {String} reason Event that caused the worker to shut down.
+ */
+ClusterManager.prototype._shutdownWorker = function (reason) {
+  if (this.shuttingDown) {
+    return;
+  }
+  this.shuttingDown = true;
+  this.log.info(
+    'Worker shutting down after ' + reason,
+    this._logFields('workerShutdown', null, {
+      pid: process.pid,
+      reason: reason
+    })
+  );
+  this._runShutdownHooks();
+};
+
+/**
+ * Determines whether or not workers have resource limits.
+ * @return {Boolean} `true` if a memory or CPU limit was given.
+ */
+ClusterManager.prototype._hasResourceLimits = function () {
+  return exists(this.options.maxWorkerRss) ||
+    exists(this.options.maxWorkerCpuPercent);
+};
+
+/**
+ * Periodically sends heartbeats from a worker to the master. A worker whose
+ * event loop is blocked stops sending heartbeats. The heartbeat timer does not
+ * keep the worker process alive.
+ */
+ClusterManager.prototype._sendHeartbeats = function () {
+  this._heartbeatTimer = setInterval(function () {
+    message.send(process, 'heartbeat');
+  }, this.options.heartbeatInterval);
+  this._heartbeatTimer.unref();
+};
+
+/**
+ * Periodically checks that every worker is sending heartbeats to the master.
+ */
+ClusterManager.prototype._monitorHeartbeats = function () {
+  var self = this;
+  this._heartbeatTimer = setInterval(function () {
+    self._checkHeartbeats();
+  }, this.options.heartbeatInterval);
+};
+
+/**
+ * Kills active workers that have missed too many heartbeats. Killed workers are
+ * handled as crashes by the `exit` handler and are replaced when respawning.
+ */
+ClusterManager.prototype._checkHeartbeats = function () {
+  var self = this;
+  var now = Date.now();
+  var interval = this.options.heartbeatInterval;
+  var tolerance = this.options.heartbeatTolerance;
+
+  this.activeWorkers().forEach(function (worker) {
+    var lastHeartbeat = self.heartbeats[worker.id];
+    if (!exists(lastHeartbeat) || now - lastHeartbeat <= interval * tolerance) {
+      return;
+    }
+    var missed = Math.floor((now - lastHeartbeat) / interval);
+    self.log.error(
+      'Worker missed ' + missed + ' heartbeats: ' + worker.id + ' -- killing',
+      self._logFields('heartbeatMissed', worker, { missed: missed })
+    );
+    delete self.heartbeats[worker.id];
+    worker.process.kill('SIGKILL');
+  });
+};
+
+/**
+ * Creates a new worker. Specifically it forks a new worker, sets an error
+ * handler for the worker, and returns it.
+ *
+ * Every worker fills a slot of the cluster, or of its group, identified by an
+ * index from `0` to `numWorkers - 1`. The index is passed to the worker in
+ * `process.env.CLUSTER_WORKER_INDEX` and is available on the master as
+ * `worker.index`. Respawned and replacement workers keep the index of the
+ * worker they replace, other workers take the lowest free index.
+ * @param {String} [group] Name of the worker group the worker belongs to. The
+ *   group is passed to the worker in `process.env.CLUSTER_GROUP` and is
+ *   available on the master as `worker.group`.
+ * @param {Number} [index] Index of the slot the worker fills. Defaults to the
+ *   lowest free index.
+ * @return {cluster~Worker} Newly created worker.
+ */
+ClusterManager.prototype.createWorker = function (group, index) {
+  var self = this;
+  if (!exists(index)) {
+    index = this._freeIndex(group);
+  }
+  var worker = this.cluster.fork(this._workerEnv(group, index));
+  if (exists(group)) {
+    worker.group = group;
+  }
+  worker.index = index;
+  this.crashReporter.watch(worker);
+
+  // Deals with unhandled worker errors
+  worker.on('error', function (err) {
+    self.log.error(
+      'Unhandled worker error: ' + err.stack,
+      self._logFields('workerError', worker, { err: err })
+    );
+    worker.process.kill(1);
+  });
+
+  this.workers.push(worker);
+  this.records[worker.id] = new WorkerRecord(worker);
+  if (exists(this.options.startupTimeoutMs)) {
+    this._startupTimers[worker.id] = setTimeout(function () {
+      self._startupTimeout(worker);
+    }, this.options.startupTimeoutMs);
+  }
+  if (exists(this.options.maxWorkerAge)) {
+    this._scheduleAgeRecycle(worker);
+  }
+  if (this.options.heartbeatInterval > 0) {
+    // Give the new worker a full tolerance period to send its first heartbeat
+    this.heartbeats[worker.id] = Date.now();
+  }
+  this.log.info(
+    'Created new worker: ' + worker.id,
+    this._logFields('create', worker)
+  );
+  return worker;
+};
+
+/**
+ * Determines the lowest index that is not used by an active worker of a group,
+ * or reserved for a crashed worker that has not been respawned yet.
+ * @param {String} [group] Name of the worker group.
+ * @return {Number} The index.
+ */
+ClusterManager.prototype._freeIndex = function (group) {
+  var used = {};
+  this.activeWorkers(group).forEach(function (worker) {
+    used[worker.index] = true;
+  });
+  this._deadRecords.forEach(function (record) {
+    if (record.group === group) {
+      used[record.index] = true;
+    }
+  });
+  var index = 0;
+  while (used[index]) {
+    index++;
+  }
+  return index;
+};
+
+/**
+ * Builds the environment of a new worker from the `env` option.
+ * @param {String} [group] Name of the worker group of the worker.
+ * @param {Number} index Index of the worker.
+ * @return {Object} Environment variables for the worker.
+ */
+ClusterManager.prototype._workerEnv = function (group, index) {
+  var env = this.options.env;
+  if (isFunction(env)) {
+    env = env(index, group);
+  }
+  var result = {};
+  Object.keys(env || {}).forEach(function (name) {
+    result[name] = env[name];
+  });
+  result.CLUSTER_WORKER_INDEX = String(index);
+  if (exists(group)) {
+    result.CLUSTER_GROUP = group;
+  }
+  return result;
+};
+
+/**
+ * Gracefully retires a worker. The worker is disconnected so it can finish
+ * serving open connections and run its shutdown hooks, and is killed if it has
+ * not exited within the grace period or, when longer, `shutdownTimeoutMs`. The
+ * `exit` handler does not treat retired workers as failures.
+ * @param {cluster~Worker} worker Worker to retire.
+ * @param {function} [cb] Callback to execute once the worker has exited.
+ */
+ClusterManager.prototype.retireWorker = function (worker, cb) {
+  var self = this;
+  cb = cb || noop;
+
+  if (this.workers.indexOf(worker) === -1) {
+    return cb();
+  }
+
+  // The worker is already being retired, just wait for it to exit
+  var retired = this.retiring[worker.id];
+  if (retired) {
+    this.retiring[worker.id] = function () {
+      retired();
+      cb();
+    };
+    return;
+  }
+
+  this.log.info(
+    'Retiring worker: ' + worker.id,
+    this._logFields('retire', worker)
+  );
+
+  // The hooks of the worker may take up to `shutdownTimeoutMs` to complete
+  var gracePeriod = Math.max(
+    this.options.gracePeriod,
+    this.options.shutdownTimeoutMs
+  );
+  var killTimer = setTimeout(function () {
+    self.log.warning(
+      'Worker did not exit within grace period: ' + worker.id + ' -- killing',
+      self._logFields('gracePeriodExceeded', worker, { timeout: gracePeriod })
+    );
+    worker.process.kill('SIGKILL');
+  }, gracePeriod);
+
+  // Invoked by the `exit` handler once the worker has been removed
+  this.retiring[worker.id] = function () {
+    clearTimeout(killTimer);
+    cb();
+  };
+  this._transition(worker, 'disconnecting');
+  worker.disconnect();
+};
+
+/**
+ * Replaces a worker without dropping connections. A new worker is forked and,
+ * once it is listening or, when using `awaitReady`, once it is ready, the old
+ * worker is retired. Replacements that have not started within
+ * `replaceTimeoutMs` are killed, unless they are online and only do not listen.
+ * @param {cluster~Worker} oldWorker Worker to replace.
+ * @param {function} [cb] Callback to execute once the old worker has exited.
+ *   Receives an error if the replacement exited or timed out before listening
+ *   or becoming ready, and the replacement worker otherwise.
+ * @fires ClusterManager#workerReplaced
+ */
+ClusterManager.prototype.replaceWorker = function (oldWorker, cb) {
+  var self = this;
+  cb = cb || noop;
+  var worker = this.createWorker(oldWorker.group, oldWorker.index);
+  this._metrics.restart();
+  if (this.records[oldWorker.id]) {
+    this.records[worker.id].inherit(this.records[oldWorker.id]);
+  }
+
+  var awaitReady = this.options.awaitReady;
+  var event = awaitReady ? 'ready' : 'listening';
+  var timeout = this.options.replaceTimeoutMs;
+  var timer = setTimeout(onTimeout, timeout);
+  this.replacing[oldWorker.id] = true;
+  this.replacing[worker.id] = true;
+  this.replacements[worker.id] = oldWorker;
+
+  function onStarted() {
+    clearTimeout(timer);
+    // Replacements retired while starting, when scaling down, do not take over
+    if (self.retiring[worker.id]) {
+      return;
+    }
+    worker.removeListener(event, onStarted);
+    worker.removeListener('exit', onExit);
+    delete self.replacing[worker.id];
+    delete self.replacements[worker.id];
+    self.retireWorker(oldWorker, function () {
+      self.emit('workerReplaced', oldWorker, worker);
+      cb(null, worker);
+      self._recycleDeferred(worker);
+    });
+  }
+
+  function onFailed() {
+    delete self.replacing[oldWorker.id];
+    self._recycleDeferred(oldWorker);
+  }
+
+  function onExit() {
+    clearTimeout(timer);
+    worker.removeListener(event, onStarted);
+    onFailed();
+    cb(new Error(
+      'Replacement worker ' + worker.id + ' exited before ' +
+      (awaitReady ? 'becoming ready.' : 'listening.')
+    ));
+  }
+
+  function onTimeout() {
+    // Workers that do not accept connections never emit `listening`
+    if (!awaitReady && self.records[worker.id].state === 'online') {
+      return onStarted();
+    }
+    worker.removeListener(event, onStarted);
+    worker.removeListener('exit', onExit);
+    self.log.error(
+      'Replacement worker did not start within ' + timeout + 'ms: ' +
+        worker.id + ' -- killing',
+      self._logFields('replaceTimeout', worker, { timeout: timeout })
+    );
+    worker.process.kill('SIGKILL');
+    onFailed();
+    cb(new Error(
+      'Replacement worker ' + worker.id + ' did not ' +
+      (awaitReady ? 'become ready' : 'start listening') + ' within ' +
+      timeout + 'ms.'
+    ));
+  }
+
+  worker.once(event, onStarted);
+  worker.once('exit', onExit);
+};
+
+/**
+ * Performs a rolling restart of the cluster. Workers are replaced one at a
+ * time so that there is always a worker available to serve connections.
+ * @param {function} [cb] Callback to execute when the reload has completed.
+ */
+ClusterManager.prototype.reload = function (cb) {
+  var self = this;
+  cb = cb || noop;
+
+  if (this.reloading) {
+    this.log.warning(
+      'Reload already in progress, ignoring.',
+      this._logFields('reloadIgnored')
+    );
+    return cb(new Error('Reload already in progress.'));
+  }
+
+  if (this.shuttingDown) {
+    this.log.warning(
+      'Cluster is shutting down, ignoring reload.',
+      this._logFields('reloadIgnored')
+    );
+    return cb(new Error('Cluster is shutting down.'));
+  }
+
+  this.reloading = true;
+  this.log.info('Reloading workers', this._logFields('reload'));
+  var oldWorkers = this.workers.slice();
+
+  function next(err) {
+    if (err) {
+      self.reloading = false;
+      self.log.error(
+        'Reload failed: ' + err.message,
+        self._logFields('reloadFailed', null, { err: err })
+      );
+      return cb(err);
+    }
+    if (self.shuttingDown) {
+      err = new Error('Cluster is shutting down.');
+      self.reloading = false;
+      self.log.warning(
+        'Reload aborted: ' + err.message,
+        self._logFields('reloadAborted')
+      );
+      return cb(err);
+    }
+    var oldWorker = oldWorkers.shift();
+    if (!oldWorker) {
+      self.reloading = false;
+      self.log.info('Reload complete', self._logFields('reloadComplete'));
+      return cb();
+    }
+    // Workers that are already being replaced, or that are the replacement,
+    // are skipped
+    if (self.workers.indexOf(oldWorker) === -1 ||
+        self.replacing[oldWorker.id]) {
+      return next();
+    }
+    self.replaceWorker(oldWorker, function (err) {
+      next(err);
+    });
+  }
+  next();
+};
+
+/**
+ * Schedules a worker to be recycled once it reaches its maximum age. A random
+ * jitter is added to the age of each worker.
+ * @param {cluster~Worker} worker Worker to recycle.
+ */
+ClusterManager.prototype._scheduleAgeRecycle = function (worker) {
+  var self = this;
+  var maxAge = this.options.maxWorkerAge;
+  var jitter = exists(this.options.maxWorkerAgeJitter) ?
+    this.options.maxWorkerAgeJitter :
+    maxAge * 0.1;
+  var age = maxAge + Math.floor(Math.random() * jitter);
+  this._ageTimers[worker.id] = setTimeout(function () {
+    delete self._ageTimers[worker.id];
+    self.recycleWorker(worker, 'reached maximum age of ' + age + 'ms');
+  }, age);
+};
+
+/**
+ * Counts units of work done by a worker, such as handled requests. Once the
+ * worker has done `maxWorkUnits` units of work it asks the master to recycle
+ * it. Should only be called from worker processes.
+ * @param {Number} [units=1] Number of units of work that were done.
+ */
+ClusterManager.prototype.countWork = function (units) {
+  var max = this.options.maxWorkUnits;
+  var previous = this.workUnits;
+  this.workUnits += exists(units) ? units : 1;
+  if (exists(max) && previous < max && this.workUnits >= max) {
+    message.send(
+      process,
+      'recycle',
+      'reached maximum of ' + max + ' units of work'
+    );
+  }
+};
+
+/**
+ * Gracefully recycles a worker by replacing it with a new one. Workers that are
+ * already being recycled or retired are left alone. Only one replacement runs
+ * per worker at a time, so workers that take part in a pending replacement are
+ * recycled once it is over.
+ * @param {cluster~Worker} worker Worker to recycle.
+ * @param {String} reason Reason the worker is being recycled.
+ */
+ClusterManager.prototype.recycleWorker = function (worker, reason) {
+  var self = this;
+  if (this.shuttingDown || this.recycling[worker.id] ||
+      this.retiring[worker.id]) {
+    return;
+  }
+  if (this.replacing[worker.id]) {
+    this._deferredRecycles[worker.id] = reason;
+    return;
+  }
+  this.recycling[worker.id] = true;
+  this.log.warning(
+    'Recycling worker: ' + worker.id + ' -- ' + reason,
+    this._logFields('recycle', worker, { reason: reason })
+  );
+  this.replaceWorker(worker, function (err) {
+    if (err) {
+      delete self.recycling[worker.id];
+      self.log.error(
+        'Recycle failed: ' + err.message,
+        self._logFields('recycleFailed', worker, { err: err })
+      );
+    }
+  });
+};
+
+/**
+ * Recycles a worker whose recycling was deferred while it took part in a
+ * replacement.
+ * @param {cluster~Worker} worker Worker that is no longer being replaced.
+ */
+ClusterManager.prototype._recycleDeferred = function (worker) {
+  var reason = this._deferredRecycles[worker.id];
+  if (exists(reason)) {
+    delete this._deferredRecycles[worker.id];
+    this.recycleWorker(worker, reason);
+  }
+};
+
+/**
+ * Determines which workers are active, that is tracked workers that are not
+ * being retired.
+ * @param {String} [group] Only include workers of this worker group.
+ * @return {Array} Active workers, in the order they were created.
+ */
+ClusterManager.prototype.activeWorkers = function (group) {
+  var self = this;
+  return this.workers.filter(function (worker) {
+    if (exists(group) && worker.group !== group) {
+      return false;
+    }
+    return !self.retiring[worker.id];
+  });
+};
+
+/**
+ * Determines which active workers hold a slot of their group. A replacement
+ * only takes over the slot of the worker it replaces once it has started, so
+ * that workers which crash during a reload or recycle are still respawned.
+ * @param {String} [group] Only include workers of this worker group.
+ * @return {Array} Workers holding a slot, in the order they were created.
+ */
+ClusterManager.prototype._slotWorkers = function (group) {
+  var self = this;
+  return this.activeWorkers(group).filter(function (worker) {
+    return !self.replacements[worker.id];
+  });
+};
+
+/**
+ * Hands the slot of a worker that exited before its replacement started over
+ * to the replacement.
+ * @param {cluster~Worker} worker Worker that exited.
+ */
+ClusterManager.prototype._promoteReplacement = function (worker) {
+  var self = this;
+  Object.keys(this.replacements).forEach(function (id) {
+    if (self.replacements[id] === worker) {
+      delete self.replacements[id];
+    }
+  });
+};
+
+/**
+ * Changes the number of workers while the cluster is running. New workers are
+ * forked immediately when scaling up, and the workers with the highest indexes
+ * are gracefully retired when scaling down.
+ * @param {String} [group] Name of the worker group to scale. Required when
+ *   using worker groups.
+ * @param {Number} numWorkers Number of workers the cluster should run.
+ * @param {function} [cb] Callback to execute once the cluster has been scaled.
+ * @fires ClusterManager#scaled
+ * @throws Error If `numWorkers` is not a positive integer.
+ * @throws Error If the group is unknown, or if no group was given while using
+ *   worker groups.
+ */
+ClusterManager.prototype.scaleTo = function (group, numWorkers, cb) {
+  var self = this;
+  if (typeof group !== 'string' || !exists(numWorkers) ||
+      isFunction(numWorkers)) {
+    cb = numWorkers;
+    numWorkers = group;
+    group = undefined;
+  }
+  cb = cb || noop;
+
+  this._groupSize(group);
+  if (numWorkers !== parseInt(numWorkers, 10) || numWorkers < 1) {
+    throw new Error('Number of workers must be a positive integer.');
+  }
+
+  if (this.shuttingDown) {
+    this.log.warning(
+      'Cluster is shutting down, ignoring scale request.',
+      this._logFields('scaleIgnored')
+    );
+    return cb(new Error('Cluster is shutting down.'));
+  }
+
+  var active = this._slotWorkers(group);
+  this.log.info([
+    'Scaling', exists(group) ? 'worker group ' + group : 'cluster',
+    'from', active.length, 'to', numWorkers, 'workers'
+  ].join(' '), this._logFields('scale', null, {
+    group: group,
+    from: active.length,
+    to: numWorkers
+  }));
+  this._setGroupSize(group, numWorkers);
+
+  function scaled() {
+    self.emit('scaled', active.length, numWorkers, group);
+    cb();
+  }
+
+  if (active.length <= numWorkers) {
+    this._fillGroup(group);
+    this._pruneDeadRecords();
+    return scaled();
+  }
+
+  // Retire the workers of the highest slots, so the remaining workers keep the
+  // indexes from 0 to numWorkers - 1. Workers that are being replaced give up
+  // their slot along with their replacement.
+  var surplus = active.slice().sort(function (a, b) {
+    return b.index - a.index;
+  }).slice(0, active.length - numWorkers);
+  surplus = surplus.concat(this.workers.filter(function (worker) {
+    return surplus.indexOf(self.replacements[worker.id]) !== -1;
+  }));
+  var remaining = surplus.length;
+  surplus.forEach(function (worker) {
+    self.retireWorker(worker, function () {
+      if (--remaining === 0) {
+        scaled();
+      }
+    });
+  });
+  this._pruneDeadRecords();
+};
+
+/**
+ * Adds workers to the cluster.
+ * @param {String} [group] Name of the worker group to scale. Required when
+ *   using worker groups.
+ * @param {Number} [count=1] Number of workers to add.
+ * @param {function} [cb] Callback to execute once the cluster has been scaled.
+ */
+ClusterManager.prototype.scaleUp = function (group, count, cb) {
+  this._scaleBy(1, group, count, cb);
+};
+
+/**
+ * Removes workers from the cluster, retiring the workers with the highest
+ * indexes first.
+ * @param {String} [group] Name of the worker group to scale. Required when
+ *   using worker groups.
+ * @param {Number} [count=1] Number of workers to remove.
+ * @param {function} [cb] Callback to execute once the cluster has been scaled.
+ */
+ClusterManager.prototype.scaleDown = function (group, count, cb) {
+  this._scaleBy(-1, group, count, cb);
+};
+
+/**
+ * Adds or removes workers relative to the current number of workers. Takes
+ * the optional arguments of `scaleUp` and `scaleDown`.
+ * @param {Number} direction `1` to add workers, `-1` to remove workers.
+ * @param {String} [group] Name of the worker group to scale.
+ * @param {Number} [count=1] Number of workers to add or remove.
+ * @param {function} [cb] Callback to execute once the cluster has been scaled.
+ */
+ClusterManager.prototype._scaleBy = function (direction, group, count, cb) {
+  if (typeof group !== 'string') {
+    cb = count;
+    count = group;
+    group = undefined;
+  }
+  if (isFunction(count)) {
+    cb = count;
+    count = 1;
+  }
+  count = exists(count) ? count : 1;
+  var numWorkers = parseInt(this._groupSize(group), 10) + direction * count;
+  if (exists(group)) {
+    this.scaleTo(group, numWorkers, cb);
+  }
+  else {
+    this.scaleTo(numWorkers, cb);
+  }
+};
+
+/**
+ * Registers a handler for a method that can be called by the other side with
+ * `call`. Handlers receive the arguments of the call and may return a value or
+ * a promise, or throw an error. On the master the worker that made the call is
+ * available as `this`.
+ *
+ * @example
+ * // On the workers
+ * manager.handle('cacheSize', function () {
+ *   return cache.size;
+ * });
+ *
+ * // On the master
+ * manager.call(worker.id, 'cacheSize').then(function (size) {
+ *   // ...
+ * });
+ *
+ * @param {String} method Name of the method.
+ * @param {function} fn Handler for the method.
+ */
+ClusterManager.prototype.handle = function (method, fn) {
+  this.rpc.handle(method, fn);
+};
+
+/**
+ * Calls a method registered with `handle` on the other side. On the master the
+ * first argument is the id of the worker to call, on workers the master is
+ * called. When the worker runs in the master process, calls made without a
+ * worker id are handled within the process.
+ * @param {Number} [workerId] Id of the worker to call (master only).
+ * @param {String} method Name of the method to call.
+ * @param {Array} [args] Arguments for the call.
+ * @return {Promise} Resolves with the result of the call. Rejects with the
+ *   error thrown by the handler (including its stack), when the call times out
+ *   or when the worker exits before responding.
+ */
+ClusterManager.prototype.call = function (workerId, method, args) {
+  if (!this.cluster.isMaster) {
+    return this.rpc.call(process, workerId, method);
+  }
+  if (this.inline && typeof workerId === 'string') {
+    return this.rpc.local(workerId, method);
+  }
+  var worker = this.workers.filter(function (worker) {
+    return worker.id === workerId;
+  })[0];
+  if (!worker) {
+    return Promise.reject(new Error('Unknown worker: ' + workerId));
+  }
+  return this.rpc.call(worker, method, args);
+};
+
+/**
+ * Subscribes to a channel. The subscriber is called with the data and channel
+ * name for every message published on the channel by other processes.
+ * @param {String} channel Name of the channel.
+ * @param {function} fn Subscriber for the channel.
+ */
+ClusterManager.prototype.subscribe = function (channel, fn) {
+  var first = this.pubsub.subscribe(channel, fn);
+  if (first && !this.cluster.isMaster) {
+    message.send(process, 'subscribe', channel);
+  }
+};
+
+/**
+ * Removes a subscriber added with `subscribe`.
+ * @param {String} channel Name of the channel.
+ * @param {function} fn Subscriber to remove.
+ */
+ClusterManager.prototype.unsubscribe = function (channel, fn) {
+  var last = this.pubsub.unsubscribe(channel, fn);
+  if (last && !this.cluster.isMaster) {
+    message.send(process, 'unsubscribe', channel);
+  }
+};
+
+/**
+ * Publishes a message on a channel. Messages published by a worker are relayed
+ * by the master to every other subscribed worker and to the subscribers on the
+ * master. Messages published by the master are delivered to every subscribed
+ * worker. Subscribers in the publishing process are not called.
+ * @param {String} channel Name of the channel.
+ * @param {*} data Message to publish.
+ */
+ClusterManager.prototype.publish = function (channel, data) {
+  if (!this.cluster.isMaster) {
+    message.send(process, 'publish', { channel: channel, data: data });
+    return;
+  }
+  this._relay(channel, data);
+};
+
+/**
+ * Delivers a published message to every subscribed worker, except the
+ * publisher. Messages to workers that are no longer connected are dropped.
+ * @param {String} channel Name of the channel.
+ * @param {*} data Published message.
+ * @param {cluster~Worker} [publisher] Worker that published the message.
+ */
+ClusterManager.prototype._relay = function (channel, data, publisher) {
+  var self = this;
+  this.workers.forEach(function (worker) {
+    if (worker !== publisher && self.pubsub.hasWorker(channel, worker.id)) {
+      message.send(worker, 'deliver', { channel: channel, data: data });
+    }
+  });
+  if (publisher) {
+    this.pubsub.deliver(channel, data);
+  }
+};
+
+/**
+ * Starts the admin control server on the `controlSocket`.
+ */
+ClusterManager.prototype._startControlServer = function () {
+  var self = this;
+  var path = this.options.controlSocket;
+  this.controlServer = new ControlServer(this, path);
+  this.controlServer.listen(function (err) {
+    if (err) {
+      return self.log.error(
+        'Control server failed: ' + err.message,
+        self._logFields('controlError', null, { path: path, err: err })
+      );
+    }
+    self.log.info(
+      'Accepting commands on ' + path,
+      self._logFields('controlListening', null, { path: path })
+    );
+  });
+};
+
+/**
+ * Starts the sticky session balancer on the master.
+ */
+ClusterManager.prototype._startBalancer = function () {
+  var self = this;
+  var port = this.options.stickyPort;
+  var host = this.options.stickyHost;
+  this.balancer = new StickyBalancer(this, this.options.stickyKey);
+  this.balancer.listen(port, host, function (err) {
+    if (err) {
+      return self.log.error(
+        'Sticky balancer failed: ' + err.message,
+        self._logFields('stickyError', null, { port: port, err: err })
+      );
+    }
+    var address = self.balancer.address();
+    self.log.info(
+      'Accepting sticky connections on ' + address.address + ':' +
+        address.port,
+      self._logFields('stickyListening', null, address)
+    );
+  });
+};
+
+/**
+ * Serves the connections of sticky sessions with a server on this worker. The
+ * server does not need to listen, the master hands off connections to it. A
+ * connection handed off to a worker is served by that worker until it closes.
+ *
+ * @example
+ * var manager = new ClusterManager({
+ *   stickyPort: 8080,
+ *   worker: function (manager) {
+ *     var server = http.createServer(app);
+ *     io.attach(server);
+ *     manager.sticky(server);
+ *   }
+ * });
+ *
+ * @param {http.Server|net.Server} server Server that receives the connections.
+ * @return {http.Server|net.Server} The server.
+ * @throws Error If called on the master process.
+ */
+ClusterManager.prototype.sticky = function (server) {
+  if (this.cluster.isMaster) {
+    throw new Error('Sticky sessions can only be served by workers.');
+  }
+  this._stickyServer = server;
+  message.send(process, 'sticky-ready');
+  return server;
+};
+
+/**
+ * Handles a worker that is ready to receive sticky connections. Workers behind
+ * the balancer do not listen themselves, so being ready stands in for their
+ * `listening` event.
+ * @param {cluster~Worker} worker The worker.
+ */
+ClusterManager.prototype._stickyReady = function (worker) {
+  if (!this.balancer) {
+    return;
+  }
+  this.balancer.add(worker);
+  var address = this.balancer.address();
+  this.listening(worker, address);
+  worker.emit('listening', address);
+};
+
+/**
+ * Serves a sticky connection handed off by the master.
+ * @param {net.Socket} socket The connection.
+ */
+ClusterManager.prototype._stickyConnection = function (socket) {
+  if (!socket) {
+    return;
+  }
+  if (!this._stickyServer) {
+    return socket.destroy();
+  }
+  this._stickyServer.emit('connection', socket);
+  socket.resume();
+};
+
+/**
+ * Creates a serializable snapshot of the lifecycle records of the workers, for
+ * dashboards and health endpoints. Crashed workers that have not been
+ * respawned yet are included in the `dead` state.
+ * @return {Array} For every worker, in the order they were created, an object
+ *   with its `id`, `pid`, `group`, `index`, `state` (one of `forking`,
+ *   `online`, `listening`, `disconnecting` or `dead`), the `timestamps` at
+ *   which it entered each state, its `uptime` (in milliseconds), whether it is
+ *   `ready`, the number of `restarts` of the workers it replaced, the
+ *   `exitCode` and `signal` of the last exit and the `addresses` it listens
+ *   on.
+ */
+ClusterManager.prototype.getWorkers = function () {
+  var self = this;
+  var records = this.workers.map(function (worker) {
+    return self.records[worker.id];
+  }).filter(exists).concat(this._deadRecords);
+  return records.map(function (record) {
+    return record.toJSON();
+  });
+};
+
+/**
+ * Renders the lifecycle metrics of the cluster in the Prometheus text format:
+ * the number of workers alive per state, the total number of forks, exits (by
+ * exit code and signal) and restarts, and the uptime of the master process.
+ * Only available on the master.
+ * @return {String} The metrics.
+ */
+ClusterManager.prototype.metrics = function () {
+  return this._metrics.render();
+};
+
+/**
+ * Starts the HTTP endpoint that serves the metrics at `/metrics`.
+ */
+ClusterManager.prototype._startMetricsServer = function () {
+  var self = this;
+  var port = this.options.metricsPort;
+  var host = this.options.metricsHost;
+  this.metricsServer = http.createServer(function (req, res) {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not Found\n');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(self.metrics());
+  });
+  this.metricsServer.on('error', function (err) {
+    self.log.error(
+      'Metrics endpoint failed: ' + err.message,
+      self._logFields('metricsError', null, { err: err })
+    );
+  });
+  this.metricsServer.listen(port, host, function () {
+    self.log.info(
+      'Serving metrics on ' + host + ':' + self.metricsServer.address().port,
+      self._logFields('metricsListening', null, {
+        address: host,
+        port: self.metricsServer.address().port
+      })
+    );
+  });
+};
+
+/**
+ * Handles worker `fork` events. This event is emitted when a worker is forked
+ * off the master cluster.
+ * @param {cluster~Worker} Worker that was forked.
+ */
+ClusterManager.prototype.fork = function (worker) {
+  this.log.info('Worker forked: ' + worker.id, this._logFields('fork', worker));
+  this._metrics.fork(worker.id);
+};
+
+/**
+ * Handles worker `listening` events. Indicates to the master that a particular
+ * worker is listening.
+ * @param {cluster~Worker} Worker that is now listening.
+ * @param address Address on which the worker is listening.
+ */
+ClusterManager.prototype.listening = function (worker, address) {
+  this.log.info([
+    'Worker listening:', worker.id,
+    'on address', (address.address+':'+address.port)
+  ].join(' '), this._logFields('listening', worker, {
+    address: address.address,
+    port: address.port
+  }));
+  this._metrics.setState(worker.id, 'listening');
+  if (this.records[worker.id]) {
+    this.records[worker.id].listen(address);
+  }
+};
+
+/**
+ * Handles worker `exit` events.
+ * @param {cluster~Worker} worker Worker that exited.
+ * @param {Number} code Exit code for the worker process.
+ * @param {String} signal Signal name that caused the process to be killed.
+ * @fires ClusterManager#workerCrashed
+ * @fires ClusterManager#allWorkersDead
+ */
+ClusterManager.prototype.exit = function (worker, code, signal) {
+  this.log.info([
+    'Worker exited:', worker.id,
+    '-- with status:', code,
+    '-- and signal:', signal
+  ].join(' '), this._logFields('exit', worker, { code: code, signal: signal }));
+  this._metrics.exit(worker.id, code, signal);
+
+  var self = this;
+  this.workers.map(pluck('id')).some(function (workerId, i) {
+    if (workerId === worker.id) {
+      self.workers.splice(i, 1);
+    }
+  });
+  var record = this.records[worker.id];
+  var uptime;
+  if (record) {
+    record.exit(code, signal);
+    uptime = record.uptime();
+  }
+  delete this.records[worker.id];
+  delete this.reports[worker.id];
+  delete this.heartbeats[worker.id];
+  delete this.overLimit[worker.id];
+  delete this.recycling[worker.id];
+  delete this.replacing[worker.id];
+  delete this._deferredRecycles[worker.id];
+  delete this.replacements[worker.id];
+  this._promoteReplacement(worker);
+  clearTimeout(this._ageTimers[worker.id]);
+  delete this._ageTimers[worker.id];
+  clearTimeout(this._startupTimers[worker.id]);
+  delete this._startupTimers[worker.id];
+  this.rpc.cancel(worker, 'worker ' + worker.id + ' exited.');
+  this.pubsub.removeWorker(worker.id);
+  if (this.balancer) {
+    this.balancer.remove(worker);
+  }
+
+  // Workers that were retired on purpose are not failures
+  var retired = this.retiring[worker.id];
+  if (retired) {
+    delete this.retiring[worker.id];
+    this.crashReporter.forget(worker);
+    return retired();
+  }
+
+  if (record) {
+    this._deadRecords.push(record);
+    this.crashReporter.crash(record);
+    if (!record.ready) {
+      this.log.error(
+        'Worker exited before becoming ready: ' + worker.id,
+        this._logFields('failedStart', worker, { code: code, signal: signal })
+      );
+      this._metrics.failedStart();
+    }
+  }
+  this.emit('workerCrashed', worker, code, signal, uptime);
+  if (this.workers.length === 0) {
+    this.emit('allWorkersDead');
+  }
+
+  if (this.respawning) {
+    var crashes = this._recordCrash();
+    if (crashes >= this.options.crashLoopCount) {
+      this._crashLoop(crashes);
+    }
+    else {
+      this._scheduleRespawn();
+    }
+    return;
+  }
+
+  // If all the workers have been killed, exit the process
+  if (this.workers.length === 0) {
+    this.log.error(
+      'Cluster fatal: all worker have died. Master process exiting.',
+      this._logFields('allWorkersDead')
+    );
+    this.crashReporter.fatal('All workers have died.', function (err) {
+      self._exitMaster(err);
+    });
+  }
+};
+
+/**
+ * Records an unexpected worker exit and drops crashes that fall outside of the
+ * crash loop window.
+ * @return {Number} Number of crashes within the crash loop window.
+ */
+ClusterManager.prototype._recordCrash = function () {
+  var now = Date.now();
+  var windowStart = now - this.options.crashLoopWindow;
+  this.crashes = this.crashes.filter(function (time) {
+    return time > windowStart;
+  });
+  this.crashes.push(now);
+  return this.crashes.length;
+};
+
+/**
+ * Determines how long to wait before respawning workers. The delay starts at
+ * `respawnDelay` and doubles for each recent crash, up to `maxRespawnDelay`.
+ * @return {Number} Respawn delay in milliseconds.
+ */
+ClusterManager.prototype._getRespawnDelay = function () {
+  var exponent = Math.max(this.crashes.length - 1, 0);
+  var delay = this.options.respawnDelay * Math.pow(2, exponent);
+  return Math.min(delay, this.options.maxRespawnDelay);
+};
+
+/**
+ * Schedules a respawn of dead workers. If a respawn is already pending this
+ * does nothing, since the pending respawn will replace every missing worker.
+ */
+ClusterManager.prototype._scheduleRespawn = function () {
+  if (this._respawnTimer) {
+    return;
+  }
+  var self = this;
+  var delay = this._getRespawnDelay();
+  this.log.info(
+    'Respawning workers in ' + delay + 'ms',
+    this._logFields('respawnScheduled', null, { delay: delay })
+  );
+  this._respawnTimer = setTimeout(function () {
+    self._respawnTimer = null;
+    self.respawn(function (err, workers) {
+      if (err) {
+        return self.log.warning(
+          'Respawn failed: ' + err.message,
+          self._logFields('respawnFailed', null, { err: err })
+        );
+      }
+      if (workers.length > 0) {
+        self.log.info(
+          'Respawned workers are ready: ' + workers.map(pluck('id')).join(', '),
+          self._logFields('respawned', null, {
+            workerIds: workers.map(pluck('id'))
+          })
+        );
+      }
+    });
+  }, delay);
+};
+
+/**
+ * Forks new workers until the cluster is back to `numWorkers` workers, or
+ * until every worker group is back to its count.
+ * @param {function} [cb] Callback to execute once every new worker is ready.
+ *   Receives an error if one of them exited before becoming ready, and the new
+ *   workers otherwise.
+ */
+ClusterManager.prototype.respawn = function (cb) {
+  var self = this;
+  var workers = [];
+  this._groupNames().forEach(function (group) {
+    workers = workers.concat(self._fillGroup(group));
+  });
+  this._pruneDeadRecords();
+  this._awaitReady(workers, cb || noop);
+};
+
+/**
+ * Forks workers until a group has as many workers holding a slot as it should
+ * run. The slots of crashed workers are filled first, and the workers that
+ * fill them inherit their records.
+ * @param {String} [group] Name of the worker group.
+ * @return {Array} The new workers.
+ */
+ClusterManager.prototype._fillGroup = function (group) {
+  var workers = [];
+  var delta = this._groupSize(group) - this._slotWorkers(group).length;
+  for (var i = 0; i < delta; i++) {
+    var previous = this._takeDeadRecord(group);
+    var worker = this.createWorker(group, previous ? previous.index : null);
+    if (previous) {
+      this._metrics.restart();
+      this.records[worker.id].inherit(previous);
+    }
+    workers.push(worker);
+  }
+  return workers;
+};
+
+/**
+ * Waits for workers to become ready.
+ * @param {Array} workers Workers to wait for.
+ * @param {function} cb Callback to execute once every worker is ready, or with
+ *   an error as soon as one of them exits before becoming ready. Receives the
+ *   workers on success.
+ */
+ClusterManager.prototype._awaitReady = function (workers, cb) {
+  var remaining = workers.length;
+  var finished = false;
+  if (remaining === 0) {
+    return cb(null, workers);
+  }
+  workers.forEach(function (worker) {
+    function onReady() {
+      worker.removeListener('exit', onExit);
+      if (--remaining === 0 && !finished) {
+        finished = true;
+        cb(null, workers);
+      }
+    }
+    function onExit() {
+      worker.removeListener('ready', onReady);
+      if (!finished) {
+        finished = true;
+        cb(new Error(
+          'Worker ' + worker.id + ' exited before becoming ready.'
+        ));
+      }
+    }
+    worker.once('ready', onReady);
+    worker.once('exit', onExit);
+  });
+};
+
+/**
+ * Removes the record of the oldest crashed worker of a group that has not been
+ * respawned yet.
+ * @param {String} [group] Name of the worker group.
+ * @return {WorkerRecord|null} The record, or `null` if there is none.
+ */
+ClusterManager.prototype._takeDeadRecord = function (group) {
+  var dead = this._deadRecords;
+  for (var i = 0; i < dead.length; i++) {
+    if (dead[i].group === group) {
+      return dead.splice(i, 1)[0];
+    }
+  }
+  return null;
+};
+
+/**
+ * Drops the records of crashed workers that will not be respawned, because
+ * their group already has as many workers as it should run.
+ */
+ClusterManager.prototype._pruneDeadRecords = function () {
+  var self = this;
+  var kept = {};
+  this._deadRecords = this._deadRecords.filter(function (record) {
+    var group = record.group;
+    var missing = self._groupSize(group) - self._slotWorkers(group).length;
+    kept[group] = (kept[group] || 0) + 1;
+    return kept[group] <= missing;
+  });
+};
+
+/**
+ * Moves the record of a tracked worker to a state.
+ * @param {cluster~Worker} worker The worker.
+ * @param {String} state One of `WorkerRecord.STATES`.
+ */
+ClusterManager.prototype._transition = function (worker, state) {
+  var record = this.records[worker.id];
+  if (record) {
+    record.transition(state);
+  }
+};
+
+/**
+ * Stops replacing dead workers and cancels any pending respawn.
+ */
+ClusterManager.prototype._stopRespawning = function () {
+  this.respawning = false;
+  clearTimeout(this._respawnTimer);
+  this._respawnTimer = null;
+};
+
+/**
+ * Handles a detected crash loop by cancelling any pending respawn and exiting
+ * the master process.
+ * @param {Number} crashes Number of crashes within the crash loop window.
+ */
+ClusterManager.prototype._crashLoop = function (crashes) {
+  this._stopRespawning();
+  var message = 'Crash loop detected: ' + crashes + ' workers crashed within ' +
+    this.options.crashLoopWindow + 'ms.';
+  this.log.error(
+    'Cluster fatal: ' + message + ' Master process exiting.',
+    this._logFields('crashLoop', null, { crashes: crashes })
+  );
+  var self = this;
+  this.crashReporter.fatal(message, function (err) {
+    self._exitMaster(err);
+  });
+};
+
+/**
+ * Handles worker `online` events. This indicates to the cluster that a worker
+ * process has successfully spawned a process and is running. Unless using
+ * `awaitReady`, workers are ready as soon as they are online.
+ * @param {cluster~Worker} worker Worker that came online.
+ */
+ClusterManager.prototype.online = function (worker) {
+  this.log.info(
+    'Worker online: ' + worker.id,
+    this._logFields('online', worker)
+  );
+  this._metrics.setState(worker.id, 'online');
+  this._transition(worker, 'online');
+  if (!this.options.awaitReady) {
+    this._workerReady(worker);
+  }
+};
+
+/**
+ * Handles a worker that became ready. Stops its startup timeout and emits
+ * `ready` on the worker.
+ * @param {cluster~Worker} worker Worker that became ready.
+ */
+ClusterManager.prototype._workerReady = function (worker) {
+  var record = this.records[worker.id];
+  if (!record || !record.setReady()) {
+    return;
+  }
+  clearTimeout(this._startupTimers[worker.id]);
+  delete this._startupTimers[worker.id];
+  this.log.info(
+    'Worker ready: ' + worker.id,
+    this._logFields('ready', worker)
+  );
+  worker.emit('ready');
+  this._checkStarted();
+};
+
+/**
+ * Kills a worker that did not become ready within the startup timeout. The
+ * `exit` handler counts it as a failed start.
+ * @param {cluster~Worker} worker Worker that did not become ready.
+ */
+ClusterManager.prototype._startupTimeout = function (worker) {
+  delete this._startupTimers[worker.id];
+  if (this.retiring[worker.id]) {
+    return;
+  }
+  var timeout = this.options.startupTimeoutMs;
+  this.log.error(
+    'Worker did not become ready within ' + timeout + 'ms: ' + worker.id +
+      ' -- killing',
+    this._logFields('startupTimeout', worker, { timeout: timeout })
+  );
+  worker.process.kill('SIGKILL');
+};
+
+/**
+ * Resolves the promise returned by `start` once the number of active workers
+ * that are ready has reached the number of workers the cluster should run.
+ */
+ClusterManager.prototype._checkStarted = function () {
+  if (!this._onStarted) {
+    return;
+  }
+  var self = this;
+  var expected = this._groupNames().reduce(function (total, group) {
+    return total + parseInt(self._groupSize(group), 10);
+  }, 0);
+  var ready = this.activeWorkers().filter(function (worker) {
+    return self.records[worker.id].ready;
+  });
+  if (ready.length >= expected) {
+    var resolve = this._onStarted;
+    this._onStarted = null;
+    this.log.info(
+      'All ' + ready.length + ' workers are ready',
+      this._logFields('started', null, { numWorkers: ready.length })
+    );
+    resolve();
+  }
 };
 
 /**
@@ -285,19 +2607,112 @@ ClusterManager.prototype.online = function (worker) {
  * @param {cluster~Worker} worker Worker that disconnected.
  */
 ClusterManager.prototype.disconnect = function (worker) {
-  this.log.info('Worker disconnected: ' + worker.id + ' -- killing');
+  this.log.info(
+    'Worker disconnected: ' + worker.id + ' -- killing',
+    this._logFields('disconnect', worker)
+  );
+  this._metrics.setState(worker.id, 'disconnected');
+  this._transition(worker, 'disconnecting');
+};
+
+/**
+ * Handles load and resource usage reports from workers. The report is stored
+ * in `this.reports` and workers that have exceeded a resource limit for the
+ * `limitDuration` are recycled.
+ * @param {cluster~Worker} worker Worker that sent the report.
+ * @param {Object} report Load and resource usage of the worker.
+ */
+ClusterManager.prototype.report = function (worker, report) {
+  this.reports[worker.id] = report;
+
+  var reason = this._exceededLimit(report);
+  if (!reason) {
+    delete this.overLimit[worker.id];
+    return;
+  }
+
+  var now = Date.now();
+  if (!exists(this.overLimit[worker.id])) {
+    this.overLimit[worker.id] = now;
+  }
+  if (now - this.overLimit[worker.id] >= this.options.limitDuration) {
+    this.recycleWorker(worker, reason);
+  }
+};
+
+/**
+ * Determines which resource limit, if any, a report exceeds.
+ * @param {Object} report Load and resource usage of a worker.
+ * @return {String|null} Description of the exceeded limit, or `null`.
+ */
+ClusterManager.prototype._exceededLimit = function (report) {
+  var maxRss = this.options.maxWorkerRss;
+  var maxCpu = this.options.maxWorkerCpuPercent;
+  if (exists(maxRss) && report.rss > maxRss) {
+    return 'rss of ' + report.rss + ' bytes exceeds limit of ' + maxRss;
+  }
+  if (exists(maxCpu) && report.cpu > maxCpu) {
+    return 'cpu usage of ' + Math.round(report.cpu) + '% exceeds limit of ' +
+      maxCpu + '%';
+  }
+  return null;
+};
+
+/**
+ * Handles worker `message` events. Internal messages are dispatched to the
+ * handler registered for their type, all other messages are ignored.
+ * @param {cluster~Worker} worker Worker that sent the message.
+ * @param {*} msg Message that was sent.
+ * @param {net.Socket|net.Server} [handle] Handle that was sent with the
+ *   message.
+ */
+ClusterManager.prototype.message = function (worker, msg, handle) {
+  this._receive(worker, msg, handle);
+};
+
+/**
+ * Dispatches an internal message to the handler registered for its type.
+ * @param {cluster~Worker|process} source Worker that sent the message or, on
+ *   worker processes, the process itself.
+ * @param {*} msg Message that was received.
+ * @param {net.Socket|net.Server} [handle] Handle that was received with the
+ *   message.
+ */
+ClusterManager.prototype._receive = function (source, msg, handle) {
+  var handler = this._messageHandlers[message.typeOf(msg)];
+  if (handler) {
+    handler.call(this, source, msg.data, handle);
+  }
+};
+
+/**
+ * Registers a handler for internal messages.
+ * @param {String} type Type of message to handle.
+ * @param {function} handler Handler for the message, invoked with the manager
+ *   as `this`, and the message source, payload and handle as arguments.
+ */
+ClusterManager.prototype._onMessage = function (type, handler) {
+  this._messageHandlers[type] = handler;
 };
 
 /**
- * Called when master process domain encounters an unhandled error. By default
- * this method will log the error stack, indicate that the error is fatal, and
- * kill the process with a status code `1`.
+ * Called when the master process encounters an unhandled error, that is an
+ * uncaught exception, an unhandled promise rejection or an error thrown or
+ * rejected by the master callback. By default this method will log the error
+ * stack, indicate that the error is fatal, and kill the process with a status
+ * code `1`.
  * @param {Error} err Unhandled error on the master process.
  */
 ClusterManager.prototype.masterError = function(err) {
-  this.log.error('Unhandled master error: ' + err.stack);
+  this.log.error(
+    'Unhandled master error: ' + err.stack,
+    this._logFields('masterError', null, { err: err })
+  );
   if (this.options.killOnError) {
-    this.log.error('Cluster fatal: unhandled error in master process, exiting.');
+    this.log.error(
+      'Cluster fatal: unhandled error in master process, exiting.',
+      this._logFields('masterError')
+    );
     this._exitMaster(err);
   }
 };
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Load based autoscaling for the master process.
+ * @module cluster-man/lib/autoscaler
+ */
+module.exports = Autoscaler;
+
+/**
+ * Average event loop lag (in milliseconds) above which the default policy
+ * scales up.
+ * @type {Number}
+ */
+var HIGH_LAG = 100;
+
+/**
+ * Average event loop lag (in milliseconds) below which the default policy
+ * scales down.
+ * @type {Number}
+ */
+var LOW_LAG = 10;
+
+/**
+ * Periodically evaluates a scaling policy against the load reported by the
+ * workers and scales the cluster between `minWorkers` and `maxWorkers`. A
+ * scaling decision is only acted upon once the policy has consistently made the
+ * same decision for the cooldown period.
+ *
+ * @class
+ * @param {ClusterManager} manager Cluster manager to scale.
+ */
+function Autoscaler(manager) {
+  this.manager = manager;
+  this.timer = null;
+  this.direction = 0;
+  this.since = null;
+}
+
+/**
+ * Callback used to make scaling decisions.
+ * @callback cluster-man~ScalePolicy
+ * @param {cluster-man~Load} load Aggregated load of the cluster.
+ * @return {Number} A positive number to add a worker, a negative number to
+ *   remove a worker, or `0` to leave the cluster as is.
+ */
+
+/**
+ * Aggregated load of the cluster.
+ * @typedef {Object} cluster-man~Load
+ * @property {Number} workers Number of active workers.
+ * @property {Number} lag Average event loop lag (in milliseconds).
+ * @property {Number} handles Average number of active handles.
+ * @property {Array} reports Latest report of each active worker.
+ */
+
+/**
+ * Default scaling policy, based on the average event loop lag of the workers.
+ * @param {cluster-man~Load} load Aggregated load of the cluster.
+ * @return {Number} Scaling direction.
+ */
+Autoscaler.defaultPolicy = function (load) {
+  if (load.lag > HIGH_LAG) {
+    return 1;
+  }
+  if (load.lag < LOW_LAG) {
+    return -1;
+  }
+  return 0;
+};
+
+/**
+ * Starts evaluating the scaling policy.
+ */
+Autoscaler.prototype.start = function () {
+  var self = this;
+  this.stop();
+  this.timer = setInterval(function () {
+    self.evaluate();
+  }, this.manager.options.scaleInterval);
+};
+
+/**
+ * Stops evaluating the scaling policy.
+ */
+Autoscaler.prototype.stop = function () {
+  clearInterval(this.timer);
+  this.timer = null;
+  this.direction = 0;
+  this.since = null;
+};
+
+/**
+ * Aggregates the latest reports of the workers holding a slot. Replacements
+ * that have not taken over yet are left out.
+ * @return {cluster-man~Load} Aggregated load of the cluster.
+ */
+Autoscaler.prototype.load = function () {
+  var manager = this.manager;
+  var workers = manager._slotWorkers();
+  var reports = workers.map(function (worker) {
+    return manager.reports[worker.id];
+  }).filter(Boolean);
+
+  function average(key) {
+    if (reports.length === 0) {
+      return 0;
+    }
+    return reports.reduce(function (sum, report) {
+      return sum + (report[key] || 0);
+    }, 0) / reports.length;
+  }
+
+  return {
+    workers: workers.length,
+    lag: average('lag'),
+    handles: average('handles'),
+    reports: reports
+  };
+};
+
+/**
+ * Evaluates the scaling policy and scales the cluster if the policy has made
+ * the same decision for the cooldown period.
+ */
+Autoscaler.prototype.evaluate = function () {
+  var manager = this.manager;
+  var options = manager.options;
+  var load = this.load();
+
+  // Wait until every worker has reported before making any decisions
+  if (load.reports.length < load.workers) {
+    return;
+  }
+
+  var direction = Math.sign(options.scalePolicy(load, manager) || 0);
+  if (direction > 0 && load.workers >= options.maxWorkers) {
+    direction = 0;
+  }
+  if (direction < 0 && load.workers <= options.minWorkers) {
+    direction = 0;
+  }
+
+  var now = Date.now();
+  if (direction === 0 || direction !== this.direction) {
+    this.direction = direction;
+    this.since = now;
+    return;
+  }
+
+  if (now - this.since < options.scaleCooldown) {
+    return;
+  }
+
+  this.since = now;
+  var fields = {
+    workers: load.workers,
+    lag: load.lag,
+    handles: load.handles
+  };
+  manager.log.info(
+    'Autoscaling: ' + JSON.stringify(fields),
+    manager._logFields('autoscale', null, fields)
+  );
+  if (direction > 0) {
+    manager.scaleUp();
+  }
+  else {
+    manager.scaleDown();
+  }
+};
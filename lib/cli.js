@@ -0,0 +1,323 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var isFunction = require('101/is-function');
+var exists = require('101/exists');
+var config = require('./config');
+var ControlServer = require('./control');
+
+/**
+ * Command-line runner for cluster-man.
+ * @module cluster-man/lib/cli
+ */
+
+/**
+ * Usage of the command-line runner.
+ * @type {String}
+ */
+var USAGE = [
+  'Usage:',
+  '  cluster-man [options] <module>',
+  '  cluster-man <status|reload|stop> (--socket <path> | --pidfile <path>)',
+  '',
+  'Runs the start function exported by <module> on every worker, or acts on',
+  'a running cluster.',
+  '',
+  'Options:',
+  '  --workers <n>      Number of workers to fork, or an expression such as',
+  '                     "auto", "cpus-1", "50%" or "max(2,cpus/2)", or 0 to',
+  '                     run the worker in the master process',
+  '  --grace-ms <ms>    Time workers are given to exit when shut down',
+  '  --config <path>    JSON config file with the cluster options',
+  '  --socket <path>    Unix socket of the control server',
+  '  --pidfile <path>   File holding the pid of the master process',
+  '  -h, --help         Show this message',
+  ''
+].join('\n');
+
+/**
+ * Subcommands that act on a running cluster.
+ * @type {Array}
+ */
+var SUBCOMMANDS = ['status', 'reload', 'stop'];
+
+/**
+ * Options that take a value, and the name of their parsed argument.
+ * @type {Object}
+ */
+var OPTIONS = {
+  '--workers': 'workers',
+  '--grace-ms': 'graceMs',
+  '--config': 'config',
+  '--socket': 'socket',
+  '--pidfile': 'pidfile'
+};
+
+/**
+ * Parses command-line arguments.
+ * @param {Array} argv Arguments, without the node executable and script.
+ * @return {Object} Parsed arguments: the `command` (`run`, `help` or one of the
+ *   subcommands), the `module` to run and the given options.
+ * @throws Error If the arguments are invalid.
+ */
+exports.parse = function (argv) {
+  var args = { command: 'run' };
+  var positional = [];
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    var value = null;
+    if (arg === '-h' || arg === '--help') {
+      return { command: 'help' };
+    }
+    if (arg.indexOf('--') !== 0) {
+      positional.push(arg);
+      continue;
+    }
+    var eq = arg.indexOf('=');
+    if (eq !== -1) {
+      value = arg.slice(eq + 1);
+      arg = arg.slice(0, eq);
+    }
+    if (!OPTIONS.hasOwnProperty(arg)) {
+      throw new Error('Unknown option: ' + arg);
+    }
+    if (value === null) {
+      value = argv[++i];
+    }
+    if (!exists(value) || value === '') {
+      throw new Error('Missing value for ' + arg);
+    }
+    args[OPTIONS[arg]] = value;
+  }
+
+  if (exists(args.workers)) {
+    args.workers = config.parseWorkers(
+      args.workers, '--workers', undefined, true
+    );
+  }
+  if (exists(args.graceMs)) {
+    args.graceMs = integer('--grace-ms', args.graceMs, 0);
+  }
+
+  if (SUBCOMMANDS.indexOf(positional[0]) !== -1) {
+    args.command = positional.shift();
+    if (!args.socket && !args.pidfile) {
+      throw new Error('The ' + args.command + ' command requires --socket ' +
+        'or --pidfile');
+    }
+  }
+  else {
+    args.module = positional.shift();
+    if (!args.module) {
+      throw new Error('Missing module to run');
+    }
+  }
+  if (positional.length > 0) {
+    throw new Error('Unexpected argument: ' + positional[0]);
+  }
+  return args;
+};
+
+/**
+ * Parses an integer option.
+ * @param {String} name Name of the option.
+ * @param {String} value Value of the option.
+ * @param {Number} min Smallest allowed value.
+ * @return {Number} The integer.
+ * @throws Error If the value is not an integer of at least `min`.
+ */
+function integer(name, value, min) {
+  var number = Number(value);
+  if (number !== parseInt(value, 10) || number < min) {
+    throw new Error(name + ' must be an integer of at least ' + min);
+  }
+  return number;
+}
+
+/**
+ * Loads the start function exported by a module, either as the module itself
+ * or as its `start` property.
+ * @param {String} modulePath Path of the module, relative to the working
+ *   directory.
+ * @return {function} The start function.
+ * @throws Error If the module does not export a start function.
+ */
+exports.loadStart = function (modulePath) {
+  var app = require(path.resolve(process.cwd(), modulePath));
+  var start = isFunction(app) ? app : app && app.start;
+  if (!isFunction(start)) {
+    throw new Error('Module ' + modulePath + ' must export a start function');
+  }
+  return start;
+};
+
+/**
+ * Runs a module on a new cluster. On the master the pid is written to the
+ * pidfile, which is removed when the master exits.
+ * @param {Object} args Parsed arguments.
+ * @return {Promise} Resolves once the cluster has started.
+ */
+exports.run = function (args) {
+  // Required here so that subcommands do not load the cluster manager
+  var ClusterManager = require('../index.js');
+  var options = { worker: exports.loadStart(args.module) };
+  if (exists(args.workers)) {
+    options.numWorkers = args.workers;
+  }
+  if (exists(args.graceMs)) {
+    options.gracePeriod = args.graceMs;
+  }
+  if (args.socket) {
+    options.controlSocket = args.socket;
+  }
+  if (args.config) {
+    options.config = args.config;
+  }
+  var manager = new ClusterManager(options);
+  if (args.pidfile && manager.cluster.isMaster) {
+    fs.writeFileSync(args.pidfile, process.pid + '\n');
+    process.on('exit', function () {
+      try {
+        fs.unlinkSync(args.pidfile);
+      }
+      catch (err) {
+        // Already removed
+      }
+    });
+  }
+  return manager.start();
+};
+
+/**
+ * Reads the pid of a running master from a pidfile.
+ * @param {String} pidfile Path of the pidfile.
+ * @return {Number|null} The pid, or `null` if the master is not running.
+ */
+exports.readPid = function (pidfile) {
+  var pid;
+  try {
+    pid = parseInt(fs.readFileSync(pidfile, 'utf8'), 10);
+  }
+  catch (err) {
+    return null;
+  }
+  if (isNaN(pid)) {
+    return null;
+  }
+  try {
+    process.kill(pid, 0);
+  }
+  catch (err) {
+    return err.code === 'EPERM' ? pid : null;
+  }
+  return pid;
+};
+
+/**
+ * Executes a subcommand on a running cluster, through the control socket if
+ * given and by signalling the pid in the pidfile otherwise.
+ * @param {Object} args Parsed arguments.
+ * @param {function} cb Callback to execute with an error, or with the output
+ *   of the subcommand.
+ */
+exports.control = function (args, cb) {
+  if (args.socket) {
+    return controlSocket(args, cb);
+  }
+  var pid = exports.readPid(args.pidfile);
+  if (!pid) {
+    return cb(new Error('Cluster is not running'));
+  }
+  if (args.command === 'status') {
+    return cb(null, 'Cluster is running (pid ' + pid + ')');
+  }
+  var signal = args.command === 'reload' ? 'SIGHUP' : 'SIGTERM';
+  try {
+    process.kill(pid, signal);
+  }
+  catch (err) {
+    return cb(err);
+  }
+  cb(null, 'Sent ' + signal + ' to pid ' + pid);
+};
+
+/**
+ * Executes a subcommand through the control socket.
+ * @param {Object} args Parsed arguments.
+ * @param {function} cb Callback to execute with an error, or with the output
+ *   of the subcommand.
+ */
+function controlSocket(args, cb) {
+  var commands = { status: 'list', reload: 'reload', stop: 'shutdown' };
+  var request = { command: commands[args.command] };
+  ControlServer.request(args.socket, request, function (err, result) {
+    if (err) {
+      return cb(err);
+    }
+    if (args.command === 'reload') {
+      return cb(null, 'Reload complete');
+    }
+    if (args.command === 'stop') {
+      return cb(null, 'Shutting down');
+    }
+    cb(null, result.map(function (worker) {
+      return [
+        'worker', worker.id,
+        'pid', worker.pid,
+        exists(worker.group) ? 'group ' + worker.group : null,
+        worker.state,
+        'up', Math.round(worker.uptime / 1000) + 's'
+      ].filter(exists).join(' ');
+    }).join('\n'));
+  });
+}
+
+/**
+ * Entry point of the command-line runner.
+ * @param {Array} argv Arguments, without the node executable and script.
+ * @param {Object} io Streams to write output to, `stdout` and `stderr`.
+ * @param {function} cb Callback to execute with the exit code once a
+ *   subcommand has completed, or once the cluster has started.
+ */
+exports.main = function (argv, io, cb) {
+  var args;
+  try {
+    args = exports.parse(argv);
+  }
+  catch (err) {
+    io.stderr.write('cluster-man: ' + err.message + '\n\n' + USAGE);
+    return cb(2);
+  }
+
+  if (args.command === 'help') {
+    io.stdout.write(USAGE);
+    return cb(0);
+  }
+
+  if (args.command === 'run') {
+    var started;
+    try {
+      started = exports.run(args);
+    }
+    catch (err) {
+      io.stderr.write('cluster-man: ' + err.message + '\n');
+      return cb(1);
+    }
+    return started.then(function () {
+      cb(0);
+    });
+  }
+
+  exports.control(args, function (err, output) {
+    if (err) {
+      io.stderr.write('cluster-man: ' + err.message + '\n');
+      return cb(1);
+    }
+    if (output) {
+      io.stdout.write(output + '\n');
+    }
+    cb(0);
+  });
+};
@@ -0,0 +1,332 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var exists = require('101/exists');
+var isFunction = require('101/is-function');
+
+/**
+ * Loading, validation and resolution of cluster options.
+ * @module cluster-man/lib/config
+ */
+
+/**
+ * Expected type of each option. Options given as `workers` are worker counts,
+ * which may also be given as expressions (see `parseWorkers`).
+ * @type {Object}
+ */
+var SCHEMA = {
+  worker: 'function',
+  master: 'function',
+  numWorkers: 'workers',
+  debugScope: 'string',
+  killOnError: 'boolean',
+  respawn: 'boolean',
+  respawnDelay: 'duration',
+  maxRespawnDelay: 'duration',
+  crashLoopCount: 'count',
+  crashLoopWindow: 'duration',
+  gracePeriod: 'duration',
+  awaitReady: 'boolean',
+  startupTimeoutMs: 'duration',
+  replaceTimeoutMs: 'duration',
+  autoscale: 'boolean',
+  minWorkers: 'workers',
+  maxWorkers: 'workers',
+  scalePolicy: 'function',
+  scaleInterval: 'duration',
+  scaleCooldown: 'duration',
+  reportInterval: 'duration',
+  heartbeatInterval: 'duration',
+  heartbeatTolerance: 'count',
+  maxWorkerRss: 'count',
+  maxWorkerCpuPercent: 'count',
+  limitDuration: 'duration',
+  maxWorkerAge: 'duration',
+  maxWorkerAgeJitter: 'duration',
+  maxWorkUnits: 'count',
+  rpcTimeout: 'duration',
+  shutdownTimeoutMs: 'duration',
+  crashReportDir: 'string',
+  logger: 'object',
+  metricsPort: 'count',
+  metricsHost: 'string',
+  controlSocket: 'string',
+  stickyPort: 'count',
+  stickyHost: 'string',
+  stickyKey: 'function',
+  groups: 'object',
+  env: 'env',
+  config: 'string'
+};
+exports.SCHEMA = SCHEMA;
+
+/**
+ * Description of each type, used in error messages.
+ * @type {Object}
+ */
+var TYPES = {
+  function: 'a function',
+  string: 'a string',
+  boolean: 'a boolean',
+  object: 'an object',
+  env: 'an object or a function',
+  count: 'a non-negative number',
+  duration: 'a non-negative number of milliseconds'
+};
+
+/**
+ * Options that can not be given in a config file.
+ * @type {Array}
+ */
+var CODE_ONLY = ['worker', 'master', 'scalePolicy', 'beforeExit', 'logger',
+  'groups', 'stickyKey', 'config'];
+
+/**
+ * Reads options from a JSON config file. Options holding functions, the
+ * logger and worker groups can only be given in code.
+ * @param {String} file Path of the config file, relative to the working
+ *   directory.
+ * @return {Object} The options.
+ * @throws Error If the file can not be read or parsed, or contains unknown
+ *   options or options that can only be given in code.
+ */
+exports.load = function (file) {
+  var options;
+  try {
+    options = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  }
+  catch (err) {
+    throw new Error('Could not load config file ' + file + ': ' + err.message);
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Config file ' + file + ' must contain a JSON object.');
+  }
+  Object.keys(options).forEach(function (name) {
+    if (!SCHEMA.hasOwnProperty(name) || CODE_ONLY.indexOf(name) !== -1) {
+      throw new Error(
+        'Config file ' + file + ' has an unsupported option: ' + name + '.'
+      );
+    }
+  });
+  return options;
+};
+
+/**
+ * Checks the type of every known option, and resolves worker counts given as
+ * expressions to numbers. Unknown options are ignored, so that subclasses can
+ * add their own.
+ * @param {Object} options Options to validate, updated in place.
+ * @param {Number} [cpus] Number of CPUs for worker count expressions. Defaults
+ *   to `os.cpus().length`.
+ * @throws Error If an option has the wrong type.
+ */
+exports.validate = function (options, cpus) {
+  Object.keys(SCHEMA).forEach(function (name) {
+    var value = options[name];
+    var type = SCHEMA[name];
+    if (!exists(value)) {
+      return;
+    }
+    if (type === 'workers') {
+      // A `numWorkers` of 0 runs the worker in the master process
+      options[name] = exports.parseWorkers(
+        value, name, cpus, name === 'numWorkers'
+      );
+    }
+    else if (!hasType(value, type)) {
+      throw new Error('Option ' + name + ' must be ' + TYPES[type] + '.');
+    }
+  });
+  if (options.groups) {
+    Object.keys(options.groups).forEach(function (group) {
+      var value = options.groups[group];
+      if (value && exists(value.count)) {
+        value.count = exports.parseWorkers(
+          value.count, 'count of worker group "' + group + '"', cpus
+        );
+      }
+    });
+  }
+};
+
+/**
+ * Determines whether a value has the given type.
+ * @param {*} value The value.
+ * @param {String} type Type from the `SCHEMA`.
+ * @return {Boolean} `true` if the value has the type.
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'function':
+      return isFunction(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'env':
+      return isFunction(value) || hasType(value, 'object');
+    case 'count':
+    case 'duration':
+      return typeof value === 'number' && isFinite(value) && value >= 0;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Resolves a worker count. Counts are given as a positive integer, or as an
+ * expression of the number of CPUs, such as `"auto"` (one worker per CPU),
+ * `"cpus-1"`, `"50%"` (of the CPUs) or `"max(2,cpus/2)"`. Expressions support
+ * `+`, `-`, `*`, `/`, parentheses and the `min` and `max` functions, and their
+ * result is rounded down.
+ * @param {Number|String} value The worker count.
+ * @param {String} name Name of the option, used in error messages.
+ * @param {Number} [cpus] Number of CPUs. Defaults to `os.cpus().length`.
+ * @param {Boolean} [allowZero=false] Whether or not the count may be given as
+ *   `0`. Expressions must still resolve to a positive number.
+ * @return {Number} The number of workers.
+ * @throws Error If the count is invalid or does not resolve to a positive
+ *   number.
+ */
+exports.parseWorkers = function (value, name, cpus, allowZero) {
+  if (allowZero && (value === 0 || /^\s*0\s*$/.test(value))) {
+    return 0;
+  }
+  var count = NaN;
+  if (typeof value === 'number') {
+    count = value === parseInt(value, 10) ? value : NaN;
+  }
+  else if (typeof value === 'string' && /^\s*\d+(\.\d*)?\s*$/.test(value)) {
+    count = Number(value) === parseInt(value, 10) ? Number(value) : NaN;
+  }
+  else if (typeof value === 'string') {
+    try {
+      cpus = exists(cpus) ? cpus : os.cpus().length;
+      count = Math.floor(evaluate(value, cpus));
+    }
+    catch (err) {
+      count = NaN;
+    }
+  }
+  if (!isFinite(count) || count < 1) {
+    throw new Error(
+      'Invalid ' + name + ': ' + JSON.stringify(value) + '. Expected a ' +
+      'positive integer or an expression such as "auto", "cpus-1", "50%" or ' +
+      '"max(2,cpus/2)".'
+    );
+  }
+  return count;
+};
+
+/**
+ * Evaluates a worker count expression.
+ * @param {String} expression The expression.
+ * @param {Number} cpus Number of CPUs.
+ * @return {Number} The result.
+ * @throws Error If the expression is malformed.
+ */
+function evaluate(expression, cpus) {
+  var tokens = expression.match(/\d+(\.\d+)?|[a-z]+|\S/gi) || [];
+  var position = 0;
+
+  function peek() {
+    return tokens[position];
+  }
+
+  function next(expected) {
+    var token = tokens[position++];
+    if (exists(expected) && token !== expected) {
+      throw new Error('Expected ' + expected);
+    }
+    return token;
+  }
+
+  // sum := product (('+' | '-') product)*
+  function sum() {
+    var result = product();
+    while (peek() === '+' || peek() === '-') {
+      result = next() === '+' ? result + product() : result - product();
+    }
+    return result;
+  }
+
+  // product := factor (('*' | '/') factor)*
+  function product() {
+    var result = factor();
+    while (peek() === '*' || peek() === '/') {
+      result = next() === '*' ? result * factor() : result / factor();
+    }
+    return result;
+  }
+
+  // factor := '-' factor | number '%'? | 'cpus' | 'auto' | '(' sum ')'
+  //   | ('min' | 'max') '(' sum (',' sum)* ')'
+  function factor() {
+    var token = next();
+    if (token === '-') {
+      return -factor();
+    }
+    if (token === '(') {
+      var result = sum();
+      next(')');
+      return result;
+    }
+    if (/^\d/.test(token)) {
+      if (peek() === '%') {
+        next();
+        return cpus * parseFloat(token) / 100;
+      }
+      return parseFloat(token);
+    }
+    token = String(token).toLowerCase();
+    if (token === 'cpus' || token === 'auto') {
+      return cpus;
+    }
+    if (token === 'min' || token === 'max') {
+      next('(');
+      var args = [sum()];
+      while (peek() === ',') {
+        next();
+        args.push(sum());
+      }
+      next(')');
+      return Math[token].apply(Math, args);
+    }
+    throw new Error('Unexpected ' + token);
+  }
+
+  var value = sum();
+  if (position !== tokens.length) {
+    throw new Error('Unexpected ' + peek());
+  }
+  return value;
+}
+
+/**
+ * Summarizes resolved options for logging, leaving out functions and loggers.
+ * Worker groups are summarized by their worker count, and the environment of
+ * workers by the names of its variables, since their values are often
+ * secrets.
+ * @param {Object} options The options.
+ * @return {Object} The summary.
+ */
+exports.summary = function (options) {
+  var summary = {};
+  Object.keys(options).sort().forEach(function (name) {
+    var value = options[name];
+    if (isFunction(value) || name === 'logger') {
+      return;
+    }
+    if (name === 'groups') {
+      value = {};
+      Object.keys(options.groups).forEach(function (group) {
+        value[group] = options.groups[group].count;
+      });
+    }
+    if (name === 'env') {
+      value = Object.keys(value).sort();
+    }
+    summary[name] = value;
+  });
+  return summary;
+};
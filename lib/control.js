@@ -0,0 +1,289 @@
+'use strict';
+
+var fs = require('fs');
+var net = require('net');
+var exists = require('101/exists');
+
+/**
+ * Admin control server for the master, listening on a Unix domain socket.
+ * @module cluster-man/lib/control
+ */
+module.exports = ControlServer;
+
+/**
+ * Accepts newline delimited JSON commands on a Unix domain socket and applies
+ * them to the cluster. Every command is an object with a `command` name, and
+ * an optional `id` that is echoed in the response. Responses are written as a
+ * single line of JSON with either a `result` or an `error`.
+ *
+ * @example
+ * // Request
+ * {"id":1,"command":"scale","numWorkers":8}
+ * // Response
+ * {"id":1,"ok":true,"result":{"numWorkers":8}}
+ *
+ * @class
+ * @param {ClusterManager} manager Manager of the cluster.
+ * @param {String} path Path of the Unix domain socket.
+ */
+function ControlServer(manager, path) {
+  this.manager = manager;
+  this.path = path;
+  this.server = net.createServer(this._connection.bind(this));
+}
+
+/**
+ * Handlers for each command, invoked with the manager, the request and a
+ * node-style callback for the result.
+ * @type {Object}
+ */
+ControlServer.commands = {
+  /**
+   * Lists the workers of the cluster.
+   */
+  list: function (manager, request, cb) {
+    cb(null, manager.getWorkers());
+  },
+
+  /**
+   * Gracefully replaces a single worker, given by `workerId`. Workers that are
+   * already being replaced or retired are left alone.
+   */
+  restart: function (manager, request, cb) {
+    var worker = manager.workers.filter(function (worker) {
+      return String(worker.id) === String(request.workerId);
+    })[0];
+    if (!worker) {
+      return cb(new Error('Unknown worker: ' + request.workerId));
+    }
+    if (manager.shuttingDown) {
+      return cb(new Error('Cluster is shutting down.'));
+    }
+    if (manager.replacing[worker.id] || manager.retiring[worker.id]) {
+      return cb(new Error(
+        'Worker ' + worker.id + ' is already being replaced or retired.'
+      ));
+    }
+    manager.replaceWorker(worker, function (err, replacement) {
+      if (err) {
+        return cb(err);
+      }
+      cb(null, { workerId: replacement.id });
+    });
+  },
+
+  /**
+   * Performs a rolling restart of the cluster.
+   */
+  reload: function (manager, request, cb) {
+    manager.reload(function (err) {
+      cb(err, {});
+    });
+  },
+
+  /**
+   * Scales the cluster, or the worker group given by `group`, to `numWorkers`.
+   */
+  scale: function (manager, request, cb) {
+    function done(err) {
+      cb(err, { numWorkers: request.numWorkers });
+    }
+    if (exists(request.group)) {
+      manager.scaleTo(request.group, request.numWorkers, done);
+    }
+    else {
+      manager.scaleTo(request.numWorkers, done);
+    }
+  },
+
+  /**
+   * Gracefully shuts down the cluster. Responds before shutting down.
+   */
+  shutdown: function (manager, request, cb) {
+    cb(null, {});
+    setImmediate(function () {
+      manager.shutdown();
+    });
+  }
+};
+
+/**
+ * Sends a single command to the control server of a running master.
+ * @param {String} path Path of the Unix domain socket.
+ * @param {Object} request The command.
+ * @param {function} cb Callback to execute with an error, or with the result
+ *   of the command.
+ */
+ControlServer.request = function (path, request, cb) {
+  var client = net.connect(path);
+  var buffer = '';
+  var done = false;
+  function finish(err, result) {
+    if (!done) {
+      done = true;
+      client.destroy();
+      cb(err, result);
+    }
+  }
+  client.setEncoding('utf8');
+  client.on('error', finish);
+  client.on('data', function (chunk) {
+    buffer += chunk;
+    var index = buffer.indexOf('\n');
+    if (index === -1) {
+      return;
+    }
+    var response;
+    try {
+      response = JSON.parse(buffer.slice(0, index));
+    }
+    catch (err) {
+      return finish(err);
+    }
+    if (!response.ok) {
+      return finish(new Error(response.error));
+    }
+    finish(null, response.result);
+  });
+  client.on('close', function () {
+    finish(new Error('Control server closed the connection.'));
+  });
+  client.write(JSON.stringify(request) + '\n');
+};
+
+/**
+ * Starts listening on the socket. A stale socket left behind by a master that
+ * is no longer running is removed first. The socket is created under a
+ * restrictive umask, so that it is only ever accessible by the user running the
+ * master.
+ * @param {function} [cb] Callback to execute once listening, or with an error.
+ */
+ControlServer.prototype.listen = function (cb) {
+  var self = this;
+  cb = cb || function () {};
+
+  function listen(retry) {
+    self.server.once('listening', onListening);
+    self.server.once('error', onError);
+    // The master binds the socket synchronously, before the umask is restored
+    var umask = process.umask(parseInt('177', 8));
+    try {
+      self.server.listen(self.path);
+    }
+    finally {
+      process.umask(umask);
+    }
+
+    function onListening() {
+      self.server.removeListener('error', onError);
+      cb();
+    }
+
+    function onError(err) {
+      self.server.removeListener('listening', onListening);
+      if (err.code !== 'EADDRINUSE' || !retry) {
+        return cb(err);
+      }
+      // Only remove the socket if no master is listening on it
+      var probe = net.connect(self.path);
+      probe.on('connect', function () {
+        probe.destroy();
+        cb(err);
+      });
+      probe.on('error', function () {
+        fs.unlink(self.path, function (unlinkErr) {
+          if (unlinkErr) {
+            return cb(err);
+          }
+          listen(false);
+        });
+      });
+    }
+  }
+  listen(true);
+};
+
+/**
+ * Stops listening and removes the socket.
+ */
+ControlServer.prototype.close = function () {
+  this.server.close();
+};
+
+/**
+ * Executes a single command.
+ * @param {Object} request The command.
+ * @param {function} cb Callback to execute with the error or result.
+ */
+ControlServer.prototype.execute = function (request, cb) {
+  var commands = ControlServer.commands;
+  var name = request && request.command;
+  var command = commands.hasOwnProperty(name) && commands[name];
+  if (!command) {
+    return cb(new Error('Unknown command: ' + name));
+  }
+  try {
+    command(this.manager, request, cb);
+  }
+  catch (err) {
+    cb(err);
+  }
+};
+
+/**
+ * Reads commands from a connection and writes a response for each command.
+ * @param {net.Socket} socket The connection.
+ */
+ControlServer.prototype._connection = function (socket) {
+  var self = this;
+  var buffer = '';
+  socket.setEncoding('utf8');
+  socket.on('error', function () {
+    // The client went away, there is nobody left to respond to
+  });
+  socket.on('data', function (chunk) {
+    buffer += chunk;
+    var lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(function (line) {
+      return line.trim().length > 0;
+    }).forEach(function (line) {
+      self._line(socket, line);
+    });
+  });
+};
+
+/**
+ * Parses and executes a single line sent by a client.
+ * @param {net.Socket} socket Connection the line was received on.
+ * @param {String} line The line.
+ */
+ControlServer.prototype._line = function (socket, line) {
+  var request;
+  try {
+    request = JSON.parse(line);
+  }
+  catch (err) {
+    return respond(null, new Error('Invalid JSON: ' + err.message));
+  }
+  this.execute(request, function (err, result) {
+    respond(request, err, result);
+  });
+
+  function respond(request, err, result) {
+    var response = {};
+    if (request && exists(request.id)) {
+      response.id = request.id;
+    }
+    response.ok = !err;
+    if (err) {
+      response.error = err.message;
+    }
+    else {
+      response.result = result;
+    }
+    if (socket.writable) {
+      socket.write(JSON.stringify(response) + '\n');
+    }
+  }
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var exists = require('101/exists');
+var Rpc = require('./rpc');
+
+/**
+ * Crash reports of the master, describing the workers that crashed before the
+ * cluster failed.
+ * @module cluster-man/lib/crash-report
+ */
+module.exports = CrashReporter;
+
+/**
+ * Number of characters of the output of each worker that are kept.
+ * @type {Number}
+ */
+CrashReporter.STDERR_LIMIT = 8192;
+
+/**
+ * Time (in milliseconds) to wait for the output of crashed workers to be
+ * flushed before a crash report is created.
+ * @type {Number}
+ */
+CrashReporter.FLUSH_TIMEOUT = 1000;
+
+/**
+ * Collects the last uncaught error, the exit, the uptime and the tail of the
+ * `stderr` of crashed workers. When the cluster fails because all of its
+ * workers died or it is in a crash loop, the recent crashes are combined into
+ * a single error and, when a directory is given, written as a JSON crash
+ * report.
+ *
+ * @class
+ * @param {ClusterManager} manager Manager of the cluster.
+ */
+function CrashReporter(manager) {
+  this.manager = manager;
+  this.crashes = [];
+  this.failed = false;
+
+  // Last error relayed by each worker and the output captured from each
+  // worker, indexed by worker id
+  this.errors = {};
+  this.outputs = {};
+}
+
+/**
+ * Captures the `stderr` of a worker, when the master forks workers with
+ * `silent` set. The output of the worker is passed through to the output of
+ * the master.
+ * @param {cluster~Worker} worker The worker.
+ */
+CrashReporter.prototype.watch = function (worker) {
+  var child = worker.process;
+  if (!child || !child.stderr) {
+    return;
+  }
+  // Piping would add listeners to the output of the master for every worker
+  if (child.stdout) {
+    child.stdout.on('data', function (chunk) {
+      process.stdout.write(chunk);
+    });
+  }
+  var output = this.outputs[worker.id] = { text: '', stream: child.stderr };
+  child.stderr.on('data', function (chunk) {
+    process.stderr.write(chunk);
+    output.text = (output.text + chunk).slice(-CrashReporter.STDERR_LIMIT);
+  });
+  child.stderr.on('end', function () {
+    output.stream = null;
+  });
+};
+
+/**
+ * Records the last uncaught error of a worker, as relayed by the worker before
+ * it exits.
+ * @param {cluster~Worker} worker The worker.
+ * @param {Object} err The error, serialized with `Rpc.serializeError`.
+ */
+CrashReporter.prototype.error = function (worker, err) {
+  // The error may arrive after the exit of the worker
+  var crash = this._find(worker.id);
+  if (crash) {
+    crash.error = err;
+  }
+  else {
+    this.errors[worker.id] = err;
+  }
+};
+
+/**
+ * Records the crash of a worker. Only the most recent crashes are kept, enough
+ * to cover every worker of the cluster and a crash loop.
+ * @param {WorkerRecord} record Record of the worker that crashed.
+ */
+CrashReporter.prototype.crash = function (record) {
+  this.crashes.push({
+    id: record.id,
+    pid: record.pid,
+    group: record.group,
+    index: record.index,
+    exitCode: record.exitCode,
+    signal: record.signal,
+    uptime: record.uptime(),
+    time: record.timestamps.dead,
+    error: this.errors[record.id] || null,
+    output: this.outputs[record.id] || null
+  });
+  delete this.errors[record.id];
+  delete this.outputs[record.id];
+  var limit = Math.max(this.manager.options.crashLoopCount, this._size());
+  this.crashes = this.crashes.slice(-limit);
+};
+
+/**
+ * Forgets a worker that exited without crashing.
+ * @param {cluster~Worker} worker The worker.
+ */
+CrashReporter.prototype.forget = function (worker) {
+  delete this.errors[worker.id];
+  delete this.outputs[worker.id];
+};
+
+/**
+ * Creates the error that makes the master exit, once the output of the
+ * crashed workers has been flushed. The error carries the recent crashes as
+ * `err.workers` and the errors of the crashed workers as `err.errors`. When
+ * the `crashReportDir` option is set the crash report is written to that
+ * directory, and its path is available as `err.reportPath`.
+ * @param {String} message Message of the error.
+ * @param {function} cb Callback that receives the error. Executed
+ *   synchronously if there is no output to wait for, and not executed again
+ *   for later failures.
+ */
+CrashReporter.prototype.fatal = function (message, cb) {
+  // Only the first failure of the cluster is reported
+  if (this.failed) {
+    return;
+  }
+  this.failed = true;
+  var self = this;
+  this._flush(function () {
+    var err = new Error(message);
+    err.workers = self.crashes.map(function (crash) {
+      return {
+        id: crash.id,
+        pid: crash.pid,
+        group: crash.group,
+        index: crash.index,
+        exitCode: crash.exitCode,
+        signal: crash.signal,
+        uptime: crash.uptime,
+        time: crash.time,
+        error: crash.error,
+        stderr: crash.output ? crash.output.text : null
+      };
+    });
+    err.errors = self.crashes.filter(function (crash) {
+      return crash.error;
+    }).map(function (crash) {
+      return Rpc.deserializeError(crash.error);
+    });
+    if (exists(self.manager.options.crashReportDir)) {
+      self._write(err);
+    }
+    cb(err);
+  });
+};
+
+/**
+ * Waits for the output of crashed workers to end, or for the flush timeout.
+ * @param {function} cb Callback to execute once done.
+ */
+CrashReporter.prototype._flush = function (cb) {
+  var streams = this.crashes.filter(function (crash) {
+    return crash.output && crash.output.stream;
+  }).map(function (crash) {
+    return crash.output.stream;
+  });
+  var remaining = streams.length;
+  if (remaining === 0) {
+    return cb();
+  }
+  var finished = false;
+  function finish() {
+    if (!finished) {
+      finished = true;
+      clearTimeout(timer);
+      cb();
+    }
+  }
+  var timer = setTimeout(finish, CrashReporter.FLUSH_TIMEOUT);
+  streams.forEach(function (stream) {
+    stream.once('end', function () {
+      if (--remaining === 0) {
+        finish();
+      }
+    });
+  });
+};
+
+/**
+ * Writes a crash report to the `crashReportDir`. Failures are logged, since
+ * they must not keep the master from exiting.
+ * @param {Error} err Error created by `fatal`.
+ */
+CrashReporter.prototype._write = function (err) {
+  var manager = this.manager;
+  var dir = manager.options.crashReportDir;
+  var now = Date.now();
+  var file = path.join(
+    dir, 'crash-report-' + now + '-' + process.pid + '.json'
+  );
+  var report = {
+    reason: err.message,
+    time: now,
+    pid: process.pid,
+    hostname: os.hostname(),
+    workers: err.workers
+  };
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n');
+  }
+  catch (writeErr) {
+    return manager.log.error(
+      'Could not write crash report to ' + file + ': ' + writeErr.message,
+      manager._logFields('crashReportError', null, { err: writeErr })
+    );
+  }
+  err.reportPath = file;
+  manager.log.error(
+    'Crash report written to ' + file,
+    manager._logFields('crashReport', null, { path: file })
+  );
+};
+
+/**
+ * Finds a recorded crash.
+ * @param {Number} workerId Id of the worker.
+ * @return {Object|undefined} The crash.
+ */
+CrashReporter.prototype._find = function (workerId) {
+  return this.crashes.filter(function (crash) {
+    return crash.id === workerId;
+  })[0];
+};
+
+/**
+ * Number of workers the cluster runs, across every group.
+ * @return {Number} Number of workers.
+ */
+CrashReporter.prototype._size = function () {
+  var manager = this.manager;
+  return manager._groupNames().reduce(function (total, group) {
+    return total + manager._groupSize(group);
+  }, 0);
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+var os = require('os');
+
+/**
+ * Structured logger that writes newline delimited JSON.
+ * @module cluster-man/lib/json-logger
+ */
+module.exports = JsonLogger;
+
+/**
+ * Logger with a bunyan- and pino-style interface that writes every record as a
+ * single line of JSON. Records have a `time`, `level`, `name`, `hostname` and
+ * `msg` field along with the fields given for the record.
+ *
+ * @example
+ * var manager = new ClusterManager({
+ *   worker: app.start,
+ *   logger: new ClusterManager.JsonLogger()
+ * });
+ *
+ * @class
+ * @param {Object} [opts] Options for the logger.
+ * @param {stream.Writable} [opts.stream] Stream to write the records to.
+ *   Defaults to `process.stdout`.
+ * @param {String} [opts.name='cluster-man'] Name included in every record.
+ */
+function JsonLogger(opts) {
+  opts = opts || {};
+  this.stream = opts.stream || process.stdout;
+  this.name = opts.name || 'cluster-man';
+  this.hostname = os.hostname();
+}
+
+/**
+ * Writes a record.
+ * @param {String} level Level of the record.
+ * @param {Object} [fields] Fields to include in the record.
+ * @param {String} msg Message of the record.
+ */
+JsonLogger.prototype.write = function (level, fields, msg) {
+  if (typeof fields === 'string') {
+    msg = fields;
+    fields = {};
+  }
+  var record = {
+    time: new Date().toISOString(),
+    level: level,
+    name: this.name,
+    hostname: this.hostname
+  };
+  Object.keys(fields || {}).forEach(function (key) {
+    record[key] = fields[key];
+  });
+  record.msg = msg;
+  this.stream.write(JSON.stringify(record, JsonLogger.replacer) + '\n');
+};
+
+/**
+ * Writes an informational record.
+ * @param {Object} [fields] Fields to include in the record.
+ * @param {String} msg Message of the record.
+ */
+JsonLogger.prototype.info = function (fields, msg) {
+  this.write('info', fields, msg);
+};
+
+/**
+ * Writes a warning record.
+ * @param {Object} [fields] Fields to include in the record.
+ * @param {String} msg Message of the record.
+ */
+JsonLogger.prototype.warn = function (fields, msg) {
+  this.write('warn', fields, msg);
+};
+
+/**
+ * Writes an error record.
+ * @param {Object} [fields] Fields to include in the record.
+ * @param {String} msg Message of the record.
+ */
+JsonLogger.prototype.error = function (fields, msg) {
+  this.write('error', fields, msg);
+};
+
+/**
+ * Replacer for `JSON.stringify` that serializes errors, which otherwise have
+ * no enumerable properties.
+ * @param {String} key Key of the value.
+ * @param {*} value Value to serialize.
+ * @return {*} Serializable value.
+ */
+JsonLogger.replacer = function (key, value) {
+  if (!(value instanceof Error)) {
+    return value;
+  }
+  var serialized = {
+    name: value.name,
+    message: value.message,
+    stack: value.stack
+  };
+  if (value.code !== undefined) {
+    serialized.code = value.code;
+  }
+  return serialized;
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+var noop = require('101/noop');
+
+/**
+ * Helpers for the internal messages exchanged between the master and worker
+ * processes. Internal messages are namespaced so they do not collide with
+ * messages sent by the application.
+ * @module cluster-man/lib/message
+ */
+
+/**
+ * Prefix for the `cmd` of every internal message.
+ * @type {String}
+ */
+var PREFIX = 'cluster-man:';
+
+/**
+ * Creates an internal message.
+ * @param {String} type Type of the message.
+ * @param {*} [data] Payload for the message.
+ * @return {Object} The message.
+ */
+exports.create = function (type, data) {
+  return { cmd: PREFIX + type, data: data };
+};
+
+/**
+ * Determines the type of an internal message.
+ * @param {*} message Message received over IPC.
+ * @return {String|null} Type of the message, or `null` if the message is not an
+ *   internal message.
+ */
+exports.typeOf = function (message) {
+  if (!message || typeof message.cmd !== 'string') {
+    return null;
+  }
+  if (message.cmd.indexOf(PREFIX) !== 0) {
+    return null;
+  }
+  return message.cmd.substr(PREFIX.length);
+};
+
+/**
+ * Sends an internal message. Messages sent to a target that is no longer
+ * connected are silently dropped.
+ * @param {process|cluster~Worker} target Process or worker to send to.
+ * @param {String} type Type of the message.
+ * @param {*} [data] Payload for the message.
+ * @param {net.Socket|net.Server} [handle] Handle to pass along with the
+ *   message.
+ * @param {function} [cb] Callback to execute once the message has been
+ *   written, or has failed to be written, to the IPC channel. Not executed
+ *   when the message is dropped.
+ * @return {Boolean} `true` if the message was sent, `false` otherwise.
+ */
+exports.send = function (target, type, data, handle, cb) {
+  if (!target || typeof target.send !== 'function') {
+    return false;
+  }
+  var connected = typeof target.isConnected === 'function' ?
+    target.isConnected() :
+    target.connected !== false;
+  if (!connected) {
+    return false;
+  }
+  // Errors from targets that disconnect while sending are ignored
+  cb = cb || noop;
+  if (handle) {
+    target.send(exports.create(type, data), handle, cb);
+  }
+  else {
+    target.send(exports.create(type, data), cb);
+  }
+  return true;
+};
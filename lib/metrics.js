@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Cluster lifecycle metrics in the Prometheus text exposition format.
+ * @module cluster-man/lib/metrics
+ */
+module.exports = Metrics;
+
+/**
+ * States a worker can be in, in the order they are rendered.
+ * @type {Array}
+ */
+Metrics.STATES = ['forked', 'online', 'listening', 'disconnected'];
+
+/**
+ * Keeps the counters and gauges of the cluster lifecycle, updated by the
+ * master as workers are forked, change state and exit.
+ *
+ * @class
+ * @param {String} [prefix='cluster_man'] Prefix for the metric names.
+ */
+function Metrics(prefix) {
+  this.prefix = prefix || 'cluster_man';
+  this.startTime = Date.now();
+  this.states = {};
+  this.forks = 0;
+  this.restarts = 0;
+  this.failedStarts = 0;
+  this.exits = {};
+}
+
+/**
+ * Records that a worker was forked.
+ * @param {Number} workerId Id of the worker.
+ */
+Metrics.prototype.fork = function (workerId) {
+  this.forks++;
+  this.states[workerId] = 'forked';
+};
+
+/**
+ * Records the state of a worker.
+ * @param {Number} workerId Id of the worker.
+ * @param {String} state One of `Metrics.STATES`.
+ */
+Metrics.prototype.setState = function (workerId, state) {
+  this.states[workerId] = state;
+};
+
+/**
+ * Records that a worker exited.
+ * @param {Number} workerId Id of the worker.
+ * @param {Number} code Exit code of the worker process.
+ * @param {String} signal Signal that killed the worker process.
+ */
+Metrics.prototype.exit = function (workerId, code, signal) {
+  delete this.states[workerId];
+  code = code === null || code === undefined ? '' : String(code);
+  signal = signal || '';
+  var key = code + ':' + signal;
+  this.exits[key] = this.exits[key] || { code: code, signal: signal, count: 0 };
+  this.exits[key].count++;
+};
+
+/**
+ * Records that a worker was forked to replace another worker.
+ */
+Metrics.prototype.restart = function () {
+  this.restarts++;
+};
+
+/**
+ * Records that a worker exited before becoming ready.
+ */
+Metrics.prototype.failedStart = function () {
+  this.failedStarts++;
+};
+
+/**
+ * Renders the metrics in the Prometheus text exposition format.
+ * @return {String} The metrics.
+ */
+Metrics.prototype.render = function () {
+  var self = this;
+  var lines = [];
+
+  function metric(name, type, help, samples) {
+    name = self.prefix + '_' + name;
+    lines.push('# HELP ' + name + ' ' + help);
+    lines.push('# TYPE ' + name + ' ' + type);
+    samples.forEach(function (sample) {
+      lines.push(name + labels(sample.labels) + ' ' + sample.value);
+    });
+  }
+
+  var counts = {};
+  Object.keys(this.states).forEach(function (workerId) {
+    var state = self.states[workerId];
+    counts[state] = (counts[state] || 0) + 1;
+  });
+
+  metric('workers', 'gauge', 'Number of workers alive, per state.',
+    Metrics.STATES.map(function (state) {
+      return { labels: { state: state }, value: counts[state] || 0 };
+    })
+  );
+  metric('worker_forks_total', 'counter', 'Total number of forked workers.', [
+    { value: this.forks }
+  ]);
+  metric('worker_exits_total', 'counter',
+    'Total number of worker exits, by exit code and signal.',
+    Object.keys(this.exits).sort().map(function (key) {
+      var exit = self.exits[key];
+      return {
+        labels: { code: exit.code, signal: exit.signal },
+        value: exit.count
+      };
+    })
+  );
+  metric('worker_restarts_total', 'counter',
+    'Total number of workers forked to replace another worker.',
+    [{ value: this.restarts }]
+  );
+  metric('worker_failed_starts_total', 'counter',
+    'Total number of workers that exited before becoming ready.',
+    [{ value: this.failedStarts }]
+  );
+  metric('master_uptime_seconds', 'gauge',
+    'Time since the master process started.',
+    [{ value: (Date.now() - this.startTime) / 1000 }]
+  );
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Formats the labels of a sample.
+ * @param {Object} [values] Label values, indexed by label name.
+ * @return {String} The formatted labels.
+ */
+function labels(values) {
+  if (!values) {
+    return '';
+  }
+  return '{' + Object.keys(values).map(function (name) {
+    var value = String(values[name])
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"');
+    return name + '="' + value + '"';
+  }).join(',') + '}';
+}
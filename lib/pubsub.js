@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Channel subscriptions for publish/subscribe messaging between workers.
+ * @module cluster-man/lib/pubsub
+ */
+module.exports = PubSub;
+
+/**
+ * Keeps track of the local subscribers of each channel and, on the master,
+ * of the workers subscribed to each channel.
+ *
+ * @class
+ */
+function PubSub() {
+  this.subscribers = {};
+  this.workers = {};
+}
+
+/**
+ * Adds a local subscriber to a channel.
+ * @param {String} channel Name of the channel.
+ * @param {function} fn Subscriber to add.
+ * @return {Boolean} `true` if this is the first subscriber of the channel.
+ */
+PubSub.prototype.subscribe = function (channel, fn) {
+  var subscribers = this.subscribers[channel] = this.subscribers[channel] || [];
+  subscribers.push(fn);
+  return subscribers.length === 1;
+};
+
+/**
+ * Removes a local subscriber from a channel.
+ * @param {String} channel Name of the channel.
+ * @param {function} fn Subscriber to remove.
+ * @return {Boolean} `true` if the channel no longer has any subscribers.
+ */
+PubSub.prototype.unsubscribe = function (channel, fn) {
+  var subscribers = this.subscribers[channel];
+  if (!subscribers) {
+    return false;
+  }
+  var index = subscribers.indexOf(fn);
+  if (index === -1) {
+    return false;
+  }
+  subscribers.splice(index, 1);
+  if (subscribers.length > 0) {
+    return false;
+  }
+  delete this.subscribers[channel];
+  return true;
+};
+
+/**
+ * Delivers a message to the local subscribers of a channel.
+ * @param {String} channel Name of the channel.
+ * @param {*} data The message.
+ */
+PubSub.prototype.deliver = function (channel, data) {
+  (this.subscribers[channel] || []).slice().forEach(function (fn) {
+    fn(data, channel);
+  });
+};
+
+/**
+ * Records that a worker is subscribed to a channel.
+ * @param {String} channel Name of the channel.
+ * @param {Number} workerId Id of the worker.
+ */
+PubSub.prototype.addWorker = function (channel, workerId) {
+  this.workers[channel] = this.workers[channel] || {};
+  this.workers[channel][workerId] = true;
+};
+
+/**
+ * Records that a worker is no longer subscribed to a channel, or to any channel
+ * if no channel is given.
+ * @param {Number} workerId Id of the worker.
+ * @param {String} [channel] Name of the channel.
+ */
+PubSub.prototype.removeWorker = function (workerId, channel) {
+  var self = this;
+  var channels = channel ? [channel] : Object.keys(this.workers);
+  channels.forEach(function (name) {
+    if (!self.workers[name]) {
+      return;
+    }
+    delete self.workers[name][workerId];
+    if (Object.keys(self.workers[name]).length === 0) {
+      delete self.workers[name];
+    }
+  });
+};
+
+/**
+ * Determines whether or not a worker is subscribed to a channel.
+ * @param {String} channel Name of the channel.
+ * @param {Number} workerId Id of the worker.
+ * @return {Boolean} `true` if the worker is subscribed.
+ */
+PubSub.prototype.hasWorker = function (channel, workerId) {
+  return !!(this.workers[channel] && this.workers[channel][workerId]);
+};
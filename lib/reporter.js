@@ -0,0 +1,109 @@
+'use strict';
+
+var message = require('./message');
+
+/**
+ * Worker side load and resource usage reporting.
+ * @module cluster-man/lib/reporter
+ */
+module.exports = Reporter;
+
+/**
+ * Periodically samples the load and resource usage of a worker process and
+ * reports it to the master process over IPC.
+ *
+ * @class
+ * @param {Number} interval Time (in milliseconds) between reports.
+ * @param {process} [proc=process] Process to report from.
+ */
+function Reporter(interval, proc) {
+  this.interval = interval;
+  this.process = proc || process;
+  this.timer = null;
+  this.lag = 0;
+  this.cpuUsage = null;
+  this.cpuTime = null;
+}
+
+/**
+ * Starts reporting. The reporting timer does not keep the worker process
+ * alive.
+ */
+Reporter.prototype.start = function () {
+  this.stop();
+  this.cpu();
+  this._schedule();
+};
+
+/**
+ * Stops reporting.
+ */
+Reporter.prototype.stop = function () {
+  clearTimeout(this.timer);
+  this.timer = null;
+};
+
+/**
+ * Schedules the next sample. Event loop lag is measured as the time by which
+ * the timer fired later than it was scheduled to.
+ */
+Reporter.prototype._schedule = function () {
+  var self = this;
+  var expected = Date.now() + this.interval;
+  this.timer = setTimeout(function () {
+    self.lag = Math.max(Date.now() - expected, 0);
+    self.report();
+    self._schedule();
+  }, this.interval);
+  this.timer.unref();
+};
+
+/**
+ * Determines the CPU usage of the worker since the last time it was measured.
+ * @return {Number} CPU usage as a percentage of a single core.
+ */
+Reporter.prototype.cpu = function () {
+  if (!this.process.cpuUsage) {
+    return 0;
+  }
+  var now = Date.now();
+  var usage = this.process.cpuUsage();
+  var percent = 0;
+  if (this.cpuUsage && now > this.cpuTime) {
+    var used = (usage.user - this.cpuUsage.user) +
+      (usage.system - this.cpuUsage.system);
+    percent = (used / 1000) / (now - this.cpuTime) * 100;
+  }
+  this.cpuUsage = usage;
+  this.cpuTime = now;
+  return percent;
+};
+
+/**
+ * Takes a sample of the worker's load and resource usage.
+ * @return {Object} Sample with the event loop `lag` (in milliseconds), the
+ *   number of active `handles`, the resident set size `rss` and `heapUsed` (in
+ *   bytes), and the `cpu` usage (as a percentage of a single core).
+ */
+Reporter.prototype.sample = function () {
+  var handles = this.process._getActiveHandles ?
+    this.process._getActiveHandles().length :
+    0;
+  var memory = this.process.memoryUsage ?
+    this.process.memoryUsage() :
+    {};
+  return {
+    lag: this.lag,
+    handles: handles,
+    rss: memory.rss || 0,
+    heapUsed: memory.heapUsed || 0,
+    cpu: this.cpu()
+  };
+};
+
+/**
+ * Sends a sample to the master process.
+ */
+Reporter.prototype.report = function () {
+  message.send(this.process, 'report', this.sample());
+};
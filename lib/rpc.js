@@ -0,0 +1,214 @@
+'use strict';
+
+var message = require('./message');
+
+/**
+ * Request/response messaging between the master and worker processes.
+ * @module cluster-man/lib/rpc
+ */
+module.exports = Rpc;
+
+/**
+ * Performs remote procedure calls over IPC. Each side registers handlers for
+ * the methods it exposes and calls methods exposed by the other side. Requests
+ * and responses are correlated by an id that is unique to the calling process,
+ * and are sent as internal messages so they never collide with application
+ * messages.
+ *
+ * @class
+ * @param {Number} timeout Time (in milliseconds) after which calls that have not
+ *   received a response are rejected.
+ */
+function Rpc(timeout) {
+  this.timeout = timeout;
+  this.handlers = {};
+  this.pending = {};
+  this.nextId = 0;
+}
+
+/**
+ * Converts an error into a plain object that can be sent over IPC.
+ * @param {Error} err Error to serialize.
+ * @return {Object} Serialized error.
+ */
+Rpc.serializeError = function (err) {
+  if (!(err instanceof Error)) {
+    return { name: 'Error', message: String(err) };
+  }
+  var serialized = {
+    name: err.name,
+    message: err.message,
+    stack: err.stack
+  };
+  if (err.code !== undefined) {
+    serialized.code = err.code;
+  }
+  return serialized;
+};
+
+/**
+ * Restores an error serialized with `Rpc.serializeError`.
+ * @param {Object} serialized Serialized error.
+ * @return {Error} The error, with its original name, stack and code.
+ */
+Rpc.deserializeError = function (serialized) {
+  var err = new Error(serialized.message);
+  err.name = serialized.name;
+  if (serialized.stack) {
+    err.stack = serialized.stack;
+  }
+  if (serialized.code !== undefined) {
+    err.code = serialized.code;
+  }
+  return err;
+};
+
+/**
+ * Registers a handler for a method. Handlers receive the arguments of the call
+ * and may return a value, a promise or throw an error.
+ * @param {String} method Name of the method.
+ * @param {function} fn Handler for the method.
+ */
+Rpc.prototype.handle = function (method, fn) {
+  this.handlers[method] = fn;
+};
+
+/**
+ * Calls a method exposed by another process.
+ * @param {process|cluster~Worker} target Process or worker to call.
+ * @param {String} method Name of the method to call.
+ * @param {Array} [args] Arguments for the call.
+ * @return {Promise} Resolves with the result of the call, or rejects with the
+ *   error thrown by the handler, or if the call timed out.
+ */
+Rpc.prototype.call = function (target, method, args) {
+  var self = this;
+  var id = process.pid + ':' + (++this.nextId);
+
+  return new Promise(function (resolve, reject) {
+    var sent = message.send(target, 'rpc-request', {
+      id: id,
+      method: method,
+      args: args || []
+    });
+    if (!sent) {
+      return reject(new Error(
+        'Cannot call "' + method + '": target is not connected.'
+      ));
+    }
+    var timer = setTimeout(function () {
+      delete self.pending[id];
+      reject(new Error(
+        'Call to "' + method + '" timed out after ' + self.timeout + 'ms.'
+      ));
+    }, self.timeout);
+    self.pending[id] = {
+      target: target,
+      method: method,
+      resolve: resolve,
+      reject: reject,
+      timer: timer
+    };
+  });
+};
+
+/**
+ * Handles a request from another process by invoking the registered handler
+ * and sending back its result. Results that can not be sent over IPC, such as
+ * circular objects, are sent back as an error.
+ * @param {process|cluster~Worker} source Process or worker that sent the
+ *   request.
+ * @param {Object} request The request.
+ */
+Rpc.prototype.request = function (source, request) {
+  function fail(err) {
+    message.send(source, 'rpc-response', {
+      id: request.id,
+      error: Rpc.serializeError(err)
+    });
+  }
+  this._invoke(source, request.method, request.args).then(function (result) {
+    try {
+      message.send(source, 'rpc-response', { id: request.id, result: result });
+    }
+    catch (err) {
+      fail(new Error(
+        'Cannot send the result of "' + request.method + '": ' + err.message
+      ));
+    }
+  }, fail);
+};
+
+/**
+ * Calls a handler registered in this process, for a process that is both the
+ * master and its worker. Errors are passed on as if they had been sent over
+ * IPC.
+ * @param {String} method Name of the method to call.
+ * @param {Array} [args] Arguments for the call.
+ * @return {Promise} Resolves with the result of the handler, or rejects with
+ *   its error.
+ */
+Rpc.prototype.local = function (method, args) {
+  return this._invoke(null, method, args || []).catch(function (err) {
+    throw Rpc.deserializeError(Rpc.serializeError(err));
+  });
+};
+
+/**
+ * Executes the handler of a method.
+ * @param {process|cluster~Worker} source Process that made the call, used as
+ *   `this` for the handler.
+ * @param {String} method Name of the method.
+ * @param {Array} args Arguments for the call.
+ * @return {Promise} Resolves with the result of the handler, or rejects with
+ *   its error or if no handler is registered for the method.
+ */
+Rpc.prototype._invoke = function (source, method, args) {
+  var handler = this.handlers[method];
+  return new Promise(function (resolve) {
+    if (!handler) {
+      throw new Error('No handler registered for method "' + method + '".');
+    }
+    resolve(handler.apply(source, args));
+  });
+};
+
+/**
+ * Handles a response to a call made by this process.
+ * @param {Object} response The response.
+ */
+Rpc.prototype.response = function (response) {
+  var call = this.pending[response.id];
+  if (!call) {
+    return;
+  }
+  delete this.pending[response.id];
+  clearTimeout(call.timer);
+  if (response.error) {
+    call.reject(Rpc.deserializeError(response.error));
+  }
+  else {
+    call.resolve(response.result);
+  }
+};
+
+/**
+ * Rejects every pending call made to a target, for instance when a worker
+ * exits.
+ * @param {process|cluster~Worker} target Process or worker that was called.
+ * @param {String} reason Reason the calls are being rejected.
+ */
+Rpc.prototype.cancel = function (target, reason) {
+  var self = this;
+  Object.keys(this.pending).forEach(function (id) {
+    var call = self.pending[id];
+    if (call.target !== target) {
+      return;
+    }
+    delete self.pending[id];
+    clearTimeout(call.timer);
+    call.reject(new Error(
+      'Call to "' + call.method + '" failed: ' + reason
+    ));
+  });
+};
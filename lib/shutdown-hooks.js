@@ -0,0 +1,185 @@
+'use strict';
+
+var exists = require('101/exists');
+var isFunction = require('101/is-function');
+
+/**
+ * Ordered hooks executed when a master or worker process shuts down.
+ * @module cluster-man/lib/shutdown-hooks
+ */
+module.exports = ShutdownHooks;
+
+/**
+ * Default time (in milliseconds) a hook is given to complete.
+ * @type {Number}
+ */
+ShutdownHooks.DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Runs named hooks one after the other when a process shuts down. Hooks run in
+ * ascending `order`, and hooks with the same order run in the order they were
+ * registered. A hook that fails or does not complete within its timeout is
+ * logged and the next hook runs, so no hook can keep the process from exiting.
+ *
+ * @class
+ * @param {ClusterManager} manager Manager of the cluster, used for logging.
+ */
+function ShutdownHooks(manager) {
+  this.manager = manager;
+  this.hooks = [];
+  this.nextIndex = 0;
+}
+
+/**
+ * Registers a hook.
+ * @param {String} name Unique name of the hook, used in logs.
+ * @param {cluster-man~ShutdownHook} fn The hook.
+ * @param {Object} [options] Options for the hook.
+ * @param {Number} [options.timeoutMs=10000] Time (in milliseconds) the hook is
+ *   given to complete.
+ * @param {Number} [options.order=0] Hooks with a lower order run first.
+ * @throws Error If the name or hook are missing, or a hook with the same name
+ *   is already registered.
+ */
+ShutdownHooks.prototype.add = function (name, fn, options) {
+  if (typeof name !== 'string' || !isFunction(fn)) {
+    throw new Error('Shutdown hooks must be given a name and a function.');
+  }
+  if (this.names().indexOf(name) !== -1) {
+    throw new Error('Shutdown hook ' + name + ' is already registered.');
+  }
+  options = options || {};
+  this.hooks.push({
+    name: name,
+    fn: fn,
+    timeoutMs: exists(options.timeoutMs) ?
+      options.timeoutMs : ShutdownHooks.DEFAULT_TIMEOUT,
+    order: options.order || 0,
+    index: this.nextIndex++
+  });
+};
+
+/**
+ * Removes a hook.
+ * @param {String} name Name of the hook.
+ */
+ShutdownHooks.prototype.remove = function (name) {
+  this.hooks = this.hooks.filter(function (hook) {
+    return hook.name !== name;
+  });
+};
+
+/**
+ * Hooks in the order they run.
+ * @return {Array} The hooks.
+ */
+ShutdownHooks.prototype.sorted = function () {
+  return this.hooks.slice().sort(function (a, b) {
+    return a.order - b.order || a.index - b.index;
+  });
+};
+
+/**
+ * Names of the hooks in the order they run.
+ * @return {Array} The names.
+ */
+ShutdownHooks.prototype.names = function () {
+  return this.sorted().map(function (hook) {
+    return hook.name;
+  });
+};
+
+/**
+ * Runs every hook in order. Hooks that complete synchronously run
+ * synchronously.
+ * @param {Error} [err] Error that caused the process to shut down, passed to
+ *   every hook.
+ * @param {function} cb Callback to execute once every hook has completed,
+ *   failed or timed out. Receives the error of the first hook that failed or
+ *   timed out, if any.
+ */
+ShutdownHooks.prototype.run = function (err, cb) {
+  var self = this;
+  var hooks = this.sorted();
+  var failure = null;
+  function next() {
+    var hook = hooks.shift();
+    if (!hook) {
+      return cb(failure);
+    }
+    self._runHook(hook, err, function (hookErr) {
+      failure = failure || hookErr;
+      next();
+    });
+  }
+  next();
+};
+
+/**
+ * Runs a single hook. Hooks complete by calling `done`, by settling the
+ * promise they return or, for hooks that do not take `done` and do not return
+ * a promise, by returning.
+ * @param {Object} hook The hook.
+ * @param {Error} [err] Error that caused the process to shut down.
+ * @param {function} cb Callback to execute once the hook has completed, with
+ *   an error if it failed or timed out.
+ */
+ShutdownHooks.prototype._runHook = function (hook, err, cb) {
+  var manager = this.manager;
+  var finished = false;
+
+  function finish(hookErr) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(timer);
+    if (exists(hookErr) && !(hookErr instanceof Error)) {
+      hookErr = new Error(String(hookErr));
+    }
+    if (hookErr) {
+      manager.log.error(
+        'Shutdown hook ' + hook.name + ' failed: ' + hookErr.stack,
+        manager._logFields('shutdownHookError', null, {
+          hook: hook.name,
+          err: hookErr
+        })
+      );
+    }
+    cb(hookErr || null);
+  }
+
+  var timer = setTimeout(function () {
+    finished = true;
+    manager.log.error(
+      'Shutdown hook ' + hook.name + ' did not complete within ' +
+        hook.timeoutMs + 'ms, skipping.',
+      manager._logFields('shutdownHookTimeout', null, {
+        hook: hook.name,
+        timeout: hook.timeoutMs
+      })
+    );
+    cb(new Error(
+      'Shutdown hook ' + hook.name + ' timed out after ' + hook.timeoutMs +
+        'ms.'
+    ));
+  }, hook.timeoutMs);
+
+  var result;
+  try {
+    result = hook.fn(err, finish);
+  }
+  catch (hookErr) {
+    return finish(hookErr);
+  }
+  if (result && isFunction(result.then)) {
+    result.then(function () {
+      finish();
+    }, function (reason) {
+      finish(reason || new Error('Shutdown hook ' + hook.name + ' rejected.'));
+    });
+  }
+  else if (hook.fn.length < 2) {
+    finish();
+  }
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+var net = require('net');
+var isFunction = require('101/is-function');
+var message = require('./message');
+
+/**
+ * Sticky session load balancing, for protocols that need every connection of
+ * a client to be served by the same worker.
+ * @module cluster-man/lib/sticky
+ */
+module.exports = StickyBalancer;
+
+/**
+ * Accepts connections on the master and hands each one off to a worker chosen
+ * by hashing a key of the connection, the remote address by default. Workers
+ * are chosen with rendezvous hashing, so when workers die or are added only
+ * the keys of those workers move to other workers.
+ *
+ * Connections are only handed off to workers that called `manager.sticky()`.
+ * Connections accepted while no such worker is available wait for one.
+ *
+ * @class
+ * @param {ClusterManager} manager Manager of the cluster.
+ * @param {function} [key] Determines the key of a connection, given its
+ *   `net.Socket`. Defaults to the remote address of the connection.
+ */
+function StickyBalancer(manager, key) {
+  this.manager = manager;
+  this.key = isFunction(key) ? key : StickyBalancer.remoteAddress;
+  this.ready = {};
+  this.pending = [];
+  this.listening = false;
+  this.server = net.createServer(
+    { pauseOnConnect: true },
+    this._connection.bind(this)
+  );
+}
+
+/**
+ * Default key of a connection.
+ * @param {net.Socket} socket The connection.
+ * @return {String} Remote address of the connection.
+ */
+StickyBalancer.remoteAddress = function (socket) {
+  return socket.remoteAddress;
+};
+
+/**
+ * Hashes a string with 32 bit FNV-1a.
+ * @param {String} value String to hash.
+ * @return {Number} The hash.
+ */
+StickyBalancer.hash = function (value) {
+  var hash = 0x811c9dc5;
+  for (var i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = (hash +
+      (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24)
+    ) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * Starts accepting connections.
+ * @param {Number} port Port to listen on.
+ * @param {String} [host] Host to bind to. Defaults to every interface.
+ * @param {function} [cb] Callback to execute once listening, or with an error.
+ */
+StickyBalancer.prototype.listen = function (port, host, cb) {
+  var self = this;
+  cb = cb || function () {};
+  function onListening() {
+    self.server.removeListener('error', onError);
+    self.listening = true;
+    cb();
+  }
+  function onError(err) {
+    self.server.removeListener('listening', onListening);
+    cb(err);
+  }
+  this.server.once('listening', onListening);
+  this.server.once('error', onError);
+  this.server.listen(port, host);
+};
+
+/**
+ * Stops accepting connections, and closes the connections that are waiting
+ * for a worker. Connections that were handed off are not affected.
+ */
+StickyBalancer.prototype.close = function () {
+  if (this.listening) {
+    this.listening = false;
+    this.server.close();
+  }
+  this.pending.splice(0).forEach(function (socket) {
+    socket.destroy();
+  });
+};
+
+/**
+ * Address the balancer is listening on.
+ * @return {Object} The `address` and `port`.
+ */
+StickyBalancer.prototype.address = function () {
+  var address = this.server.address() || {};
+  return { address: address.address, port: address.port };
+};
+
+/**
+ * Starts handing off connections to a worker.
+ * @param {cluster~Worker} worker The worker.
+ */
+StickyBalancer.prototype.add = function (worker) {
+  this.ready[worker.id] = true;
+  this.pending.splice(0).forEach(this._connection, this);
+};
+
+/**
+ * Stops handing off connections to a worker.
+ * @param {cluster~Worker} worker The worker.
+ */
+StickyBalancer.prototype.remove = function (worker) {
+  delete this.ready[worker.id];
+};
+
+/**
+ * Chooses the worker for a key, among the workers that are ready and are not
+ * being retired.
+ * @param {String} key Key of a connection.
+ * @return {cluster~Worker|null} The worker, or `null` if no worker is
+ *   available.
+ */
+StickyBalancer.prototype.pick = function (key) {
+  var self = this;
+  var manager = this.manager;
+  var best = null;
+  var bestScore = -1;
+  manager.workers.forEach(function (worker) {
+    if (!self.ready[worker.id] || manager.retiring[worker.id]) {
+      return;
+    }
+    var score = StickyBalancer.hash(key + ':' + worker.id);
+    if (score > bestScore) {
+      best = worker;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+/**
+ * Hands off a connection to the worker chosen for its key, or keeps it waiting
+ * until a worker is available.
+ * @param {net.Socket} socket The connection.
+ */
+StickyBalancer.prototype._connection = function (socket) {
+  var self = this;
+  var key = String(this.key(socket));
+  var worker = this.pick(key);
+  if (worker && message.send(worker, 'sticky-connection', null, socket)) {
+    return;
+  }
+  if (!this.listening) {
+    return socket.destroy();
+  }
+  if (this.pending.length === 0) {
+    this.manager.log.warning(
+      'No worker available for sticky connections, waiting for one.',
+      this.manager._logFields('stickyUnavailable', null, { key: key })
+    );
+  }
+  this.pending.push(socket);
+  socket.once('close', function () {
+    var index = self.pending.indexOf(socket);
+    if (index !== -1) {
+      self.pending.splice(index, 1);
+    }
+  });
+};
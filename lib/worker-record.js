@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Lifecycle records of the workers tracked by the master.
+ * @module cluster-man/lib/worker-record
+ */
+module.exports = WorkerRecord;
+
+/**
+ * States of a worker, in the order they are entered.
+ * @type {Array}
+ */
+WorkerRecord.STATES = [
+  'forking', 'online', 'listening', 'disconnecting', 'dead'
+];
+
+/**
+ * Tracks the lifecycle of a single worker: its state, the time at which it
+ * entered each state, whether it is ready, the addresses it listens on and how
+ * it exited. A worker that replaces another worker inherits its restart count
+ * and last exit.
+ *
+ * @class
+ * @param {cluster~Worker} worker The worker.
+ */
+function WorkerRecord(worker) {
+  this.id = worker.id;
+  this.pid = worker.process ? worker.process.pid : undefined;
+  this.group = worker.group;
+  this.index = worker.index;
+  this.state = null;
+  this.timestamps = {};
+  this.ready = false;
+  this.restarts = 0;
+  this.exitCode = null;
+  this.signal = null;
+  this.addresses = [];
+  this.transition('forking');
+}
+
+/**
+ * Moves the worker to a state. Workers only move forward through the states,
+ * so events that arrive late, such as a worker coming online after it started
+ * disconnecting, are ignored.
+ * @param {String} state One of `WorkerRecord.STATES`.
+ * @return {Boolean} `true` if the worker entered the state.
+ */
+WorkerRecord.prototype.transition = function (state) {
+  var states = WorkerRecord.STATES;
+  if (states.indexOf(state) <= states.indexOf(this.state)) {
+    return false;
+  }
+  this.state = state;
+  this.timestamps[state] = Date.now();
+  return true;
+};
+
+/**
+ * Records that the worker is ready to do its work. The time at which it became
+ * ready is kept with the timestamps of the states.
+ * @return {Boolean} `true` if the worker was not ready before and has not
+ *   exited.
+ */
+WorkerRecord.prototype.setReady = function () {
+  if (this.ready || this.state === 'dead') {
+    return false;
+  }
+  this.ready = true;
+  this.timestamps.ready = Date.now();
+  return true;
+};
+
+/**
+ * Records an address the worker listens on.
+ * @param {Object} address The `address`, `port` and `addressType`.
+ */
+WorkerRecord.prototype.listen = function (address) {
+  this.addresses.push({
+    address: address.address,
+    port: address.port,
+    addressType: address.addressType
+  });
+  this.transition('listening');
+};
+
+/**
+ * Records that the worker exited.
+ * @param {Number} code Exit code of the worker process.
+ * @param {String} signal Signal that killed the worker process.
+ */
+WorkerRecord.prototype.exit = function (code, signal) {
+  this.exitCode = code;
+  this.signal = signal;
+  this.transition('dead');
+};
+
+/**
+ * Takes over the restart count and last exit of the worker this worker
+ * replaces.
+ * @param {WorkerRecord} previous Record of the replaced worker.
+ */
+WorkerRecord.prototype.inherit = function (previous) {
+  this.restarts = previous.restarts + 1;
+  this.exitCode = previous.exitCode;
+  this.signal = previous.signal;
+};
+
+/**
+ * Time since the worker was forked or, for dead workers, the time it ran.
+ * @return {Number} Uptime in milliseconds.
+ */
+WorkerRecord.prototype.uptime = function () {
+  var end = this.timestamps.dead || Date.now();
+  return end - this.timestamps.forking;
+};
+
+/**
+ * Creates a serializable snapshot of the record.
+ * @return {Object} The snapshot.
+ */
+WorkerRecord.prototype.toJSON = function () {
+  var timestamps = {};
+  Object.keys(this.timestamps).forEach(function (state) {
+    timestamps[state] = this.timestamps[state];
+  }, this);
+  return {
+    id: this.id,
+    pid: this.pid,
+    group: this.group,
+    index: this.index,
+    state: this.state,
+    timestamps: timestamps,
+    uptime: this.uptime(),
+    ready: this.ready,
+    restarts: this.restarts,
+    exitCode: this.exitCode,
+    signal: this.signal,
+    addresses: this.addresses.map(function (address) {
+      return {
+        address: address.address,
+        port: address.port,
+        addressType: address.addressType
+      };
+    })
+  };
+};
@@ -0,0 +1,311 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var Autoscaler = require('../lib/autoscaler');
+var Reporter = require('../lib/reporter');
+var message = require('../lib/message');
+
+describe('cluster-man', function () {
+  describe('autoscale', function () {
+    var manager;
+    var clock;
+
+    // Simulates a worker reporting its load to the master
+    function report(worker, lag, handles) {
+      manager.cluster.emit('message', worker, message.create('report', {
+        lag: lag,
+        handles: handles || 0
+      }));
+    }
+
+    // Simulates every active worker reporting the same load
+    function reportAll(lag) {
+      manager.activeWorkers().forEach(function (worker) {
+        report(worker, lag);
+      });
+    }
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      manager = new ClusterManager({
+        worker: noop,
+        numWorkers: 2,
+        autoscale: true,
+        minWorkers: 1,
+        maxWorkers: 3,
+        scaleInterval: 1000,
+        scaleCooldown: 3000
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      manager._startMaster();
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      manager.autoscaler.stop();
+      clock.restore();
+      done();
+    });
+
+    describe('master', function () {
+      it('should not autoscale by default', function (done) {
+        expect(new ClusterManager(noop).options.autoscale).to.be.false();
+        done();
+      });
+
+      it('should start the autoscaler', function (done) {
+        expect(manager.autoscaler).to.be.an.instanceof(Autoscaler);
+        expect(manager.autoscaler.timer).to.exist();
+        done();
+      });
+
+      it('should store load reports from workers', function (done) {
+        var worker = manager.workers[0];
+        report(worker, 12, 3);
+        expect(manager.reports[worker.id]).to.deep.equal({
+          lag: 12,
+          handles: 3
+        });
+        done();
+      });
+
+      it('should ignore application messages', function (done) {
+        manager.cluster.emit('message', manager.workers[0], { lag: 12 });
+        manager.cluster.emit('message', manager.workers[0], 'hello');
+        expect(manager.reports).to.deep.equal({});
+        done();
+      });
+
+      it('should forget the reports of workers that exit', function (done) {
+        var worker = manager.workers[0];
+        report(worker, 12);
+        manager.cluster.emit('exit', worker, 1, null);
+        expect(manager.reports[worker.id]).to.not.exist();
+        done();
+      });
+
+      it('should stop autoscaling on shutdown', function (done) {
+        manager.shutdown();
+        expect(manager.autoscaler.timer).to.be.null();
+        done();
+      });
+    }); // end 'master'
+
+    describe('Autoscaler', function () {
+      beforeEach(function (done) {
+        sinon.spy(manager, 'scaleTo');
+        done();
+      });
+
+      it('should aggregate the load of active workers', function (done) {
+        report(manager.workers[0], 10, 2);
+        report(manager.workers[1], 30, 4);
+        var load = manager.autoscaler.load();
+        expect(load.workers).to.equal(2);
+        expect(load.lag).to.equal(20);
+        expect(load.handles).to.equal(3);
+        expect(load.reports.length).to.equal(2);
+        done();
+      });
+
+      it('should not count replacements that have not taken over', function (done) {
+        manager.replaceWorker(manager.workers[0]);
+        manager.workers.forEach(function (worker) {
+          report(worker, 10);
+        });
+        var load = manager.autoscaler.load();
+        expect(load.workers).to.equal(2);
+        expect(load.reports.length).to.equal(2);
+        done();
+      });
+
+      it('should report no load without reports', function (done) {
+        var load = manager.autoscaler.load();
+        expect(load.lag).to.equal(0);
+        expect(load.handles).to.equal(0);
+        done();
+      });
+
+      it('should wait for every worker to report', function (done) {
+        var policy = sinon.spy(manager.options, 'scalePolicy');
+        report(manager.workers[0], 500);
+        clock.tick(10000);
+        expect(policy.callCount).to.equal(0);
+        done();
+      });
+
+      it('should scale up once the policy holds for the cooldown', function (done) {
+        reportAll(500);
+        clock.tick(3000);
+        expect(manager.scaleTo.callCount).to.equal(0);
+        clock.tick(1000);
+        expect(manager.scaleTo.calledWith(3)).to.be.true();
+        done();
+      });
+
+      it('should scale down once the policy holds for the cooldown', function (done) {
+        reportAll(0);
+        clock.tick(4000);
+        expect(manager.scaleTo.calledWith(1)).to.be.true();
+        done();
+      });
+
+      it('should restart the cooldown when the decision changes', function (done) {
+        reportAll(500);
+        clock.tick(3000);
+        reportAll(50);
+        clock.tick(1000);
+        reportAll(500);
+        clock.tick(3000);
+        expect(manager.scaleTo.callCount).to.equal(0);
+        clock.tick(1000);
+        expect(manager.scaleTo.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should wait for the cooldown between scaling actions', function (done) {
+        reportAll(500);
+        clock.tick(4000);
+        reportAll(500);
+        clock.tick(2000);
+        expect(manager.scaleTo.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should not scale above `maxWorkers`', function (done) {
+        manager.scaleTo(3);
+        manager.scaleTo.reset();
+        reportAll(500);
+        clock.tick(10000);
+        expect(manager.scaleTo.callCount).to.equal(0);
+        done();
+      });
+
+      it('should not scale below `minWorkers`', function (done) {
+        manager.options.minWorkers = 2;
+        reportAll(0);
+        clock.tick(10000);
+        expect(manager.scaleTo.callCount).to.equal(0);
+        done();
+      });
+
+      it('should use a custom scaling policy', function (done) {
+        manager.options.scalePolicy = sinon.stub().returns(5);
+        reportAll(0);
+        clock.tick(4000);
+        expect(manager.options.scalePolicy.calledWith(
+          sinon.match({ workers: 2 }),
+          manager
+        )).to.be.true();
+        expect(manager.scaleTo.calledWith(3)).to.be.true();
+        done();
+      });
+
+      describe('defaultPolicy', function () {
+        it('should scale up under high event loop lag', function (done) {
+          expect(Autoscaler.defaultPolicy({ lag: 150 })).to.equal(1);
+          done();
+        });
+
+        it('should scale down under low event loop lag', function (done) {
+          expect(Autoscaler.defaultPolicy({ lag: 1 })).to.equal(-1);
+          done();
+        });
+
+        it('should hold otherwise', function (done) {
+          expect(Autoscaler.defaultPolicy({ lag: 50 })).to.equal(0);
+          done();
+        });
+      }); // end 'defaultPolicy'
+    }); // end 'Autoscaler'
+
+    describe('Reporter', function () {
+      var proc;
+      var reporter;
+
+      beforeEach(function (done) {
+        proc = {
+          connected: true,
+          send: sinon.spy(),
+          _getActiveHandles: function () {
+            return [1, 2, 3];
+          }
+        };
+        reporter = new Reporter(1000, proc);
+        done();
+      });
+
+      afterEach(function (done) {
+        reporter.stop();
+        done();
+      });
+
+      it('should report the load on an interval', function (done) {
+        reporter.start();
+        clock.tick(999);
+        expect(proc.send.callCount).to.equal(0);
+        clock.tick(1);
+        expect(proc.send.calledWithMatch({
+          cmd: 'cluster-man:report',
+          data: { lag: 0, handles: 3 }
+        })).to.be.true();
+        clock.tick(1000);
+        expect(proc.send.calledTwice).to.be.true();
+        done();
+      });
+
+      it('should measure event loop lag', function (done) {
+        reporter.start();
+        // Simulate a blocked event loop delaying the timer by 250ms
+        sinon.stub(Date, 'now').returns(1250);
+        clock.tick(1000);
+        Date.now.restore();
+        expect(reporter.sample().lag).to.equal(250);
+        done();
+      });
+
+      it('should stop reporting', function (done) {
+        reporter.start();
+        reporter.stop();
+        clock.tick(5000);
+        expect(proc.send.callCount).to.equal(0);
+        done();
+      });
+
+      it('should handle processes without active handle information', function (done) {
+        delete proc._getActiveHandles;
+        expect(reporter.sample().handles).to.equal(0);
+        done();
+      });
+
+      it('should be started on workers when autoscaling', function (done) {
+        var worker = sinon.spy();
+        var workerManager = new ClusterManager({
+          worker: worker,
+          autoscale: true
+        });
+        workerManager._startWorker();
+        workerManager._unbindProcessMessages();
+        expect(workerManager.reporter).to.be.an.instanceof(Reporter);
+        expect(worker.calledWith(workerManager)).to.be.true();
+        workerManager.reporter.stop();
+        done();
+      });
+    }); // end 'Reporter'
+  }); // end 'autoscale'
+}); // end 'cluster-man'
@@ -0,0 +1,462 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var before = lab.before;
+var after = lab.after;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var EventEmitter = require('events').EventEmitter;
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var ControlServer = require('../lib/control');
+var WorkerRecord = require('../lib/worker-record');
+var cli = require('../lib/cli');
+
+describe('cluster-man', function () {
+  describe('cli', function () {
+    var pidfile = path.join(os.tmpdir(), 'cluster-man-test.pid');
+
+    // Collects everything written to the output streams
+    function createIO() {
+      var io = { out: '', err: '' };
+      io.stdout = { write: function (text) { io.out += text; } };
+      io.stderr = { write: function (text) { io.err += text; } };
+      return io;
+    }
+
+    afterEach(function (done) {
+      if (fs.existsSync(pidfile)) {
+        fs.unlinkSync(pidfile);
+      }
+      done();
+    });
+
+    describe('parse', function () {
+      it('should parse a module to run', function (done) {
+        expect(cli.parse(['./app.js'])).to.deep.equal({
+          command: 'run',
+          module: './app.js'
+        });
+        done();
+      });
+
+      it('should parse options', function (done) {
+        var args = cli.parse([
+          '--workers', '4',
+          '--grace-ms=500',
+          '--config', 'cluster.json',
+          '--socket', '/tmp/app.sock',
+          '--pidfile=/tmp/app.pid',
+          'app.js'
+        ]);
+        expect(args).to.deep.equal({
+          command: 'run',
+          module: 'app.js',
+          workers: 4,
+          graceMs: 500,
+          config: 'cluster.json',
+          socket: '/tmp/app.sock',
+          pidfile: '/tmp/app.pid'
+        });
+        done();
+      });
+
+      it('should parse subcommands', function (done) {
+        ['status', 'reload', 'stop'].forEach(function (command) {
+          expect(cli.parse([command, '--pidfile', 'app.pid'])).to.deep.equal({
+            command: command,
+            pidfile: 'app.pid'
+          });
+        });
+        done();
+      });
+
+      it('should parse help', function (done) {
+        expect(cli.parse(['app.js', '-h']).command).to.equal('help');
+        expect(cli.parse(['--help']).command).to.equal('help');
+        done();
+      });
+
+      it('should require a module to run', function (done) {
+        expect(function () {
+          cli.parse(['--workers', '2']);
+        }).to.throw('Missing module to run');
+        done();
+      });
+
+      it('should require a socket or pidfile for subcommands', function (done) {
+        expect(function () {
+          cli.parse(['status']);
+        }).to.throw('The status command requires --socket or --pidfile');
+        done();
+      });
+
+      it('should reject unknown options', function (done) {
+        expect(function () {
+          cli.parse(['--verbose', 'app.js']);
+        }).to.throw('Unknown option: --verbose');
+        done();
+      });
+
+      it('should reject options without a value', function (done) {
+        expect(function () {
+          cli.parse(['app.js', '--workers']);
+        }).to.throw('Missing value for --workers');
+        done();
+      });
+
+      it('should parse worker count expressions', function (done) {
+        var args = cli.parse(['--workers', 'max(1,cpus*2)', 'app.js']);
+        expect(args.workers).to.equal(os.cpus().length * 2);
+        done();
+      });
+
+      it('should accept 0 workers', function (done) {
+        var args = cli.parse(['--workers', '0', 'app.js']);
+        expect(args.workers).to.equal(0);
+        done();
+      });
+
+      it('should reject invalid numbers', function (done) {
+        ['-1', '2.5', 'many'].forEach(function (value) {
+          expect(function () {
+            cli.parse(['--workers', value, 'app.js']);
+          }).to.throw(/^Invalid --workers: /);
+        });
+        expect(function () {
+          cli.parse(['--grace-ms', '-5', 'app.js']);
+        }).to.throw('--grace-ms must be an integer of at least 0');
+        expect(function () {
+          cli.parse(['--grace-ms', '1.5', 'app.js']);
+        }).to.throw('--grace-ms must be an integer of at least 0');
+        done();
+      });
+
+      it('should reject extra arguments', function (done) {
+        expect(function () {
+          cli.parse(['app.js', 'other.js']);
+        }).to.throw('Unexpected argument: other.js');
+        done();
+      });
+    }); // end 'parse'
+
+    describe('run', function () {
+      var appPath = path.join(os.tmpdir(), 'cluster-man-test-app.js');
+      var emptyPath = path.join(os.tmpdir(), 'cluster-man-test-empty.js');
+      var nullPath = path.join(os.tmpdir(), 'cluster-man-test-null.js');
+      var configPath = path.join(os.tmpdir(), 'cluster-man-test-config.json');
+
+      before(function (done) {
+        fs.writeFileSync(appPath, 'exports.start = function () {};\n');
+        fs.writeFileSync(emptyPath, 'exports.name = "empty";\n');
+        fs.writeFileSync(nullPath, 'module.exports = null;\n');
+        fs.writeFileSync(configPath, '{"respawnDelay":2000}\n');
+        done();
+      });
+
+      after(function (done) {
+        fs.unlinkSync(appPath);
+        fs.unlinkSync(emptyPath);
+        fs.unlinkSync(nullPath);
+        fs.unlinkSync(configPath);
+        done();
+      });
+
+      beforeEach(function (done) {
+        sinon.stub(ClusterManager.prototype, 'start', function () {
+          return Promise.resolve();
+        });
+        done();
+      });
+
+      afterEach(function (done) {
+        ClusterManager.prototype.start.restore();
+        done();
+      });
+
+      it('should run the start function of the module', function (done) {
+        var io = createIO();
+        cli.main(['--workers', '3', '--grace-ms', '100', appPath], io,
+          function (code) {
+            expect(code).to.equal(0);
+            var manager = ClusterManager.prototype.start.thisValues[0];
+            expect(manager.options.worker).to.equal(require(appPath).start);
+            expect(manager.options.numWorkers).to.equal(3);
+            expect(manager.options.gracePeriod).to.equal(100);
+            done();
+          });
+      });
+
+      it('should pass the socket and config file to the manager', function (done) {
+        var socketPath = path.join(os.tmpdir(), 'cluster-man-test-cli.sock');
+        var args = ['--socket', socketPath, '--config', configPath, appPath];
+        cli.main(args, createIO(), function (code) {
+          expect(code).to.equal(0);
+          var manager = ClusterManager.prototype.start.thisValues[0];
+          expect(manager.options.controlSocket).to.equal(socketPath);
+          expect(manager.options.config).to.equal(configPath);
+          expect(manager.options.respawnDelay).to.equal(2000);
+          done();
+        });
+      });
+
+      it('should accept a module exporting a function', function (done) {
+        var start = cli.loadStart(path.join(__dirname, '../index.js'));
+        expect(start).to.equal(ClusterManager);
+        done();
+      });
+
+      it('should write the pid of the master', function (done) {
+        cli.main(['--pidfile', pidfile, appPath], createIO(), function () {
+          expect(fs.readFileSync(pidfile, 'utf8')).to.equal(process.pid + '\n');
+          done();
+        });
+      });
+
+      it('should remove the pidfile when the master exits', function (done) {
+        cli.main(['--pidfile', pidfile, appPath], createIO(), function () {
+          var listeners = process.listeners('exit');
+          var onExit = listeners[listeners.length - 1];
+          process.removeListener('exit', onExit);
+          onExit();
+          expect(fs.existsSync(pidfile)).to.be.false();
+          onExit();
+          done();
+        });
+      });
+
+      it('should fail without a start function', function (done) {
+        var io = createIO();
+        cli.main([emptyPath], io, function (code) {
+          expect(code).to.equal(1);
+          expect(io.err).to.equal('cluster-man: Module ' + emptyPath +
+            ' must export a start function\n');
+          expect(ClusterManager.prototype.start.called).to.be.false();
+          done();
+        });
+      });
+
+      it('should fail for a module exporting nothing', function (done) {
+        expect(function () {
+          cli.loadStart(nullPath);
+        }).to.throw('Module ' + nullPath + ' must export a start function');
+        done();
+      });
+    }); // end 'run'
+
+    describe('main', function () {
+      it('should print usage on invalid arguments', function (done) {
+        var io = createIO();
+        cli.main([], io, function (code) {
+          expect(code).to.equal(2);
+          expect(io.err).to.contain('Missing module to run');
+          expect(io.err).to.contain('Usage:');
+          done();
+        });
+      });
+
+      it('should print usage on help', function (done) {
+        var io = createIO();
+        cli.main(['--help'], io, function (code) {
+          expect(code).to.equal(0);
+          expect(io.out).to.contain('Usage:');
+          done();
+        });
+      });
+    }); // end 'main'
+
+    describe('pidfile', function () {
+      beforeEach(function (done) {
+        fs.writeFileSync(pidfile, '4242\n');
+        sinon.stub(process, 'kill');
+        done();
+      });
+
+      afterEach(function (done) {
+        process.kill.restore();
+        done();
+      });
+
+      it('should report a running master', function (done) {
+        var io = createIO();
+        cli.main(['status', '--pidfile', pidfile], io, function (code) {
+          expect(code).to.equal(0);
+          expect(process.kill.calledWith(4242, 0)).to.be.true();
+          expect(io.out).to.equal('Cluster is running (pid 4242)\n');
+          done();
+        });
+      });
+
+      it('should report a master that is not running', function (done) {
+        var io = createIO();
+        var err = new Error('kill ESRCH');
+        err.code = 'ESRCH';
+        process.kill.throws(err);
+        cli.main(['status', '--pidfile', pidfile], io, function (code) {
+          expect(code).to.equal(1);
+          expect(io.err).to.equal('cluster-man: Cluster is not running\n');
+          done();
+        });
+      });
+
+      it('should report a master that can not be signalled', function (done) {
+        var err = new Error('kill EPERM');
+        err.code = 'EPERM';
+        process.kill.throws(err);
+        expect(cli.readPid(pidfile)).to.equal(4242);
+        done();
+      });
+
+      it('should report signals that can not be sent', function (done) {
+        var io = createIO();
+        var err = new Error('kill EPERM');
+        err.code = 'EPERM';
+        process.kill.withArgs(4242, 'SIGTERM').throws(err);
+        cli.main(['stop', '--pidfile', pidfile], io, function (code) {
+          expect(code).to.equal(1);
+          expect(io.out).to.equal('');
+          expect(io.err).to.equal('cluster-man: kill EPERM\n');
+          done();
+        });
+      });
+
+      it('should ignore pidfiles without a pid', function (done) {
+        fs.writeFileSync(pidfile, 'none\n');
+        expect(cli.readPid(pidfile)).to.be.null();
+        expect(process.kill.called).to.be.false();
+        done();
+      });
+
+      it('should report a missing pidfile', function (done) {
+        fs.unlinkSync(pidfile);
+        var io = createIO();
+        cli.main(['stop', '--pidfile', pidfile], io, function (code) {
+          expect(code).to.equal(1);
+          expect(process.kill.called).to.be.false();
+          done();
+        });
+      });
+
+      it('should reload the master with SIGHUP', function (done) {
+        cli.main(['reload', '--pidfile', pidfile], createIO(), function (code) {
+          expect(code).to.equal(0);
+          expect(process.kill.calledWith(4242, 'SIGHUP')).to.be.true();
+          done();
+        });
+      });
+
+      it('should stop the master with SIGTERM', function (done) {
+        cli.main(['stop', '--pidfile', pidfile], createIO(), function (code) {
+          expect(code).to.equal(0);
+          expect(process.kill.calledWith(4242, 'SIGTERM')).to.be.true();
+          done();
+        });
+      });
+    }); // end 'pidfile'
+
+    describe('socket', function () {
+      var socketPath = path.join(os.tmpdir(), 'cluster-man-test-cli.sock');
+      var manager;
+      var server;
+
+      beforeEach(function (done) {
+        manager = new ClusterManager({ worker: noop, numWorkers: 1 });
+        var worker = new EventEmitter();
+        worker.id = 1;
+        worker.process = { pid: 1001 };
+        manager.workers.push(worker);
+        manager.records[1] = new WorkerRecord(worker);
+        manager.records[1].timestamps.forking = Date.now() - 5000;
+        server = new ControlServer(manager, socketPath);
+        server.listen(done);
+      });
+
+      afterEach(function (done) {
+        server.server.close(function () {
+          done();
+        });
+      });
+
+      it('should list the workers', function (done) {
+        var io = createIO();
+        cli.main(['status', '--socket', socketPath], io, function (code) {
+          expect(code).to.equal(0);
+          expect(io.out).to.equal('worker 1 pid 1001 forking up 5s\n');
+          done();
+        });
+      });
+
+      it('should list the group of workers', function (done) {
+        manager.records[1].group = 'web';
+        var io = createIO();
+        cli.main(['status', '--socket', socketPath], io, function (code) {
+          expect(code).to.equal(0);
+          expect(io.out)
+            .to.equal('worker 1 pid 1001 group web forking up 5s\n');
+          done();
+        });
+      });
+
+      it('should not print anything without workers', function (done) {
+        manager.workers = [];
+        var io = createIO();
+        cli.main(['status', '--socket', socketPath], io, function (code) {
+          expect(code).to.equal(0);
+          expect(io.out).to.equal('');
+          done();
+        });
+      });
+
+      it('should reload the cluster', function (done) {
+        sinon.stub(manager, 'reload').yields();
+        var io = createIO();
+        cli.main(['reload', '--socket', socketPath], io, function (code) {
+          expect(code).to.equal(0);
+          expect(manager.reload.calledOnce).to.be.true();
+          expect(io.out).to.equal('Reload complete\n');
+          done();
+        });
+      });
+
+      it('should stop the cluster', function (done) {
+        sinon.stub(manager, 'shutdown', function () {
+          done();
+        });
+        cli.main(['stop', '--socket', socketPath], createIO(), function (code) {
+          expect(code).to.equal(0);
+        });
+      });
+
+      it('should report errors of the control server', function (done) {
+        sinon.stub(manager, 'reload').yields(new Error('Already reloading'));
+        var io = createIO();
+        cli.main(['reload', '--socket', socketPath], io, function (code) {
+          expect(code).to.equal(1);
+          expect(io.err).to.equal('cluster-man: Already reloading\n');
+          done();
+        });
+      });
+
+      it('should report a socket nobody listens on', function (done) {
+        var io = createIO();
+        var args = ['status', '--socket', socketPath + '.missing'];
+        cli.main(args, io, function (code) {
+          expect(code).to.equal(1);
+          expect(io.err).to.contain('ENOENT');
+          done();
+        });
+      });
+    }); // end 'socket'
+  }); // end 'cli'
+}); // end 'cluster-man'
@@ -0,0 +1,313 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var config = require('../lib/config');
+
+describe('cluster-man', function () {
+  describe('config', function () {
+    var configFile = path.join(os.tmpdir(), 'cluster-man-test-config.json');
+    var env;
+
+    // Writes the config file
+    function writeConfig(options) {
+      fs.writeFileSync(configFile, JSON.stringify(options));
+    }
+
+    beforeEach(function (done) {
+      env = {
+        CLUSTER_WORKERS: process.env.CLUSTER_WORKERS,
+        CLUSTER_CONFIG: process.env.CLUSTER_CONFIG
+      };
+      done();
+    });
+
+    afterEach(function (done) {
+      Object.keys(env).forEach(function (name) {
+        if (env[name] === undefined) {
+          delete process.env[name];
+        }
+        else {
+          process.env[name] = env[name];
+        }
+      });
+      if (fs.existsSync(configFile)) {
+        fs.unlinkSync(configFile);
+      }
+      done();
+    });
+
+    describe('parseWorkers', function () {
+      it('should accept positive integers', function (done) {
+        expect(config.parseWorkers(3, 'n', 8)).to.equal(3);
+        expect(config.parseWorkers('12', 'n', 8)).to.equal(12);
+        done();
+      });
+
+      it('should resolve expressions', function (done) {
+        var cases = {
+          'auto': 8,
+          'cpus': 8,
+          'cpus-1': 7,
+          'cpus - 1': 7,
+          '50%': 4,
+          '33%': 2,
+          'cpus/3': 2,
+          '2*cpus+1': 17,
+          '2*(cpus+1)': 18,
+          'max(2,cpus/2)': 4,
+          'min(cpus, 4, 6)': 4,
+          'MAX(1, cpus - -1)': 9
+        };
+        Object.keys(cases).forEach(function (expression) {
+          expect(config.parseWorkers(expression, 'n', 8))
+            .to.equal(cases[expression]);
+        });
+        expect(config.parseWorkers('max(2,cpus/2)', 'n', 1)).to.equal(2);
+        done();
+      });
+
+      it('should default to the number of CPUs', function (done) {
+        expect(config.parseWorkers('auto', 'n')).to.equal(os.cpus().length);
+        done();
+      });
+
+      it('should reject invalid counts', function (done) {
+        [
+          0, -2, 1.5, '0', '2.5', '', 'many', 'cpus-', 'cpus cpus', '(cpus',
+          'max(cpus', 'cpus/0', 'cpus-8', 'sqrt(cpus)', '5%%', true, {}, null
+        ].forEach(function (value) {
+          expect(function () {
+            config.parseWorkers(value, 'numWorkers', 8);
+          }).to.throw(
+            'Invalid numWorkers: ' + JSON.stringify(value) + '. Expected a ' +
+            'positive integer or an expression such as "auto", "cpus-1", ' +
+            '"50%" or "max(2,cpus/2)".'
+          );
+        });
+        done();
+      });
+    }); // end 'parseWorkers'
+
+    describe('validation', function () {
+      it('should resolve worker count expressions', function (done) {
+        var manager = new ClusterManager({
+          worker: noop,
+          numWorkers: 'auto',
+          minWorkers: '2',
+          maxWorkers: 'cpus*2'
+        });
+        expect(manager.options.numWorkers).to.equal(os.cpus().length);
+        expect(manager.options.minWorkers).to.equal(2);
+        expect(manager.options.maxWorkers).to.equal(os.cpus().length * 2);
+        done();
+      });
+
+      it('should resolve the count of worker groups', function (done) {
+        var manager = new ClusterManager({
+          groups: { web: { worker: noop, count: 'cpus' } }
+        });
+        expect(manager.options.groups.web.count).to.equal(os.cpus().length);
+        done();
+      });
+
+      it('should leave invalid worker groups to the manager', function (done) {
+        var options = { groups: { web: null } };
+        config.validate(options, 4);
+        expect(options.groups.web).to.be.null();
+        done();
+      });
+
+      it('should fail on an invalid `CLUSTER_WORKERS`', function (done) {
+        process.env.CLUSTER_WORKERS = 'lots';
+        expect(function () {
+          new ClusterManager(noop);
+        }).to.throw(/^Invalid CLUSTER_WORKERS: "lots"\./);
+        done();
+      });
+
+      it('should resolve expressions in `CLUSTER_WORKERS`', function (done) {
+        process.env.CLUSTER_WORKERS = 'cpus+1';
+        var manager = new ClusterManager(noop);
+        expect(manager.options.numWorkers).to.equal(os.cpus().length + 1);
+        done();
+      });
+
+      it('should ignore `CLUSTER_WORKERS` when given `numWorkers`', function (done) {
+        process.env.CLUSTER_WORKERS = 'lots';
+        var manager = new ClusterManager({ worker: noop, numWorkers: 2 });
+        expect(manager.options.numWorkers).to.equal(2);
+        done();
+      });
+
+      it('should fail on an invalid `numWorkers`', function (done) {
+        expect(function () {
+          new ClusterManager({ worker: noop, numWorkers: 'half' });
+        }).to.throw(/^Invalid numWorkers: "half"\./);
+        done();
+      });
+
+      it('should check the type of options', function (done) {
+        var cases = [
+          ['killOnError', 'yes', 'a boolean'],
+          ['debugScope', 42, 'a string'],
+          ['gracePeriod', -1, 'a non-negative number of milliseconds'],
+          ['gracePeriod', '100', 'a non-negative number of milliseconds'],
+          ['crashLoopCount', Infinity, 'a non-negative number'],
+          ['master', 'master.js', 'a function'],
+          ['logger', ['info'], 'an object']
+        ];
+        cases.forEach(function (c) {
+          var options = { worker: noop };
+          options[c[0]] = c[1];
+          expect(function () {
+            new ClusterManager(options);
+          }).to.throw('Option ' + c[0] + ' must be ' + c[2] + '.');
+        });
+        done();
+      });
+
+      it('should ignore unknown options', function (done) {
+        var manager = new ClusterManager({ worker: noop, custom: 'value' });
+        expect(manager.options.custom).to.equal('value');
+        done();
+      });
+    }); // end 'validation'
+
+    describe('config file', function () {
+      it('should load options from the config file', function (done) {
+        delete process.env.CLUSTER_WORKERS;
+        writeConfig({ numWorkers: 'cpus', gracePeriod: 500 });
+        var manager = new ClusterManager({ worker: noop, config: configFile });
+        expect(manager.options.numWorkers).to.equal(os.cpus().length);
+        expect(manager.options.gracePeriod).to.equal(500);
+        expect(manager.givenNumWorkers).to.be.true();
+        done();
+      });
+
+      it('should use `CLUSTER_CONFIG` for the config file', function (done) {
+        writeConfig({ gracePeriod: 500 });
+        process.env.CLUSTER_CONFIG = configFile;
+        var manager = new ClusterManager(noop);
+        expect(manager.options.config).to.equal(configFile);
+        expect(manager.options.gracePeriod).to.equal(500);
+        done();
+      });
+
+      it('should prefer options given in code and the environment', function (done) {
+        writeConfig({ numWorkers: 3, gracePeriod: 500 });
+        var manager = new ClusterManager({
+          worker: noop,
+          config: configFile,
+          gracePeriod: 100
+        });
+        expect(manager.options.gracePeriod).to.equal(100);
+        expect(manager.options.numWorkers)
+          .to.equal(parseInt(process.env.CLUSTER_WORKERS, 10));
+        done();
+      });
+
+      it('should validate options from the config file', function (done) {
+        writeConfig({ respawn: 'no' });
+        expect(function () {
+          new ClusterManager({ worker: noop, config: configFile });
+        }).to.throw('Option respawn must be a boolean.');
+        done();
+      });
+
+      it('should reject unsupported options', function (done) {
+        ['worker', 'groups', 'numworkers'].forEach(function (name) {
+          var options = {};
+          options[name] = 1;
+          writeConfig(options);
+          expect(function () {
+            new ClusterManager({ worker: noop, config: configFile });
+          }).to.throw(
+            'Config file ' + configFile + ' has an unsupported option: ' +
+            name + '.'
+          );
+        });
+        done();
+      });
+
+      it('should fail on a missing config file', function (done) {
+        expect(function () {
+          new ClusterManager({ worker: noop, config: configFile });
+        }).to.throw(/^Could not load config file .*ENOENT/);
+        done();
+      });
+
+      it('should fail on invalid JSON', function (done) {
+        fs.writeFileSync(configFile, '{ numWorkers: 2 }');
+        expect(function () {
+          new ClusterManager({ worker: noop, config: configFile });
+        }).to.throw(/^Could not load config file /);
+        fs.writeFileSync(configFile, '[2]');
+        expect(function () {
+          new ClusterManager({ worker: noop, config: configFile });
+        }).to.throw('Config file ' + configFile + ' must contain a JSON object.');
+        ['null', '2'].forEach(function (json) {
+          fs.writeFileSync(configFile, json);
+          expect(function () {
+            new ClusterManager({ worker: noop, config: configFile });
+          }).to.throw('Config file ' + configFile + ' must contain a JSON object.');
+        });
+        done();
+      });
+    }); // end 'config file'
+
+    describe('logging', function () {
+      it('should log the resolved config at startup', function (done) {
+        var logger = {
+          info: sinon.spy(),
+          warn: sinon.spy(),
+          error: sinon.spy()
+        };
+        var manager = new ClusterManager({
+          worker: noop,
+          numWorkers: 'max(1,50%)',
+          logger: logger,
+          groups: { web: { worker: noop, count: 2 } }
+        });
+        sinon.stub(manager, 'createWorker');
+        manager._startMaster();
+        manager._unbindSignals();
+        manager.cluster.removeAllListeners();
+        var fields = logger.info.args.filter(function (args) {
+          return args[0].event === 'config';
+        })[0][0];
+        expect(fields.config.numWorkers)
+          .to.equal(Math.max(1, Math.floor(os.cpus().length / 2)));
+        expect(fields.config.groups).to.deep.equal({ web: 2 });
+        expect(fields.config.killOnError).to.be.true();
+        expect(fields.config.worker).to.not.exist();
+        expect(fields.config.logger).to.not.exist();
+        done();
+      });
+
+      it('should only log the names of worker environment variables', function (done) {
+        var summary = config.summary({
+          env: { DB_PASSWORD: 'hunter2', APP_PORT: 8080 }
+        });
+        expect(summary.env).to.deep.equal(['APP_PORT', 'DB_PASSWORD']);
+        expect(JSON.stringify(summary)).to.not.contain('hunter2');
+        expect(config.summary({ env: noop }).env).to.not.exist();
+        done();
+      });
+    }); // end 'logging'
+  }); // end 'config'
+}); // end 'cluster-man'
@@ -0,0 +1,395 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var fs = require('fs');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var ControlServer = require('../lib/control');
+
+describe('cluster-man', function () {
+  describe('control', function () {
+    var socketPath = path.join(os.tmpdir(), 'cluster-man-test.sock');
+    var manager;
+
+    // Sends raw lines to the control server and collects one response per
+    // line
+    function send(lines, cb) {
+      var client = net.connect(socketPath);
+      var buffer = '';
+      client.setEncoding('utf8');
+      client.on('data', function (chunk) {
+        buffer += chunk;
+        var responses = buffer.split('\n').filter(Boolean);
+        if (responses.length === lines.length) {
+          client.end();
+          cb(responses.map(function (line) {
+            return JSON.parse(line);
+          }));
+        }
+      });
+      client.write(lines.join('\n') + '\n');
+    }
+
+    // Sends a command to the control server
+    function command(request, cb) {
+      send([JSON.stringify(request)], function (responses) {
+        cb(responses[0]);
+      });
+    }
+
+    beforeEach(function (done) {
+      manager = new ClusterManager({
+        worker: noop,
+        numWorkers: 2,
+        controlSocket: socketPath
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      manager._startMaster();
+      manager.controlServer.server.on('listening', function () {
+        done();
+      });
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      manager.controlServer.server.close(function () {
+        done();
+      });
+    });
+
+    it('should list the workers', function (done) {
+      manager.cluster.emit('online', manager.workers[1]);
+      command({ command: 'list' }, function (response) {
+        expect(response.ok).to.be.true();
+        expect(response.result.length).to.equal(2);
+        expect(response.result[0]).to.contain({
+          id: 1,
+          pid: 1001,
+          state: 'forking'
+        });
+        expect(response.result[1].state).to.equal('online');
+        expect(response.result[1].uptime).to.be.a.number();
+        done();
+      });
+    });
+
+    it('should echo the id of requests', function (done) {
+      command({ id: 'abc', command: 'list' }, function (response) {
+        expect(response.id).to.equal('abc');
+        done();
+      });
+    });
+
+    it('should restart a single worker', function (done) {
+      var worker = manager.workers[0];
+      command({ command: 'restart', workerId: 1 }, function (response) {
+        expect(response).to.deep.equal({ ok: true, result: { workerId: 3 } });
+        expect(manager.workers).to.not.contain(worker);
+        done();
+      });
+      (function replaced() {
+        if (manager.workers.length < 3) {
+          return setImmediate(replaced);
+        }
+        manager.workers[2].emit('listening', {});
+        worker.emit('exit', 0, null);
+        manager.cluster.emit('exit', worker, 0, null);
+      })();
+    });
+
+    it('should not restart unknown workers', function (done) {
+      command({ command: 'restart', workerId: 42 }, function (response) {
+        expect(response).to.deep.equal({
+          ok: false,
+          error: 'Unknown worker: 42'
+        });
+        done();
+      });
+    });
+
+    it('should not restart workers while shutting down', function (done) {
+      manager.shuttingDown = true;
+      command({ command: 'restart', workerId: 1 }, function (response) {
+        expect(response).to.deep.equal({
+          ok: false,
+          error: 'Cluster is shutting down.'
+        });
+        expect(manager.workers.length).to.equal(2);
+        done();
+      });
+    });
+
+    it('should not restart workers that are already being replaced', function (done) {
+      manager.replacing[1] = true;
+      manager.retiring[2] = noop;
+      command({ command: 'restart', workerId: 1 }, function (first) {
+        expect(first).to.deep.equal({
+          ok: false,
+          error: 'Worker 1 is already being replaced or retired.'
+        });
+        command({ command: 'restart', workerId: 2 }, function (second) {
+          expect(second.error).to.equal(
+            'Worker 2 is already being replaced or retired.'
+          );
+          expect(manager.workers.length).to.equal(2);
+          done();
+        });
+      });
+    });
+
+    it('should respond with errors of the replacement', function (done) {
+      sinon.stub(manager, 'replaceWorker').yields(new Error('Failed.'));
+      command({ command: 'restart', workerId: 1 }, function (response) {
+        expect(response).to.deep.equal({ ok: false, error: 'Failed.' });
+        done();
+      });
+    });
+
+    it('should reload the cluster', function (done) {
+      sinon.stub(manager, 'reload').yields();
+      command({ command: 'reload' }, function (response) {
+        expect(response.ok).to.be.true();
+        expect(manager.reload.calledOnce).to.be.true();
+        done();
+      });
+    });
+
+    it('should scale the cluster', function (done) {
+      command({ command: 'scale', numWorkers: 4 }, function (response) {
+        expect(response).to.deep.equal({
+          ok: true,
+          result: { numWorkers: 4 }
+        });
+        expect(manager.workers.length).to.equal(4);
+        done();
+      });
+    });
+
+    it('should scale a worker group', function (done) {
+      sinon.stub(manager, 'scaleTo').yields();
+      var request = { command: 'scale', group: 'web', numWorkers: 4 };
+      command(request, function (response) {
+        expect(response.ok).to.be.true();
+        expect(manager.scaleTo.calledWith('web', 4)).to.be.true();
+        done();
+      });
+    });
+
+    it('should respond with errors thrown by a command', function (done) {
+      command({ command: 'scale', numWorkers: 0 }, function (response) {
+        expect(response).to.deep.equal({
+          ok: false,
+          error: 'Number of workers must be a positive integer.'
+        });
+        done();
+      });
+    });
+
+    it('should shut down the cluster after responding', function (done) {
+      sinon.stub(manager, 'shutdown', function () {
+        done();
+      });
+      command({ command: 'shutdown' }, function (response) {
+        expect(response.ok).to.be.true();
+      });
+    });
+
+    it('should reject unknown commands', function (done) {
+      command({ command: 'explode' }, function (response) {
+        expect(response.error).to.equal('Unknown command: explode');
+        done();
+      });
+    });
+
+    it('should reject invalid JSON', function (done) {
+      send(['{nope', '{"command":"list"}'], function (responses) {
+        expect(responses[0].ok).to.be.false();
+        expect(responses[0].error).to.match(/^Invalid JSON: /);
+        expect(responses[1].ok).to.be.true();
+        done();
+      });
+    });
+
+    it('should log errors of the control server', function (done) {
+      var other = new ClusterManager({
+        worker: noop,
+        controlSocket: socketPath
+      });
+      sinon.stub(other.log, 'error', function (msg, fields) {
+        expect(msg).to.match(/^Control server failed: .*EADDRINUSE/);
+        expect(fields.event).to.equal('controlError');
+        done();
+      });
+      other._startControlServer();
+    });
+
+    it('should remove the socket when the master exits', function (done) {
+      manager._exitMaster.restore();
+      sinon.stub(process, 'exit');
+      manager._exitMaster();
+      process.exit.restore();
+      expect(fs.existsSync(socketPath)).to.be.false();
+      done();
+    });
+
+    describe('ControlServer', function () {
+      var otherPath = path.join(os.tmpdir(), 'cluster-man-test-other.sock');
+
+      afterEach(function (done) {
+        if (fs.existsSync(otherPath)) {
+          fs.unlinkSync(otherPath);
+        }
+        done();
+      });
+
+      it('should only allow the owner to access the socket', function (done) {
+        var server = new ControlServer(manager, otherPath);
+        server.listen(function (err) {
+          expect(err).to.not.exist();
+          var mode = fs.statSync(otherPath).mode & parseInt('777', 8);
+          expect(mode).to.equal(parseInt('600', 8));
+          server.server.close(done);
+        });
+      });
+
+      it('should create the socket with restricted access', function (done) {
+        var umask = process.umask();
+        var server = new ControlServer(manager, otherPath);
+        var mode;
+        server.server.once('listening', function () {
+          mode = fs.statSync(otherPath).mode & parseInt('777', 8);
+        });
+        server.listen(function (err) {
+          expect(err).to.not.exist();
+          expect(mode).to.equal(parseInt('600', 8));
+          expect(process.umask()).to.equal(umask);
+          server.server.close(done);
+        });
+      });
+
+      it('should replace a stale socket', function (done) {
+        fs.writeFileSync(otherPath, '');
+        var server = new ControlServer(manager, otherPath);
+        server.listen(function (err) {
+          expect(err).to.not.exist();
+          server.server.close(function () {
+            expect(fs.existsSync(otherPath)).to.be.false();
+            done();
+          });
+        });
+      });
+
+      it('should not take over the socket of a running master', function (done) {
+        var server = new ControlServer(manager, socketPath);
+        server.listen(function (err) {
+          expect(err.code).to.equal('EADDRINUSE');
+          expect(fs.existsSync(socketPath)).to.be.true();
+          done();
+        });
+      });
+
+      it('should listen without a callback', function (done) {
+        var server = new ControlServer(manager, otherPath);
+        server.listen();
+        server.server.once('listening', function () {
+          server.server.close(done);
+        });
+      });
+
+      it('should pass other errors to the callback', function (done) {
+        var missing = path.join(os.tmpdir(), 'cluster-man-missing', 'x.sock');
+        var server = new ControlServer(manager, missing);
+        server.listen(function (err) {
+          expect(err.code).to.not.equal('EADDRINUSE');
+          expect(fs.existsSync(missing)).to.be.false();
+          done();
+        });
+      });
+
+      it('should not remove paths that are not sockets', function (done) {
+        fs.mkdirSync(otherPath);
+        var server = new ControlServer(manager, otherPath);
+        server.listen(function (err) {
+          expect(err.code).to.equal('EADDRINUSE');
+          expect(fs.statSync(otherPath).isDirectory()).to.be.true();
+          fs.rmdirSync(otherPath);
+          done();
+        });
+      });
+
+      it('should reject requests without a command', function (done) {
+        var server = new ControlServer(manager, otherPath);
+        server.execute(null, function (err) {
+          expect(err.message).to.equal('Unknown command: null');
+          done();
+        });
+      });
+
+      it('should not respond on connections that were closed', function (done) {
+        var server = new ControlServer(manager, otherPath);
+        var socket = { writable: false, write: sinon.spy() };
+        server._line(socket, '{"command":"list"}');
+        expect(socket.write.called).to.be.false();
+        done();
+      });
+
+      describe('request', function () {
+        var server;
+
+        // Serves a control socket that writes the given chunks to every client
+        function serve(chunks, cb) {
+          server = net.createServer(function (socket) {
+            socket.resume();
+            (function write(i) {
+              if (i < chunks.length) {
+                socket.write(chunks[i]);
+                setTimeout(write, 10, i + 1);
+              }
+            })(0);
+          });
+          server.listen(otherPath, cb);
+        }
+
+        afterEach(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should read responses split over several chunks', function (done) {
+          serve(['{"ok":true,', '"result":[1]}\n'], function () {
+            ControlServer.request(otherPath, {}, function (err, result) {
+              expect(err).to.not.exist();
+              expect(result).to.deep.equal([1]);
+              done();
+            });
+          });
+        });
+
+        it('should fail on invalid responses', function (done) {
+          serve(['nope\n'], function () {
+            ControlServer.request(otherPath, {}, function (err) {
+              expect(err).to.be.an.instanceof(SyntaxError);
+              done();
+            });
+          });
+        });
+      }); // end 'request'
+    }); // end 'ControlServer'
+  }); // end 'control'
+}); // end 'cluster-man'
@@ -0,0 +1,469 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var PassThrough = require('stream').PassThrough;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var CrashReporter = require('../lib/crash-report');
+var message = require('../lib/message');
+var Rpc = require('../lib/rpc');
+
+// Stream events are delivered on ticks that the fake timers do not control
+var nextTurn = setImmediate;
+
+describe('cluster-man', function () {
+  describe('crash reports', function () {
+    describe('master', function () {
+      var manager;
+      var clock;
+      var silent;
+
+      // Creates a manager with fake workers and starts its master
+      function startMaster(options) {
+        options.worker = noop;
+        options.numWorkers = options.numWorkers || 2;
+        manager = new ClusterManager(options);
+        fixtures.stubFork(manager, function (worker) {
+          if (silent) {
+            worker.process.stderr = new PassThrough();
+          }
+        });
+        sinon.stub(manager.cluster, 'setupMaster');
+        sinon.stub(manager, '_exitMaster');
+        sinon.stub(manager.log, 'error');
+        manager._startMaster();
+      }
+
+      // Simulates a worker relaying its uncaught error before exiting
+      function relayError(worker, err) {
+        manager.cluster.emit(
+          'message',
+          worker,
+          message.create('worker-error', Rpc.serializeError(err))
+        );
+      }
+
+      // Error passed to `_exitMaster`
+      function fatalError() {
+        return manager._exitMaster.args[0][0];
+      }
+
+      beforeEach(function (done) {
+        clock = sinon.useFakeTimers(1000);
+        silent = false;
+        done();
+      });
+
+      afterEach(function (done) {
+        fixtures.restore(manager);
+        manager.cluster.setupMaster.restore();
+        clock.restore();
+        done();
+      });
+
+      describe('when all workers die', function () {
+        beforeEach(function (done) {
+          startMaster({ respawn: false });
+          done();
+        });
+
+        it('should exit with an error listing every worker', function (done) {
+          var first = manager.workers[0];
+          var second = manager.workers[1];
+          clock.tick(100);
+          relayError(first, new Error('boom'));
+          fixtures.exitWorker(manager, first, 1, null);
+          clock.tick(100);
+          fixtures.exitWorker(manager, second, null, 'SIGKILL');
+          var err = fatalError();
+          expect(err.message).to.equal('All workers have died.');
+          expect(err.workers.length).to.equal(2);
+          expect(err.workers[0]).to.contain({
+            id: 1,
+            pid: 1001,
+            index: 0,
+            exitCode: 1,
+            signal: null,
+            uptime: 100,
+            time: 1100,
+            stderr: null
+          });
+          expect(err.workers[0].error).to.contain({
+            name: 'Error',
+            message: 'boom'
+          });
+          expect(err.workers[1]).to.contain({
+            id: 2,
+            exitCode: null,
+            signal: 'SIGKILL',
+            uptime: 200,
+            error: null
+          });
+          expect(err.errors.length).to.equal(1);
+          expect(err.errors[0]).to.be.an.instanceof(Error);
+          expect(err.errors[0].message).to.equal('boom');
+          expect(err.reportPath).to.not.exist();
+          done();
+        });
+
+        it('should keep errors that arrive after the exit', function (done) {
+          var worker = manager.workers[0];
+          fixtures.exitWorker(manager, worker, 1, null);
+          relayError(worker, new Error('late'));
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          expect(fatalError().workers[0].error.message).to.equal('late');
+          done();
+        });
+
+        it('should not report retired workers', function (done) {
+          var worker = manager.workers[0];
+          relayError(worker, new Error('ignored'));
+          manager.retireWorker(worker);
+          fixtures.exitWorker(manager, worker, 0, null);
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          var err = fatalError();
+          expect(err.workers.length).to.equal(1);
+          expect(err.workers[0].id).to.equal(2);
+          expect(err.errors).to.be.empty();
+          done();
+        });
+
+        it('should not fork silent workers', function (done) {
+          expect(manager.cluster.setupMaster.called).to.be.false();
+          done();
+        });
+      }); // end 'when all workers die'
+
+      it('should exit with the crashes of a crash loop', function (done) {
+        startMaster({ crashLoopCount: 2 });
+        relayError(manager.workers[1], new Error('bad config'));
+        fixtures.exitWorker(manager, manager.workers[1], 1, null);
+        fixtures.exitWorker(manager, manager.workers[0], 1, null);
+        var err = fatalError();
+        expect(err.message).to.match(/^Crash loop detected: 2 workers/);
+        expect(err.workers.map(function (worker) {
+          return worker.id;
+        })).to.deep.equal([2, 1]);
+        expect(err.errors[0].message).to.equal('bad config');
+        done();
+      });
+
+      it('should keep the most recent crashes', function (done) {
+        startMaster({ numWorkers: 1, crashLoopCount: 3 });
+        manager._stopRespawning();
+        for (var i = 0; i < 4; i++) {
+          manager.crashReporter.crash({
+            id: i,
+            timestamps: {},
+            uptime: noop
+          });
+        }
+        expect(manager.crashReporter.crashes.map(function (crash) {
+          return crash.id;
+        })).to.deep.equal([1, 2, 3]);
+        done();
+      });
+
+      it('should only report the first failure', function (done) {
+        startMaster({ numWorkers: 1 });
+        var cb = sinon.spy();
+        manager.crashReporter.fatal('first', cb);
+        manager.crashReporter.fatal('second', cb);
+        expect(cb.calledOnce).to.be.true();
+        expect(cb.args[0][0].message).to.equal('first');
+        done();
+      });
+
+      describe('stderr', function () {
+        beforeEach(function (done) {
+          silent = true;
+          sinon.stub(process.stderr, 'write');
+          startMaster({ respawn: false, crashReportDir: os.tmpdir() });
+          sinon.stub(manager.crashReporter, '_write');
+          done();
+        });
+
+        afterEach(function (done) {
+          if (process.stderr.write.restore) {
+            process.stderr.write.restore();
+          }
+          done();
+        });
+
+        it('should fork silent workers', function (done) {
+          expect(manager.cluster.setupMaster.calledWith({ silent: true }))
+            .to.be.true();
+          done();
+        });
+
+        it('should pass the output of workers through', function (done) {
+          manager.workers[0].process.stderr.write('warning\n');
+          nextTurn(function () {
+            var written = process.stderr.write.args[0][0].toString();
+            process.stderr.write.restore();
+            expect(written).to.equal('warning\n');
+            done();
+          });
+        });
+
+        it('should pass the standard output of workers through', function (done) {
+          var stdout = new PassThrough();
+          sinon.stub(process.stdout, 'write');
+          manager.crashReporter.watch({
+            id: 9,
+            process: { stdout: stdout, stderr: new PassThrough() }
+          });
+          stdout.write('hello\n');
+          nextTurn(function () {
+            var written = process.stdout.write.args[0][0].toString();
+            process.stdout.write.restore();
+            expect(written).to.equal('hello\n');
+            done();
+          });
+        });
+
+        it('should not add listeners to the output of the master', function (done) {
+          var events = ['close', 'drain', 'error', 'finish', 'unpipe'];
+          function listeners() {
+            return events.map(function (event) {
+              return process.stdout.listeners(event).length +
+                process.stderr.listeners(event).length;
+            });
+          }
+          var before = listeners();
+          for (var id = 10; id < 30; id++) {
+            manager.crashReporter.watch({
+              id: id,
+              process: { stdout: new PassThrough(), stderr: new PassThrough() }
+            });
+          }
+          expect(listeners()).to.deep.equal(before);
+          done();
+        });
+
+        it('should wait for the output of crashed workers', function (done) {
+          var first = manager.workers[0];
+          var second = manager.workers[1];
+          first.process.stderr.write('Error: boom\n');
+          first.process.stderr.end('    at worker.js:1\n');
+          fixtures.exitWorker(manager, first, 1, null);
+          second.process.stderr.write('partial');
+          fixtures.exitWorker(manager, second, 1, null);
+          expect(manager._exitMaster.called).to.be.false();
+          second.process.stderr.end(' output');
+          nextTurn(function () {
+            process.stderr.write.restore();
+            var err = fatalError();
+            expect(err.workers[0].stderr)
+              .to.equal('Error: boom\n    at worker.js:1\n');
+            expect(err.workers[1].stderr).to.equal('partial output');
+            done();
+          });
+        });
+
+        it('should not wait for output forever', function (done) {
+          var worker = manager.workers[0];
+          var other = manager.workers[1];
+          fixtures.exitWorker(manager, other, 1, null);
+          fixtures.exitWorker(manager, worker, 1, null);
+          clock.tick(CrashReporter.FLUSH_TIMEOUT - 1);
+          expect(manager._exitMaster.called).to.be.false();
+          clock.tick(1);
+          expect(manager._exitMaster.calledOnce).to.be.true();
+          // Output that ends after the timeout does not report again
+          worker.process.stderr.end();
+          other.process.stderr.end();
+          nextTurn(function () {
+            expect(manager._exitMaster.calledOnce).to.be.true();
+            done();
+          });
+        });
+
+        it('should only keep the tail of the output', function (done) {
+          var first = manager.workers[0];
+          var second = manager.workers[1];
+          var output = new Array(CrashReporter.STDERR_LIMIT + 1).join('a');
+          first.process.stderr.write('b');
+          first.process.stderr.end(output);
+          second.process.stderr.end();
+          nextTurn(function () {
+            process.stderr.write.restore();
+            fixtures.exitWorker(manager, first, 1, null);
+            fixtures.exitWorker(manager, second, 1, null);
+            expect(fatalError().workers[0].stderr).to.equal(output);
+            done();
+          });
+        });
+      }); // end 'stderr'
+
+      describe('files', function () {
+        var dir = path.join(os.tmpdir(), 'cluster-man-crash-' + process.pid);
+
+        afterEach(function (done) {
+          fs.readdirSync(dir).forEach(function (file) {
+            fs.unlinkSync(path.join(dir, file));
+          });
+          fs.rmdirSync(dir);
+          done();
+        });
+
+        it('should write a crash report', function (done) {
+          startMaster({ respawn: false, crashReportDir: dir });
+          clock.tick(500);
+          relayError(manager.workers[0], new Error('boom'));
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          var err = fatalError();
+          var file = 'crash-report-1500-' + process.pid + '.json';
+          expect(err.reportPath).to.equal(path.join(dir, file));
+          expect(fs.readdirSync(dir)).to.deep.equal([file]);
+          var report = JSON.parse(fs.readFileSync(err.reportPath));
+          expect(report).to.contain({
+            reason: 'All workers have died.',
+            time: 1500,
+            pid: process.pid,
+            hostname: os.hostname()
+          });
+          expect(report.workers).to.deep.equal(
+            JSON.parse(JSON.stringify(err.workers))
+          );
+          expect(report.workers[0].error.message).to.equal('boom');
+          expect(manager.log.error.calledWith(
+            'Crash report written to ' + err.reportPath
+          )).to.be.true();
+          done();
+        });
+
+        it('should exit when the report can not be written', function (done) {
+          fs.mkdirSync(dir);
+          fs.writeFileSync(path.join(dir, 'file'), '');
+          startMaster({
+            respawn: false,
+            crashReportDir: path.join(dir, 'file')
+          });
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          var err = fatalError();
+          expect(err.message).to.equal('All workers have died.');
+          expect(err.reportPath).to.not.exist();
+          expect(manager.log.error.calledWithMatch(
+            'Could not write crash report to '
+          )).to.be.true();
+          done();
+        });
+      }); // end 'files'
+    }); // end 'master'
+
+    describe('worker', function () {
+      var manager;
+      var clock;
+
+      beforeEach(function (done) {
+        clock = sinon.useFakeTimers();
+        manager = new ClusterManager(noop);
+        manager.cluster = { isMaster: false };
+        process.send = sinon.spy();
+        sinon.stub(process, 'exit');
+        manager._startWorker();
+        done();
+      });
+
+      afterEach(function (done) {
+        manager._unbindProcessMessages();
+        process.exit.restore();
+        delete process.send;
+        clock.restore();
+        done();
+      });
+
+      it('should relay uncaught exceptions to the master', function (done) {
+        var err = new Error('boom');
+        expect(process.listeners('uncaughtException'))
+          .to.contain(manager._uncaughtExceptionHandler);
+        sinon.stub(process.stderr, 'write');
+        manager._uncaughtExceptionHandler(err);
+        var written = process.stderr.write.args[0][0];
+        process.stderr.write.restore();
+        expect(written).to.equal(err.stack + '\n');
+        var sent = process.send.args[0][0];
+        expect(message.typeOf(sent)).to.equal('worker-error');
+        expect(sent.data).to.deep.equal(Rpc.serializeError(err));
+        expect(process.exit.called).to.be.false();
+        process.send.args[0][1]();
+        expect(process.exit.calledOnce).to.be.true();
+        expect(process.exit.calledWith(1)).to.be.true();
+        done();
+      });
+
+      it('should print uncaught values that are not errors', function (done) {
+        sinon.stub(process.stderr, 'write');
+        manager._uncaughtExceptionHandler('reason');
+        manager._uncaughtExceptionHandler(null);
+        var written = process.stderr.write.args.map(function (args) {
+          return args[0];
+        });
+        process.stderr.write.restore();
+        expect(written).to.deep.equal(['reason\n', 'null\n']);
+        done();
+      });
+
+      it('should not exit when the application handles the error', function (done) {
+        var err = new Error('boom');
+        var handler = sinon.spy();
+        process.on('uncaughtException', handler);
+        sinon.stub(process.stderr, 'write');
+        manager._uncaughtExceptionHandler(err);
+        var written = process.stderr.write.called;
+        process.stderr.write.restore();
+        process.removeListener('uncaughtException', handler);
+        expect(written).to.be.false();
+        var sent = process.send.args[0][0];
+        expect(message.typeOf(sent)).to.equal('worker-error');
+        expect(sent.data).to.deep.equal(Rpc.serializeError(err));
+        clock.tick(1000);
+        expect(process.exit.called).to.be.false();
+        done();
+      });
+
+      it('should exit if the error can not be sent in time', function (done) {
+        manager._workerFatal(new Error('boom'));
+        clock.tick(999);
+        expect(process.exit.called).to.be.false();
+        clock.tick(1);
+        expect(process.exit.calledWith(1)).to.be.true();
+        process.send.args[0][1]();
+        expect(process.exit.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should exit right away without a master', function (done) {
+        delete process.send;
+        manager._workerFatal('reason');
+        expect(process.exit.calledWith(1)).to.be.true();
+        done();
+      });
+
+      it('should stop listening for uncaught exceptions', function (done) {
+        var handler = manager._uncaughtExceptionHandler;
+        manager._unbindProcessMessages();
+        expect(process.listeners('uncaughtException'))
+          .to.not.contain(handler);
+        done();
+      });
+    }); // end 'worker'
+  }); // end 'crash reports'
+}); // end 'cluster-man'
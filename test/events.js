@@ -18,6 +18,7 @@ var EventEmitter = require('events').EventEmitter;
 
 require('loadenv')('cluster-man');
 var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
 
 describe('cluster-man', function () {
   describe('events', function() {
@@ -30,19 +31,15 @@ describe('cluster-man', function () {
         worker: noop,
         numWorkers: numWorkers
       });
-      var workerId = 0;
-      sinon.stub(manager.cluster, 'fork', function() {
-        return { id: ++workerId };
-      });
+      fixtures.stubFork(manager);
       infoSpy = sinon.spy(manager.log, 'info');
       manager._startMaster();
       done();
     });
 
     afterEach(function (done) {
-      manager.cluster.fork.restore();
+      fixtures.restore(manager);
       manager.log.info.restore();
-      manager.cluster.removeAllListeners();
       done();
     });
 
@@ -126,6 +123,7 @@ describe('cluster-man', function () {
       });
 
       it('should exit the master process if all workers exit', function (done) {
+        manager.respawning = false;
         var stub = sinon.stub(manager, '_exitMaster');
         var log = sinon.spy(manager.log, 'error');
 
@@ -199,12 +197,16 @@ describe('cluster-man', function () {
         },
         numWorkers: 1
       });
-      sinon.stub(manager.cluster, 'fork').returns({ id: 'id' });
+      var worker = new EventEmitter();
+      worker.id = 'id';
+      sinon.stub(manager.cluster, 'fork').returns(worker);
       done();
     });
 
     afterEach(function (done) {
+      manager._unbindSignals();
       manager.cluster.fork.restore();
+      manager.cluster.removeAllListeners();
       done();
     });
 
@@ -247,4 +249,95 @@ describe('cluster-man', function () {
       done();
     });
   }); // end 'masterError'
+
+  describe('manager events', function () {
+    var manager;
+    var clock;
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      manager = new ClusterManager({ worker: noop, numWorkers: 2 });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      manager._startMaster();
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      clock.restore();
+      done();
+    });
+
+    it('should be an event emitter', function (done) {
+      expect(manager).to.be.an.instanceof(EventEmitter);
+      done();
+    });
+
+    it('should emit `workerCrashed` when a worker exits unexpectedly', function (done) {
+      var spy = sinon.spy();
+      manager.on('workerCrashed', spy);
+      var worker = manager.workers[0];
+      clock.tick(1500);
+      fixtures.exitWorker(manager, worker, 1, null);
+      expect(spy.calledOnce).to.be.true();
+      expect(spy.calledWith(worker, 1, null, 1500)).to.be.true();
+      done();
+    });
+
+    it('should not emit `workerCrashed` for retired workers', function (done) {
+      var spy = sinon.spy();
+      manager.on('workerCrashed', spy);
+      var worker = manager.workers[0];
+      manager.retireWorker(worker);
+      fixtures.exitWorker(manager, worker, 0, null);
+      expect(spy.callCount).to.equal(0);
+      done();
+    });
+
+    it('should emit `allWorkersDead` when the last worker dies', function (done) {
+      var spy = sinon.spy();
+      manager.on('allWorkersDead', spy);
+      fixtures.exitWorker(manager, manager.workers[0], 1, null);
+      expect(spy.callCount).to.equal(0);
+      fixtures.exitWorker(manager, manager.workers[0], null, 'SIGKILL');
+      expect(spy.calledOnce).to.be.true();
+      done();
+    });
+
+    it('should emit `workerReplaced` once a worker was replaced', function (done) {
+      var oldWorker = manager.workers[0];
+      manager.on('workerReplaced', function (replaced, worker) {
+        expect(replaced).to.equal(oldWorker);
+        expect(worker).to.equal(manager.workers[1]);
+        expect(manager.workers).to.not.contain(oldWorker);
+        done();
+      });
+      manager.replaceWorker(oldWorker);
+      manager.workers[2].emit('listening', {});
+      fixtures.exitWorker(manager, oldWorker, 0, null);
+    });
+
+    it('should emit `scaled` once the cluster was scaled', function (done) {
+      var spy = sinon.spy();
+      manager.on('scaled', spy);
+      manager.scaleTo(1);
+      expect(spy.callCount).to.equal(0);
+      fixtures.exitWorker(manager, manager.workers[1], 0, null);
+      expect(spy.calledOnce).to.be.true();
+      expect(spy.calledWith(2, 1)).to.be.true();
+      manager.scaleUp(2);
+      expect(spy.secondCall.args).to.deep.equal([1, 3, undefined]);
+      done();
+    });
+
+    it('should emit `shutdownStarted` when shutting down', function (done) {
+      var spy = sinon.spy();
+      manager.on('shutdownStarted', spy);
+      manager.shutdown();
+      manager.shutdown();
+      expect(spy.calledOnce).to.be.true();
+      done();
+    });
+  }); // end 'manager events'
 }); // end 'cluster-man'
@@ -0,0 +1,35 @@
+'use strict';
+
+var sinon = require('sinon');
+var EventEmitter = require('events').EventEmitter;
+
+// Stubs `cluster.fork` of a manager to return fake workers, with ids starting
+// at 1 and pids starting at 1001. `setup` is called with every fake worker
+// before it is returned.
+exports.stubFork = function (manager, setup) {
+  var workerId = 0;
+  sinon.stub(manager.cluster, 'fork', function () {
+    var worker = new EventEmitter();
+    worker.id = ++workerId;
+    worker.disconnect = sinon.spy();
+    worker.process = { pid: 1000 + workerId, kill: sinon.spy() };
+    if (setup) {
+      setup(worker);
+    }
+    return worker;
+  });
+};
+
+// Simulates a worker process exiting as seen by the master
+exports.exitWorker = function (manager, worker, code, signal) {
+  worker.emit('exit', code, signal);
+  manager.cluster.emit('exit', worker, code, signal);
+};
+
+// Undoes `stubFork` and the bindings of a master started with `_startMaster`
+exports.restore = function (manager) {
+  manager._stopRespawning();
+  manager._unbindSignals();
+  manager.cluster.fork.restore();
+  manager.cluster.removeAllListeners();
+};
@@ -0,0 +1,291 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+
+describe('cluster-man', function () {
+  describe('groups', function () {
+    var manager;
+    var clock;
+    var web;
+    var queue;
+
+    // Determines the groups of the tracked workers
+    function groups() {
+      return manager.workers.map(function (worker) {
+        return worker.group;
+      });
+    }
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      web = sinon.spy();
+      queue = sinon.spy();
+      manager = new ClusterManager({
+        groups: {
+          web: { worker: web, count: 3 },
+          queue: { worker: queue, count: 2 }
+        }
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      clock.restore();
+      done();
+    });
+
+    describe('constructor', function () {
+      it('should not require a worker function', function (done) {
+        expect(manager.options.worker).to.not.exist();
+        done();
+      });
+
+      it('should default the count of a group to one', function (done) {
+        var other = new ClusterManager({ groups: { web: { worker: noop } } });
+        expect(other.options.groups.web.count).to.equal(1);
+        done();
+      });
+
+      it('should accept a worker function as a group', function (done) {
+        var other = new ClusterManager({ groups: { web: noop } });
+        expect(other.options.groups.web).to.deep.equal({
+          worker: noop,
+          count: 1
+        });
+        done();
+      });
+
+      it('should throw if a group has no worker function', function (done) {
+        expect(function () {
+          new ClusterManager({ groups: { web: { count: 2 } } });
+        }).to.throw(Error, 'Worker group "web" must be provided with a ' +
+          'worker closure.');
+        expect(function () {
+          new ClusterManager({ groups: { web: null } });
+        }).to.throw(Error, 'Worker group "web" must be provided with a ' +
+          'worker closure.');
+        done();
+      });
+
+      it('should throw when combined with autoscaling', function (done) {
+        expect(function () {
+          new ClusterManager({ groups: { web: noop }, autoscale: true });
+        }).to.throw(Error, 'Autoscaling is not supported with worker groups.');
+        done();
+      });
+    }); // end 'constructor'
+
+    describe('master', function () {
+      beforeEach(function (done) {
+        manager._startMaster();
+        done();
+      });
+
+      it('should fork the workers of every group', function (done) {
+        expect(groups()).to.deep.equal(['web', 'web', 'web', 'queue', 'queue']);
+        done();
+      });
+
+      it('should pass the group to workers in the environment', function (done) {
+        expect(manager.cluster.fork.firstCall.args[0])
+          .to.deep.equal({ CLUSTER_GROUP: 'web', CLUSTER_WORKER_INDEX: '0' });
+        expect(manager.cluster.fork.lastCall.args[0])
+          .to.deep.equal({ CLUSTER_GROUP: 'queue', CLUSTER_WORKER_INDEX: '1' });
+        done();
+      });
+
+      it('should list the active workers of a group', function (done) {
+        var queueWorkers = manager.activeWorkers('queue');
+        expect(queueWorkers).to.deep.equal(manager.workers.slice(3));
+        done();
+      });
+
+      it('should respawn dead workers into their group', function (done) {
+        fixtures.exitWorker(manager, manager.workers[3], 1, null);
+        clock.tick(manager.options.respawnDelay);
+        expect(manager.activeWorkers('web').length).to.equal(3);
+        expect(manager.activeWorkers('queue').length).to.equal(2);
+        expect(manager.workers[4].group).to.equal('queue');
+        done();
+      });
+
+      it('should replace workers with workers of the same group', function (done) {
+        var worker = manager.workers[4];
+        manager.replaceWorker(worker);
+        expect(manager.workers[5].group).to.equal('queue');
+        done();
+      });
+
+      it('should scale a single group', function (done) {
+        manager.scaleTo('queue', 4, function (err) {
+          expect(err).to.not.exist();
+          expect(manager.activeWorkers('queue').length).to.equal(4);
+          expect(manager.activeWorkers('web').length).to.equal(3);
+          expect(manager.options.groups.queue.count).to.equal(4);
+          done();
+        });
+      });
+
+      it('should scale a group up and down', function (done) {
+        manager.scaleUp('web', 2);
+        expect(manager.activeWorkers('web').length).to.equal(5);
+        manager.scaleDown('web');
+        expect(manager.activeWorkers('web').length).to.equal(4);
+        expect(manager.activeWorkers('queue').length).to.equal(2);
+        done();
+      });
+
+      it('should only retire workers of the scaled group', function (done) {
+        var queueWorkers = manager.workers.slice(3);
+        manager.scaleTo('web', 1, function (err) {
+          expect(err).to.not.exist();
+          expect(groups()).to.deep.equal(['web', 'queue', 'queue']);
+          done();
+        });
+        fixtures.exitWorker(manager, manager.workers[2], 0, null);
+        fixtures.exitWorker(manager, manager.workers[1], 0, null);
+        queueWorkers.forEach(function (worker) {
+          expect(worker.disconnect.callCount).to.equal(0);
+        });
+      });
+
+      it('should require a group when scaling', function (done) {
+        expect(function () {
+          manager.scaleTo(2);
+        }).to.throw(Error, 'A worker group must be given when using worker ' +
+          'groups.');
+        expect(function () {
+          manager.scaleUp();
+        }).to.throw(Error, 'A worker group must be given when using worker ' +
+          'groups.');
+        done();
+      });
+
+      it('should throw when scaling an unknown group', function (done) {
+        expect(function () {
+          manager.scaleTo('cron', 2);
+        }).to.throw(Error, 'Unknown worker group: cron');
+        done();
+      });
+
+      it('should throw when scaling a group without worker groups', function (done) {
+        var other = new ClusterManager({ worker: noop, numWorkers: 1 });
+        expect(function () {
+          other.scaleTo('web', 2);
+        }).to.throw(Error, 'Unknown worker group: web');
+        done();
+      });
+
+      it('should shut down a single group', function (done) {
+        var queueWorkers = manager.workers.slice(3);
+        manager.shutdown('queue', function () {
+          expect(groups()).to.deep.equal(['web', 'web', 'web']);
+          expect(manager._exitMaster.callCount).to.equal(0);
+          expect(manager.shuttingDown).to.be.false();
+          done();
+        });
+        queueWorkers.forEach(function (worker) {
+          expect(worker.disconnect.calledOnce).to.be.true();
+          fixtures.exitWorker(manager, worker, 0, null);
+        });
+      });
+
+      it('should shut down a group without workers right away', function (done) {
+        manager.shutdown('queue');
+        manager.workers.slice(3).forEach(function (worker) {
+          fixtures.exitWorker(manager, worker, 0, null);
+        });
+        manager.shutdown('queue', function () {
+          expect(groups()).to.deep.equal(['web', 'web', 'web']);
+          done();
+        });
+      });
+
+      it('should emit `shutdownStarted` with the group', function (done) {
+        var spy = sinon.spy();
+        manager.on('shutdownStarted', spy);
+        manager.shutdown('queue');
+        expect(spy.calledWith('queue')).to.be.true();
+        done();
+      });
+
+      it('should not respawn a group that was shut down', function (done) {
+        manager.shutdown('queue');
+        manager.workers.slice(3).forEach(function (worker) {
+          fixtures.exitWorker(manager, worker, 0, null);
+        });
+        fixtures.exitWorker(manager, manager.workers[0], 1, null);
+        clock.tick(manager.options.respawnDelay);
+        expect(groups()).to.deep.equal(['web', 'web', 'web']);
+        done();
+      });
+
+      it('should start a group again after it was shut down', function (done) {
+        manager.shutdown('queue');
+        manager.scaleTo('queue', 1);
+        expect(manager.activeWorkers('queue').length).to.equal(1);
+        done();
+      });
+
+      it('should throw when shutting down an unknown group', function (done) {
+        expect(function () {
+          manager.shutdown('cron');
+        }).to.throw(Error, 'Unknown worker group: cron');
+        done();
+      });
+    }); // end 'master'
+
+    describe('worker', function () {
+      var group;
+
+      beforeEach(function (done) {
+        group = process.env.CLUSTER_GROUP;
+        done();
+      });
+
+      afterEach(function (done) {
+        if (group) {
+          process.env.CLUSTER_GROUP = group;
+        }
+        else {
+          delete process.env.CLUSTER_GROUP;
+        }
+        manager._unbindProcessMessages();
+        done();
+      });
+
+      it('should execute the worker function of its group', function (done) {
+        process.env.CLUSTER_GROUP = 'queue';
+        manager._startWorker();
+        expect(queue.calledWith(manager)).to.be.true();
+        expect(web.callCount).to.equal(0);
+        expect(manager.group).to.equal('queue');
+        done();
+      });
+
+      it('should throw if its group is unknown', function (done) {
+        process.env.CLUSTER_GROUP = 'cron';
+        expect(function () {
+          manager._startWorker();
+        }).to.throw(Error, 'Unknown worker group: cron');
+        done();
+      });
+    }); // end 'worker'
+  }); // end 'groups'
+}); // end 'cluster-man'
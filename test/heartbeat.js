@@ -0,0 +1,175 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var message = require('../lib/message');
+
+describe('cluster-man', function () {
+  describe('heartbeat', function () {
+    var manager;
+    var clock;
+
+    // Simulates a worker sending a heartbeat to the master
+    function heartbeat(worker) {
+      manager.cluster.emit('message', worker, message.create('heartbeat'));
+    }
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      manager = new ClusterManager({
+        worker: noop,
+        numWorkers: 2,
+        heartbeatInterval: 1000,
+        heartbeatTolerance: 3
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      manager._startMaster();
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      clearInterval(manager._heartbeatTimer);
+      clock.restore();
+      done();
+    });
+
+    describe('master', function () {
+      it('should not monitor heartbeats by default', function (done) {
+        var other = new ClusterManager({ worker: noop, numWorkers: 1 });
+        other._startMaster();
+        expect(other._heartbeatTimer).to.be.null();
+        other._unbindSignals();
+        done();
+      });
+
+      it('should record heartbeats from workers', function (done) {
+        var worker = manager.workers[0];
+        clock.tick(500);
+        heartbeat(worker);
+        expect(manager.heartbeats[worker.id]).to.equal(500);
+        done();
+      });
+
+      it('should not kill workers that keep sending heartbeats', function (done) {
+        for (var i = 0; i < 10; i++) {
+          manager.workers.forEach(heartbeat);
+          clock.tick(1000);
+        }
+        manager.workers.forEach(function (worker) {
+          expect(worker.process.kill.callCount).to.equal(0);
+        });
+        done();
+      });
+
+      it('should kill workers that miss too many heartbeats', function (done) {
+        var hung = manager.workers[0];
+        var healthy = manager.workers[1];
+        for (var i = 0; i < 4; i++) {
+          heartbeat(healthy);
+          clock.tick(1000);
+        }
+        expect(hung.process.kill.calledOnce).to.be.true();
+        expect(hung.process.kill.calledWith('SIGKILL')).to.be.true();
+        expect(healthy.process.kill.callCount).to.equal(0);
+        done();
+      });
+
+      it('should only kill a hung worker once', function (done) {
+        var hung = manager.workers[0];
+        clock.tick(10000);
+        expect(hung.process.kill.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should log the reason a worker was killed', function (done) {
+        var spy = sinon.spy(manager.log, 'error');
+        clock.tick(4000);
+        expect(spy.calledWith(
+          'Worker missed 4 heartbeats: ' + manager.workers[0].id + ' -- killing'
+        )).to.be.true();
+        done();
+      });
+
+      it('should replace workers that were killed', function (done) {
+        var hung = manager.workers[0];
+        clock.tick(4000);
+        manager.cluster.emit('exit', hung, null, 'SIGKILL');
+        expect(manager.heartbeats[hung.id]).to.not.exist();
+        clock.tick(manager.options.respawnDelay);
+        expect(manager.workers.length).to.equal(2);
+        expect(manager.workers).to.not.contain(hung);
+        done();
+      });
+
+      it('should not check workers that are being retired', function (done) {
+        var worker = manager.workers[0];
+        manager.retireWorker(worker);
+        clock.tick(5000);
+        expect(worker.process.kill.callCount).to.equal(0);
+        done();
+      });
+
+      it('should stop monitoring heartbeats on shutdown', function (done) {
+        manager.shutdown();
+        clock.tick(5000);
+        manager.workers.forEach(function (worker) {
+          expect(worker.process.kill.callCount).to.equal(0);
+        });
+        done();
+      });
+    }); // end 'master'
+
+    describe('worker', function () {
+      var send;
+
+      beforeEach(function (done) {
+        send = process.send;
+        process.send = sinon.spy();
+        done();
+      });
+
+      afterEach(function (done) {
+        process.send = send;
+        done();
+      });
+
+      it('should send heartbeats on an interval', function (done) {
+        var worker = new ClusterManager({
+          worker: noop,
+          heartbeatInterval: 1000
+        });
+        worker._startWorker();
+        worker._unbindProcessMessages();
+        clock.tick(3000);
+        clearInterval(worker._heartbeatTimer);
+        expect(process.send.callCount).to.equal(3);
+        expect(process.send.calledWith(message.create('heartbeat')))
+          .to.be.true();
+        done();
+      });
+
+      it('should not send heartbeats by default', function (done) {
+        var worker = new ClusterManager(noop);
+        worker._startWorker();
+        worker._unbindProcessMessages();
+        clock.tick(3000);
+        expect(process.send.callCount).to.equal(0);
+        done();
+      });
+    }); // end 'worker'
+  }); // end 'heartbeat'
+}); // end 'cluster-man'
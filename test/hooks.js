@@ -0,0 +1,359 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var ShutdownHooks = require('../lib/shutdown-hooks');
+
+describe('cluster-man', function () {
+  describe('shutdown hooks', function () {
+    var clock;
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      sinon.stub(process, 'exit');
+      done();
+    });
+
+    afterEach(function (done) {
+      process.exit.restore();
+      clock.restore();
+      done();
+    });
+
+    describe('ShutdownHooks', function () {
+      var manager;
+      var hooks;
+
+      beforeEach(function (done) {
+        manager = new ClusterManager(noop);
+        sinon.stub(manager.log, 'error');
+        hooks = new ShutdownHooks(manager);
+        done();
+      });
+
+      it('should run hooks by order and registration', function (done) {
+        var calls = [];
+        function hook(name) {
+          return function () {
+            calls.push(name);
+          };
+        }
+        hooks.add('a', hook('a'));
+        hooks.add('b', hook('b'), { order: 1 });
+        hooks.add('c', hook('c'), { order: -1 });
+        hooks.add('d', hook('d'));
+        expect(hooks.names()).to.deep.equal(['c', 'a', 'd', 'b']);
+        var cb = sinon.spy();
+        hooks.run(null, cb);
+        expect(calls).to.deep.equal(['c', 'a', 'd', 'b']);
+        expect(cb.calledWith(null)).to.be.true();
+        done();
+      });
+
+      it('should validate hooks', function (done) {
+        expect(function () {
+          hooks.add('a');
+        }).to.throw('Shutdown hooks must be given a name and a function.');
+        expect(function () {
+          hooks.add(1, noop);
+        }).to.throw('Shutdown hooks must be given a name and a function.');
+        hooks.add('a', noop);
+        expect(function () {
+          hooks.add('a', noop);
+        }).to.throw('Shutdown hook a is already registered.');
+        done();
+      });
+
+      it('should remove hooks', function (done) {
+        hooks.add('a', noop);
+        hooks.add('b', noop);
+        hooks.remove('a');
+        expect(hooks.names()).to.deep.equal(['b']);
+        done();
+      });
+
+      it('should pass the error to every hook', function (done) {
+        var hook = sinon.spy();
+        var err = new Error('fatal');
+        hooks.add('a', function (err, done) {
+          hook(err);
+          done();
+        });
+        hooks.run(err, function () {
+          expect(hook.calledWith(err)).to.be.true();
+          done();
+        });
+      });
+
+      it('should wait for `done` to be called', function (done) {
+        var finish;
+        var second = sinon.spy();
+        hooks.add('a', function (err, done) {
+          finish = done;
+        });
+        hooks.add('b', second);
+        var cb = sinon.spy();
+        hooks.run(null, cb);
+        expect(second.called).to.be.false();
+        finish();
+        expect(second.calledOnce).to.be.true();
+        expect(cb.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should wait for returned promises', function (done) {
+        var second = sinon.spy();
+        hooks.add('a', function () {
+          return Promise.resolve();
+        });
+        hooks.add('b', second);
+        hooks.run(null, function (err) {
+          expect(err).to.be.null();
+          expect(second.calledOnce).to.be.true();
+          done();
+        });
+        expect(second.called).to.be.false();
+      });
+
+      it('should continue after hooks that fail', function (done) {
+        var second = sinon.spy();
+        var third = sinon.spy();
+        var err = new Error('first');
+        hooks.add('a', function () {
+          throw err;
+        });
+        hooks.add('b', function (err, done) {
+          second();
+          done(new Error('second'));
+        });
+        hooks.add('c', third);
+        hooks.run(null, function (hookErr) {
+          expect(hookErr).to.equal(err);
+          expect(second.calledOnce).to.be.true();
+          expect(third.calledOnce).to.be.true();
+          expect(manager.log.error.calledWithMatch('Shutdown hook a failed'))
+            .to.be.true();
+          expect(manager.log.error.calledWithMatch('Shutdown hook b failed'))
+            .to.be.true();
+          done();
+        });
+      });
+
+      it('should handle rejected promises', function (done) {
+        hooks.add('a', function () {
+          return Promise.reject('reason');
+        });
+        hooks.run(null, function (err) {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.message).to.equal('reason');
+          done();
+        });
+      });
+
+      it('should handle promises rejected without a reason', function (done) {
+        hooks.add('a', function () {
+          return Promise.reject();
+        });
+        hooks.run(null, function (err) {
+          expect(err.message).to.equal('Shutdown hook a rejected.');
+          done();
+        });
+      });
+
+      it('should skip hooks that time out', function (done) {
+        var finish;
+        var second = sinon.spy();
+        hooks.add('a', function (err, done) {
+          finish = done;
+        }, { timeoutMs: 1000 });
+        hooks.add('b', second);
+        var cb = sinon.spy();
+        hooks.run(null, cb);
+        clock.tick(999);
+        expect(second.called).to.be.false();
+        clock.tick(1);
+        expect(second.calledOnce).to.be.true();
+        expect(cb.args[0][0].message)
+          .to.equal('Shutdown hook a timed out after 1000ms.');
+        expect(manager.log.error.calledWith(
+          'Shutdown hook a did not complete within 1000ms, skipping.'
+        )).to.be.true();
+        finish();
+        expect(cb.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should time out hooks after 10 seconds by default', function (done) {
+        var cb = sinon.spy();
+        hooks.add('a', function (err, done) {});
+        hooks.run(null, cb);
+        clock.tick(ShutdownHooks.DEFAULT_TIMEOUT - 1);
+        expect(cb.called).to.be.false();
+        clock.tick(1);
+        expect(cb.calledOnce).to.be.true();
+        done();
+      });
+    }); // end 'ShutdownHooks'
+
+    describe('master', function () {
+      it('should register `beforeExit` as a hook', function (done) {
+        var manager = new ClusterManager(noop);
+        expect(manager.shutdownHooks.names()).to.deep.equal(['beforeExit']);
+        done();
+      });
+
+      it('should run hooks before exiting', function (done) {
+        var calls = [];
+        var manager = new ClusterManager({
+          worker: noop,
+          beforeExit: function (err, done) {
+            calls.push('beforeExit');
+            done();
+          }
+        });
+        manager.onShutdown('flush', function () {
+          calls.push('flush');
+        });
+        manager.onShutdown('close', function () {
+          calls.push('close');
+        }, { order: -1 });
+        manager._exitMaster();
+        expect(calls).to.deep.equal(['close', 'beforeExit', 'flush']);
+        expect(process.exit.calledOnce).to.be.true();
+        expect(process.exit.calledWith(0)).to.be.true();
+        done();
+      });
+
+      it('should exit with an error when a hook fails', function (done) {
+        var manager = new ClusterManager(noop);
+        sinon.stub(manager.log, 'error');
+        manager.onShutdown('flush', function () {
+          throw new Error('flush failed');
+        });
+        manager._exitMaster();
+        expect(process.exit.calledWith(1)).to.be.true();
+        done();
+      });
+
+      it('should not wait for an invalid before exit callback', function (done) {
+        var manager = new ClusterManager({
+          worker: noop,
+          beforeExit: 'not a function'
+        });
+        manager._exitMaster();
+        expect(process.exit.calledWith(0)).to.be.true();
+        done();
+      });
+
+      it('should exit when hooks miss the shutdown deadline', function (done) {
+        var manager = new ClusterManager({
+          worker: noop,
+          shutdownTimeoutMs: 1000
+        });
+        sinon.stub(manager.log, 'error');
+        var finish;
+        manager.onShutdown('flush', function (err, done) {
+          finish = done;
+        }, { timeoutMs: 5000 });
+        manager._exitMaster();
+        clock.tick(999);
+        expect(process.exit.called).to.be.false();
+        clock.tick(1);
+        expect(process.exit.calledOnce).to.be.true();
+        expect(process.exit.calledWith(1)).to.be.true();
+        expect(manager.log.error.calledWith(
+          'Shutdown hooks did not complete within 1000ms, exiting.'
+        )).to.be.true();
+        finish();
+        clock.tick(5000);
+        expect(process.exit.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should stop the deadline once the hooks complete', function (done) {
+        var manager = new ClusterManager(noop);
+        manager._exitMaster();
+        clock.tick(manager.options.shutdownTimeoutMs);
+        expect(process.exit.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should not bind worker events on the master', function (done) {
+        var manager = new ClusterManager(noop);
+        manager.onShutdown('flush', noop);
+        expect(manager._shutdownHandlers).to.be.null();
+        done();
+      });
+    }); // end 'master'
+
+    describe('worker', function () {
+      var manager;
+
+      beforeEach(function (done) {
+        manager = new ClusterManager(noop);
+        manager.cluster = { isMaster: false };
+        done();
+      });
+
+      afterEach(function (done) {
+        manager._unbindWorkerShutdown();
+        manager._unbindProcessMessages();
+        done();
+      });
+
+      it('should not run the before exit callback', function (done) {
+        manager._startWorker();
+        expect(manager.shutdownHooks.names()).to.be.empty();
+        done();
+      });
+
+      it('should run hooks when disconnected by the master', function (done) {
+        var hook = sinon.spy();
+        manager._startWorker();
+        manager.onShutdown('close', hook);
+        expect(process.listeners('disconnect'))
+          .to.contain(manager._shutdownHandlers.disconnect);
+        manager._shutdownHandlers.disconnect();
+        expect(hook.calledOnce).to.be.true();
+        expect(process.exit.calledWith(0)).to.be.true();
+        done();
+      });
+
+      it('should run hooks when asked to terminate', function (done) {
+        var finish;
+        manager.onShutdown('close', function (err, done) {
+          finish = done;
+        });
+        expect(process.listeners('SIGTERM'))
+          .to.contain(manager._shutdownHandlers.SIGTERM);
+        expect(process.listeners('SIGINT'))
+          .to.contain(manager._shutdownHandlers.SIGINT);
+        manager._shutdownHandlers.SIGTERM();
+        manager._shutdownHandlers.SIGINT();
+        expect(process.exit.called).to.be.false();
+        finish();
+        expect(process.exit.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should only bind worker events once', function (done) {
+        var count = process.listeners('SIGTERM').length;
+        manager.onShutdown('a', noop);
+        manager.onShutdown('b', noop);
+        expect(process.listeners('SIGTERM').length).to.equal(count + 1);
+        done();
+      });
+    }); // end 'worker'
+  }); // end 'shutdown hooks'
+}); // end 'cluster-man'
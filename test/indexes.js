@@ -0,0 +1,244 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+
+describe('cluster-man', function () {
+  describe('worker indexes', function () {
+    describe('master', function () {
+      var manager;
+      var clock;
+
+      // Creates a manager with fake workers and starts its master
+      function startMaster(options) {
+        options.worker = options.worker || noop;
+        manager = new ClusterManager(options);
+        fixtures.stubFork(manager);
+        sinon.stub(manager, '_exitMaster');
+        manager._startMaster();
+      }
+
+      // Indexes of the active workers, in the order they were created
+      function indexes(group) {
+        return manager.activeWorkers(group).map(function (worker) {
+          return worker.index;
+        });
+      }
+
+      // Environment the last worker was forked with
+      function lastEnv() {
+        return manager.cluster.fork.lastCall.args[0];
+      }
+
+      beforeEach(function (done) {
+        clock = sinon.useFakeTimers();
+        done();
+      });
+
+      afterEach(function (done) {
+        fixtures.restore(manager);
+        clock.restore();
+        done();
+      });
+
+      describe('slots', function () {
+        beforeEach(function (done) {
+          startMaster({ numWorkers: 3 });
+          done();
+        });
+
+        it('should give every worker an index', function (done) {
+          expect(indexes()).to.deep.equal([0, 1, 2]);
+          expect(manager.cluster.fork.args.map(function (args) {
+            return args[0].CLUSTER_WORKER_INDEX;
+          })).to.deep.equal(['0', '1', '2']);
+          done();
+        });
+
+        it('should keep the index of respawned workers', function (done) {
+          fixtures.exitWorker(manager, manager.workers[1], 1, null);
+          clock.tick(manager.options.respawnDelay);
+          expect(indexes()).to.deep.equal([0, 2, 1]);
+          expect(lastEnv().CLUSTER_WORKER_INDEX).to.equal('1');
+          done();
+        });
+
+        it('should keep the indexes of several respawned workers', function (done) {
+          fixtures.exitWorker(manager, manager.workers[2], 1, null);
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          clock.tick(manager.options.respawnDelay * 2);
+          expect(indexes()).to.deep.equal([1, 2, 0]);
+          done();
+        });
+
+        it('should keep the index of replaced workers', function (done) {
+          manager.replaceWorker(manager.workers[1]);
+          expect(manager.workers[3].index).to.equal(1);
+          expect(lastEnv().CLUSTER_WORKER_INDEX).to.equal('1');
+          done();
+        });
+
+        it('should fill the slots of crashed workers first', function (done) {
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          manager.scaleUp();
+          expect(indexes()).to.deep.equal([1, 2, 0, 3]);
+          expect(manager.getWorkers()[2].restarts).to.equal(1);
+          clock.tick(manager.options.respawnDelay);
+          expect(indexes()).to.deep.equal([1, 2, 0, 3]);
+          done();
+        });
+
+        it('should take the lowest free index when scaling up', function (done) {
+          manager._stopRespawning();
+          fixtures.exitWorker(manager, manager.workers[1], 1, null);
+          manager.scaleTo(2);
+          manager.scaleUp();
+          expect(indexes()).to.deep.equal([0, 2, 1]);
+          done();
+        });
+
+        it('should retire the highest indexes when scaling down', function (done) {
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          clock.tick(manager.options.respawnDelay);
+          expect(indexes()).to.deep.equal([1, 2, 0]);
+          var highest = manager.workers[1];
+          manager.scaleDown();
+          expect(highest.disconnect.calledOnce).to.be.true();
+          expect(indexes()).to.deep.equal([1, 0]);
+          done();
+        });
+
+        it('should retire replaced workers with their replacements', function (done) {
+          manager.replaceWorker(manager.workers[2]);
+          expect(indexes()).to.deep.equal([0, 1, 2, 2]);
+          manager.scaleTo(2);
+          expect(indexes()).to.deep.equal([0, 1]);
+          done();
+        });
+
+        it('should forget crashed workers that are scaled away', function (done) {
+          fixtures.exitWorker(manager, manager.workers[2], 1, null);
+          fixtures.exitWorker(manager, manager.workers[1], 1, null);
+          manager.scaleTo(1);
+          expect(manager.getWorkers().length).to.equal(1);
+          clock.tick(manager.options.respawnDelay * 2);
+          expect(indexes()).to.deep.equal([0]);
+          done();
+        });
+
+        it('should include the index in the worker records', function (done) {
+          expect(manager.getWorkers().map(function (worker) {
+            return worker.index;
+          })).to.deep.equal([0, 1, 2]);
+          done();
+        });
+      }); // end 'slots'
+
+      describe('env', function () {
+        it('should pass the environment to every worker', function (done) {
+          startMaster({ numWorkers: 2, env: { NODE_ENV: 'production' } });
+          expect(lastEnv()).to.deep.equal({
+            NODE_ENV: 'production',
+            CLUSTER_WORKER_INDEX: '1'
+          });
+          done();
+        });
+
+        it('should build the environment of each worker', function (done) {
+          var env = sinon.spy(function (index) {
+            return { DEBUG_PORT: 9230 + index };
+          });
+          startMaster({ numWorkers: 2, env: env });
+          expect(env.args).to.deep.equal([[0, undefined], [1, undefined]]);
+          expect(lastEnv()).to.deep.equal({
+            DEBUG_PORT: 9231,
+            CLUSTER_WORKER_INDEX: '1'
+          });
+          done();
+        });
+
+        it('should not let the environment change the index', function (done) {
+          startMaster({ numWorkers: 1, env: { CLUSTER_WORKER_INDEX: '7' } });
+          expect(lastEnv().CLUSTER_WORKER_INDEX).to.equal('0');
+          done();
+        });
+
+        it('should index the workers of each group', function (done) {
+          var env = sinon.spy(function (index, group) {
+            return { QUEUE: group + '-' + index };
+          });
+          startMaster({
+            groups: { web: { worker: noop, count: 2 }, queue: noop },
+            env: env
+          });
+          expect(indexes('web')).to.deep.equal([0, 1]);
+          expect(indexes('queue')).to.deep.equal([0]);
+          expect(lastEnv()).to.deep.equal({
+            QUEUE: 'queue-0',
+            CLUSTER_WORKER_INDEX: '0',
+            CLUSTER_GROUP: 'queue'
+          });
+          done();
+        });
+
+        it('should keep the slots of each group apart', function (done) {
+          startMaster({
+            groups: {
+              web: { worker: noop, count: 2 },
+              queue: { worker: noop, count: 2 }
+            }
+          });
+          fixtures.exitWorker(manager, manager.workers[2], 1, null);
+          manager.scaleUp('web');
+          expect(indexes('web')).to.deep.equal([0, 1, 2]);
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          clock.tick(manager.options.respawnDelay);
+          expect(indexes('web')).to.deep.equal([1, 2, 0]);
+          expect(indexes('queue')).to.deep.equal([1, 0]);
+          done();
+        });
+      }); // end 'env'
+    }); // end 'master'
+
+    describe('worker', function () {
+      var manager;
+
+      beforeEach(function (done) {
+        manager = new ClusterManager(noop);
+        process.env.CLUSTER_WORKER_INDEX = '3';
+        done();
+      });
+
+      afterEach(function (done) {
+        delete process.env.CLUSTER_WORKER_INDEX;
+        manager._unbindProcessMessages();
+        done();
+      });
+
+      it('should know its index', function (done) {
+        manager._startWorker();
+        expect(manager.index).to.equal(3);
+        done();
+      });
+    }); // end 'worker'
+
+    it('should validate the env option', function (done) {
+      expect(function () {
+        new ClusterManager({ worker: noop, env: 'NODE_ENV=production' });
+      }).to.throw('Option env must be an object or a function.');
+      done();
+    });
+  }); // end 'worker indexes'
+}); // end 'cluster-man'
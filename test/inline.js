@@ -0,0 +1,223 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var config = require('../lib/config');
+
+describe('cluster-man', function () {
+  describe('single process', function () {
+    describe('options', function () {
+      var envClusterWorkers;
+
+      beforeEach(function (done) {
+        envClusterWorkers = process.env.CLUSTER_WORKERS;
+        done();
+      });
+
+      afterEach(function (done) {
+        process.env.CLUSTER_WORKERS = envClusterWorkers;
+        done();
+      });
+
+      it('should run without workers when `numWorkers` is 0', function (done) {
+        expect(new ClusterManager({ worker: noop, numWorkers: 0 }).inline)
+          .to.be.true();
+        expect(new ClusterManager({ worker: noop, numWorkers: '0' }).inline)
+          .to.be.true();
+        expect(new ClusterManager({ worker: noop, numWorkers: 1 }).inline)
+          .to.be.false();
+        done();
+      });
+
+      it('should run without workers when `CLUSTER_WORKERS` is 0', function (done) {
+        process.env.CLUSTER_WORKERS = '0';
+        var manager = new ClusterManager(noop);
+        expect(manager.options.numWorkers).to.equal(0);
+        expect(manager.inline).to.be.true();
+        done();
+      });
+
+      it('should not accept expressions that resolve to 0', function (done) {
+        expect(config.parseWorkers(0, 'numWorkers', 8, true)).to.equal(0);
+        expect(function () {
+          config.parseWorkers('cpus-8', 'numWorkers', 8, true);
+        }).to.throw(/^Invalid numWorkers: "cpus-8"\./);
+        done();
+      });
+
+      it('should not run worker groups in the master', function (done) {
+        var manager = new ClusterManager({
+          groups: { web: noop },
+          numWorkers: 0
+        });
+        expect(manager.inline).to.be.false();
+        done();
+      });
+
+      it('should not support autoscaling or sticky sessions', function (done) {
+        expect(function () {
+          new ClusterManager({ worker: noop, numWorkers: 0, autoscale: true });
+        }).to.throw('Autoscaling is not supported without workers.');
+        expect(function () {
+          new ClusterManager({ worker: noop, numWorkers: 0, stickyPort: 80 });
+        }).to.throw('Sticky sessions are not supported without workers.');
+        done();
+      });
+    }); // end 'options'
+
+    describe('start', function () {
+      var manager;
+      var calls;
+
+      // Creates a manager that runs its worker in the master process
+      function createManager(options) {
+        options.numWorkers = 0;
+        options.master = options.master || function () {
+          calls.push('master');
+        };
+        options.worker = options.worker || function () {
+          calls.push('worker');
+        };
+        manager = new ClusterManager(options);
+        sinon.stub(manager.cluster, 'fork');
+        return manager;
+      }
+
+      beforeEach(function (done) {
+        calls = [];
+        sinon.stub(process, 'exit');
+        done();
+      });
+
+      afterEach(function (done) {
+        process.exit.restore();
+        manager._unbindSignals();
+        manager.cluster.fork.restore();
+        delete process.env.CLUSTER_WORKER_INDEX;
+        delete process.env.APP_PORT;
+        done();
+      });
+
+      it('should run the master and worker callbacks without forking', function (done) {
+        createManager({}).start().then(function () {
+          expect(calls).to.deep.equal(['master', 'worker']);
+          expect(manager.cluster.fork.called).to.be.false();
+          expect(manager.workers).to.be.empty();
+          done();
+        });
+      });
+
+      it('should give the worker the environment of the first worker', function (done) {
+        createManager({
+          env: function (index) {
+            return { APP_PORT: 8080 + index };
+          },
+          worker: function (manager) {
+            calls.push(process.env.APP_PORT, manager.index);
+          }
+        });
+        manager.start().then(function () {
+          expect(process.env.CLUSTER_WORKER_INDEX).to.equal('0');
+          expect(calls).to.deep.equal(['master', '8080', 0]);
+          done();
+        });
+      });
+
+      it('should wait for the worker to be ready', function (done) {
+        var started = false;
+        createManager({ awaitReady: true });
+        manager.start().then(function () {
+          started = true;
+        });
+        setImmediate(function () {
+          expect(started).to.be.false();
+          manager.ready();
+          setImmediate(function () {
+            expect(started).to.be.true();
+            manager.ready();
+            done();
+          });
+        });
+      });
+
+      it('should exit when the worker callback fails', function (done) {
+        var err = new Error('worker failed');
+        createManager({
+          worker: function () {
+            return Promise.reject(err);
+          }
+        });
+        sinon.stub(manager.log, 'error');
+        sinon.stub(manager, '_exitMaster', function (exitErr) {
+          expect(exitErr).to.equal(err);
+          expect(manager.log.error.calledWithMatch('Unhandled worker error'))
+            .to.be.true();
+          done();
+        });
+        manager.start();
+      });
+
+      it('should pass errors of the master callback to `masterError`', function (done) {
+        var err = new Error('master failed');
+        createManager({
+          master: function () {
+            return Promise.reject(err);
+          }
+        });
+        sinon.stub(manager, 'masterError', function (masterErr) {
+          expect(masterErr).to.equal(err);
+          done();
+        });
+        manager.start();
+      });
+
+      it('should run the shutdown hooks when asked to terminate', function (done) {
+        var beforeExit = sinon.spy();
+        var hook = sinon.spy();
+        createManager({ beforeExit: beforeExit });
+        manager.start().then(function () {
+          manager.onShutdown('close', hook);
+          manager._signalHandlers.SIGTERM('SIGTERM');
+          expect(beforeExit.calledOnce).to.be.true();
+          expect(hook.calledOnce).to.be.true();
+          expect(process.exit.calledWith(0)).to.be.true();
+          done();
+        });
+      });
+
+      it('should handle calls within the process', function (done) {
+        createManager({});
+        manager.handle('add', function (a, b) {
+          return a + b;
+        });
+        manager.handle('fail', function () {
+          throw 'reason';
+        });
+        manager.start().then(function () {
+          return manager.call('add', [1, 2]);
+        }).then(function (result) {
+          expect(result).to.equal(3);
+          return manager.call('fail');
+        }).catch(function (err) {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.message).to.equal('reason');
+          return manager.call(1, 'add');
+        }).catch(function (err) {
+          expect(err.message).to.equal('Unknown worker: 1');
+          done();
+        });
+      });
+    }); // end 'start'
+  }); // end 'single process'
+}); // end 'cluster-man'
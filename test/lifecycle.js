@@ -0,0 +1,231 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var EventEmitter = require('events').EventEmitter;
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+
+describe('cluster-man', function () {
+  describe('lifecycle', function () {
+    describe('master', function () {
+      var manager;
+      var errorObject = new Error('Unhandled Error');
+
+      beforeEach(function (done) {
+        manager = new ClusterManager({
+          worker: noop,
+          master: function () {
+            return Promise.reject(errorObject);
+          },
+          numWorkers: 2
+        });
+        manager.cluster = new EventEmitter();
+        manager.cluster.isMaster = true;
+        var workerId = 0;
+        manager.cluster.fork = function () {
+          var worker = new EventEmitter();
+          worker.id = ++workerId;
+          return worker;
+        };
+        sinon.stub(manager, 'masterError');
+        done();
+      });
+
+      afterEach(function (done) {
+        manager._stopRespawning();
+        manager._unbindSignals();
+        done();
+      });
+
+      it('should resolve `start` once all workers are online', function (done) {
+        var started = false;
+        manager.start().then(function () {
+          started = true;
+        });
+        manager.cluster.emit('online', manager.workers[0]);
+        setImmediate(function () {
+          expect(started).to.be.false();
+          manager.cluster.emit('online', manager.workers[1]);
+          setImmediate(function () {
+            expect(started).to.be.true();
+            done();
+          });
+        });
+      });
+
+      it('should count replacements of workers that died', function (done) {
+        manager.start().then(function () {
+          expect(manager.workers.map(function (worker) {
+            return worker.id;
+          })).to.deep.equal([2, 3]);
+          done();
+        }).catch(done);
+        var dead = manager.workers[0];
+        manager.cluster.emit('online', dead);
+        manager.cluster.emit('exit', dead, 1, null);
+        manager.cluster.emit('online', manager.workers[0]);
+        manager.respawn();
+        manager.cluster.emit('online', manager.workers[1]);
+      });
+
+      it('should handle rejections of an async master callback', function (done) {
+        manager.masterError.restore();
+        sinon.stub(manager, 'masterError', function (err) {
+          expect(err).to.equal(errorObject);
+          done();
+        });
+        manager._startMaster();
+      });
+
+      it('should pass uncaught exceptions to `masterError`', function (done) {
+        manager.options.master = noop;
+        manager._startMaster();
+        manager._signalHandlers.uncaughtException(errorObject);
+        expect(manager.masterError.calledWith(errorObject)).to.be.true();
+        done();
+      });
+
+      it('should pass unhandled rejections to `masterError`', function (done) {
+        manager.options.master = noop;
+        manager._startMaster();
+        manager._signalHandlers.unhandledRejection(errorObject);
+        expect(manager.masterError.calledWith(errorObject)).to.be.true();
+        manager._signalHandlers.unhandledRejection('reason');
+        var err = manager.masterError.secondCall.args[0];
+        expect(err).to.be.an.instanceof(Error);
+        expect(err.message).to.equal('Unhandled promise rejection: reason');
+        done();
+      });
+    }); // end 'master'
+
+    describe('beforeExit', function () {
+      beforeEach(function (done) {
+        sinon.stub(process, 'exit');
+        done();
+      });
+
+      afterEach(function (done) {
+        process.exit.restore();
+        done();
+      });
+
+      it('should exit once an async callback resolves', function (done) {
+        var resolve;
+        var manager = new ClusterManager({
+          worker: noop,
+          beforeExit: function () {
+            return new Promise(function (r) {
+              resolve = r;
+            });
+          }
+        });
+        manager._exitMaster();
+        expect(process.exit.callCount).to.equal(0);
+        resolve();
+        setImmediate(function () {
+          expect(process.exit.calledOnce).to.be.true();
+          expect(process.exit.calledWith(0)).to.be.true();
+          done();
+        });
+      });
+
+      it('should exit with an error when the callback rejects', function (done) {
+        var manager = new ClusterManager({
+          worker: noop,
+          beforeExit: function () {
+            return Promise.reject(new Error('cleanup failed'));
+          }
+        });
+        var spy = sinon.spy(manager.log, 'error');
+        manager._exitMaster();
+        setImmediate(function () {
+          expect(spy.calledWithMatch('Shutdown hook beforeExit failed')).to.be.true();
+          expect(process.exit.calledOnce).to.be.true();
+          expect(process.exit.calledWith(1)).to.be.true();
+          done();
+        });
+      });
+
+      it('should exit with an error when the callback throws', function (done) {
+        var manager = new ClusterManager({
+          worker: noop,
+          beforeExit: function () {
+            throw new Error('cleanup failed');
+          }
+        });
+        manager._exitMaster();
+        expect(process.exit.calledWith(1)).to.be.true();
+        done();
+      });
+
+      it('should only exit once', function (done) {
+        var manager = new ClusterManager({
+          worker: noop,
+          beforeExit: function (err, done) {
+            done();
+            return Promise.resolve();
+          }
+        });
+        manager._exitMaster();
+        setImmediate(function () {
+          expect(process.exit.calledOnce).to.be.true();
+          done();
+        });
+      });
+    }); // end 'beforeExit'
+
+    describe('worker', function () {
+      var manager;
+
+      beforeEach(function (done) {
+        sinon.stub(process, 'exit');
+        done();
+      });
+
+      afterEach(function (done) {
+        manager._unbindProcessMessages();
+        process.exit.restore();
+        done();
+      });
+
+      it('should resolve `start` once the worker callback resolves', function (done) {
+        var resolved = false;
+        manager = new ClusterManager(function () {
+          return new Promise(function (resolve) {
+            setImmediate(function () {
+              resolved = true;
+              resolve();
+            });
+          });
+        });
+        manager.cluster = { isMaster: false };
+        manager.start().then(function () {
+          expect(resolved).to.be.true();
+          done();
+        }).catch(done);
+      });
+
+      it('should exit the worker when the worker callback rejects', function (done) {
+        manager = new ClusterManager(function () {
+          return Promise.reject(new Error('failed to start'));
+        });
+        var spy = sinon.spy(manager.log, 'error');
+        manager._startWorker().then(function () {
+          expect(spy.calledWithMatch('Unhandled worker error')).to.be.true();
+          expect(process.exit.calledWith(1)).to.be.true();
+          done();
+        }).catch(done);
+      });
+    }); // end 'worker'
+  }); // end 'lifecycle'
+}); // end 'cluster-man'
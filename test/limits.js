@@ -0,0 +1,237 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var Reporter = require('../lib/reporter');
+var message = require('../lib/message');
+
+describe('cluster-man', function () {
+  describe('resource limits', function () {
+    var manager;
+    var clock;
+    var mb = 1024 * 1024;
+
+    // Simulates a worker reporting its resource usage to the master
+    function report(worker, rss, cpu) {
+      manager.cluster.emit('message', worker, message.create('report', {
+        lag: 0,
+        handles: 0,
+        rss: rss,
+        heapUsed: 0,
+        cpu: cpu || 0
+      }));
+    }
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      manager = new ClusterManager({
+        worker: noop,
+        numWorkers: 2,
+        maxWorkerRss: 100 * mb,
+        maxWorkerCpuPercent: 90,
+        limitDuration: 5000
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      manager._startMaster();
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      clock.restore();
+      done();
+    });
+
+    describe('master', function () {
+      it('should make reports readable per worker', function (done) {
+        var worker = manager.workers[0];
+        report(worker, 10 * mb, 5);
+        expect(manager.reports[worker.id].rss).to.equal(10 * mb);
+        expect(manager.reports[worker.id].cpu).to.equal(5);
+        done();
+      });
+
+      it('should call `report` for every worker report', function (done) {
+        var spy = sinon.spy(manager, 'report');
+        var worker = manager.workers[0];
+        report(worker, 10 * mb);
+        expect(spy.calledWith(worker, sinon.match({ rss: 10 * mb })))
+          .to.be.true();
+        done();
+      });
+
+      it('should recycle workers over the memory limit', function (done) {
+        var spy = sinon.spy(manager, 'recycleWorker');
+        var worker = manager.workers[0];
+        report(worker, 200 * mb);
+        clock.tick(4999);
+        report(worker, 200 * mb);
+        expect(spy.callCount).to.equal(0);
+        clock.tick(1);
+        report(worker, 200 * mb);
+        expect(spy.calledOnce).to.be.true();
+        expect(spy.firstCall.args[1]).to.match(/^rss of \d+ bytes/);
+        done();
+      });
+
+      it('should recycle workers over the CPU limit', function (done) {
+        var spy = sinon.spy(manager, 'recycleWorker');
+        var worker = manager.workers[0];
+        report(worker, 0, 95);
+        clock.tick(5000);
+        report(worker, 0, 99.5);
+        expect(spy.calledOnce).to.be.true();
+        expect(spy.firstCall.args[1])
+          .to.equal('cpu usage of 100% exceeds limit of 90%');
+        done();
+      });
+
+      it('should only recycle workers that stay over the limit', function (done) {
+        var spy = sinon.spy(manager, 'recycleWorker');
+        var worker = manager.workers[0];
+        report(worker, 200 * mb);
+        clock.tick(3000);
+        report(worker, 50 * mb);
+        clock.tick(3000);
+        report(worker, 200 * mb);
+        expect(spy.callCount).to.equal(0);
+        expect(manager.overLimit[worker.id]).to.equal(6000);
+        done();
+      });
+
+      it('should not enforce limits that were not given', function (done) {
+        delete manager.options.maxWorkerRss;
+        delete manager.options.maxWorkerCpuPercent;
+        var spy = sinon.spy(manager, 'recycleWorker');
+        report(manager.workers[0], 1000 * mb, 400);
+        clock.tick(10000);
+        report(manager.workers[0], 1000 * mb, 400);
+        expect(spy.callCount).to.equal(0);
+        done();
+      });
+    }); // end 'master'
+
+    describe('recycleWorker', function () {
+      it('should gracefully replace the worker', function (done) {
+        var worker = manager.workers[0];
+        manager.recycleWorker(worker, 'reason');
+        var successor = manager.workers[2];
+        expect(worker.disconnect.callCount).to.equal(0);
+        successor.emit('listening', {});
+        expect(worker.disconnect.calledOnce).to.be.true();
+        fixtures.exitWorker(manager, worker, 0, null);
+        expect(manager.workers).to.deep.equal([manager.workers[0], successor]);
+        expect(manager.recycling[worker.id]).to.not.exist();
+        done();
+      });
+
+      it('should log the reason for recycling', function (done) {
+        var spy = sinon.spy(manager.log, 'warning');
+        var worker = manager.workers[0];
+        manager.recycleWorker(worker, 'too big');
+        expect(spy.calledWith('Recycling worker: ' + worker.id + ' -- too big'))
+          .to.be.true();
+        done();
+      });
+
+      it('should recycle a worker only once', function (done) {
+        var worker = manager.workers[0];
+        manager.recycleWorker(worker, 'reason');
+        manager.recycleWorker(worker, 'reason');
+        expect(manager.cluster.fork.callCount).to.equal(3);
+        done();
+      });
+
+      it('should not recycle workers that are being retired', function (done) {
+        var worker = manager.workers[0];
+        manager.retireWorker(worker);
+        manager.recycleWorker(worker, 'reason');
+        expect(manager.cluster.fork.callCount).to.equal(2);
+        done();
+      });
+
+      it('should not recycle workers while shutting down', function (done) {
+        manager.shutdown();
+        manager.recycleWorker(manager.workers[0], 'reason');
+        expect(manager.cluster.fork.callCount).to.equal(2);
+        done();
+      });
+
+      it('should allow another attempt when recycling fails', function (done) {
+        var spy = sinon.spy(manager.log, 'error');
+        var worker = manager.workers[0];
+        manager.recycleWorker(worker, 'reason');
+        fixtures.exitWorker(manager, manager.workers[2], 1, null);
+        expect(spy.calledWithMatch('Recycle failed')).to.be.true();
+        expect(manager.recycling[worker.id]).to.not.exist();
+        done();
+      });
+    }); // end 'recycleWorker'
+
+    describe('Reporter', function () {
+      var proc;
+      var usage;
+
+      beforeEach(function (done) {
+        usage = { user: 0, system: 0 };
+        proc = {
+          connected: true,
+          send: sinon.spy(),
+          memoryUsage: function () {
+            return { rss: 50 * mb, heapUsed: 20 * mb };
+          },
+          cpuUsage: function () {
+            return usage;
+          }
+        };
+        done();
+      });
+
+      it('should sample memory usage', function (done) {
+        var sample = new Reporter(1000, proc).sample();
+        expect(sample.rss).to.equal(50 * mb);
+        expect(sample.heapUsed).to.equal(20 * mb);
+        done();
+      });
+
+      it('should sample CPU usage since the last sample', function (done) {
+        var reporter = new Reporter(1000, proc);
+        expect(reporter.cpu()).to.equal(0);
+        clock.tick(1000);
+        usage = { user: 300000, system: 200000 };
+        expect(reporter.cpu()).to.equal(50);
+        done();
+      });
+
+      it('should handle processes without resource information', function (done) {
+        var sample = new Reporter(1000, {}).sample();
+        expect(sample.rss).to.equal(0);
+        expect(sample.heapUsed).to.equal(0);
+        expect(sample.cpu).to.equal(0);
+        done();
+      });
+
+      it('should be started on workers with resource limits', function (done) {
+        var worker = new ClusterManager({ worker: noop, maxWorkerRss: mb });
+        worker._startWorker();
+        worker._unbindProcessMessages();
+        expect(worker.reporter).to.be.an.instanceof(Reporter);
+        worker.reporter.stop();
+        done();
+      });
+    }); // end 'Reporter'
+  }); // end 'resource limits'
+}); // end 'cluster-man'
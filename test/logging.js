@@ -0,0 +1,215 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var EventEmitter = require('events').EventEmitter;
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var JsonLogger = require('../lib/json-logger');
+
+describe('cluster-man', function () {
+  describe('logging', function () {
+    describe('logger option', function () {
+      var manager;
+      var logger;
+
+      beforeEach(function (done) {
+        logger = {
+          info: sinon.spy(),
+          warn: sinon.spy(),
+          error: sinon.spy()
+        };
+        manager = new ClusterManager({
+          worker: noop,
+          numWorkers: 1,
+          logger: logger
+        });
+        sinon.stub(manager.cluster, 'fork', function () {
+          var worker = new EventEmitter();
+          worker.id = 1;
+          worker.process = { pid: 4242, kill: noop };
+          return worker;
+        });
+        sinon.stub(manager, '_exitMaster');
+        manager._startMaster();
+        done();
+      });
+
+      afterEach(function (done) {
+        manager._stopRespawning();
+        manager._unbindSignals();
+        manager.cluster.fork.restore();
+        manager.cluster.removeAllListeners();
+        done();
+      });
+
+      it('should throw if the logger is missing a method', function (done) {
+        expect(function () {
+          new ClusterManager({ worker: noop, logger: { info: noop } });
+        }).to.throw(Error, 'Logger must have info, warn and error methods.');
+        done();
+      });
+
+      it('should log structured records to the logger', function (done) {
+        expect(logger.info.calledWith(
+          { event: 'create', workerId: 1, pid: 4242 },
+          'Created new worker: 1'
+        )).to.be.true();
+        done();
+      });
+
+      it('should log messages without fields', function (done) {
+        manager.log.info('Hello');
+        expect(logger.info.calledWith({}, 'Hello')).to.be.true();
+        done();
+      });
+
+      it('should log warnings with the `warn` method', function (done) {
+        manager.recycleWorker(manager.workers[0], 'too old');
+        expect(logger.warn.calledWith({
+          event: 'recycle',
+          workerId: 1,
+          pid: 4242,
+          reason: 'too old'
+        }, 'Recycling worker: 1 -- too old')).to.be.true();
+        done();
+      });
+
+      it('should log the exit code and signal of workers', function (done) {
+        manager.cluster.emit('exit', manager.workers[0], null, 'SIGKILL');
+        expect(logger.info.calledWithMatch({
+          event: 'exit',
+          workerId: 1,
+          pid: 4242,
+          code: null,
+          signal: 'SIGKILL'
+        })).to.be.true();
+        done();
+      });
+
+      it('should log the address of listening workers', function (done) {
+        manager.cluster.emit('listening', manager.workers[0], {
+          address: '127.0.0.1',
+          port: 8080
+        });
+        expect(logger.info.calledWithMatch({
+          event: 'listening',
+          workerId: 1,
+          address: '127.0.0.1',
+          port: 8080
+        })).to.be.true();
+        done();
+      });
+
+      it('should log errors in the `err` field', function (done) {
+        var err = new Error('oops');
+        manager.masterError(err);
+        expect(logger.error.calledWithMatch({
+          event: 'masterError',
+          err: err
+        })).to.be.true();
+        done();
+      });
+    }); // end 'logger option'
+
+    describe('debug', function () {
+      it('should only log messages', function (done) {
+        var manager = new ClusterManager(noop);
+        expect(function () {
+          manager.log.info('message', { event: 'test' });
+        }).to.not.throw();
+        expect(manager.log.info.length).to.equal(1);
+        done();
+      });
+    }); // end 'debug'
+
+    describe('JsonLogger', function () {
+      var stream;
+      var logger;
+
+      // Parses the records written to the stream
+      function records() {
+        return stream.write.args.map(function (args) {
+          expect(args[0]).to.match(/^[^\n]+\n$/);
+          return JSON.parse(args[0]);
+        });
+      }
+
+      beforeEach(function (done) {
+        stream = { write: sinon.spy() };
+        logger = new JsonLogger({ stream: stream });
+        done();
+      });
+
+      it('should be exposed on the cluster manager', function (done) {
+        expect(ClusterManager.JsonLogger).to.equal(JsonLogger);
+        done();
+      });
+
+      it('should write stdout by default', function (done) {
+        expect(new JsonLogger().stream).to.equal(process.stdout);
+        done();
+      });
+
+      it('should write one JSON record per line', function (done) {
+        logger.info({ event: 'exit', workerId: 3, code: 1 }, 'Worker exited');
+        logger.warn({ event: 'recycle' }, 'Recycling worker');
+        var written = records();
+        expect(written.length).to.equal(2);
+        expect(written[0]).to.contain({
+          level: 'info',
+          name: 'cluster-man',
+          event: 'exit',
+          workerId: 3,
+          code: 1,
+          msg: 'Worker exited'
+        });
+        expect(written[0].time).to.match(/^\d{4}-\d\d-\d\dT/);
+        expect(written[0].hostname).to.be.a.string();
+        expect(written[1].level).to.equal('warn');
+        done();
+      });
+
+      it('should accept a message without fields', function (done) {
+        logger.error('Something failed');
+        logger.info(null, 'Started');
+        expect(records()[0]).to.contain({
+          level: 'error',
+          msg: 'Something failed'
+        });
+        expect(records()[1].msg).to.equal('Started');
+        done();
+      });
+
+      it('should serialize errors', function (done) {
+        var err = new Error('oops');
+        err.code = 'EOOPS';
+        logger.error({ err: err }, 'Failed');
+        expect(records()[0].err).to.deep.equal({
+          name: 'Error',
+          message: 'oops',
+          stack: err.stack,
+          code: 'EOOPS'
+        });
+        logger.error({ err: new Error('plain') }, 'Failed');
+        expect(records()[1].err).to.not.include('code');
+        done();
+      });
+
+      it('should use the given name', function (done) {
+        new JsonLogger({ stream: stream, name: 'api' }).info({}, 'Started');
+        expect(records()[0].name).to.equal('api');
+        done();
+      });
+    }); // end 'JsonLogger'
+  }); // end 'logging'
+}); // end 'cluster-man'
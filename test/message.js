@@ -0,0 +1,86 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+
+var message = require('../lib/message');
+
+describe('cluster-man', function () {
+  describe('message', function () {
+    describe('create', function () {
+      it('should namespace the message type', function (done) {
+        expect(message.create('report', { lag: 1 })).to.deep.equal({
+          cmd: 'cluster-man:report',
+          data: { lag: 1 }
+        });
+        done();
+      });
+    }); // end 'create'
+
+    describe('typeOf', function () {
+      it('should return the type of internal messages', function (done) {
+        expect(message.typeOf(message.create('report'))).to.equal('report');
+        done();
+      });
+
+      it('should return `null` for application messages', function (done) {
+        expect(message.typeOf(undefined)).to.be.null();
+        expect(message.typeOf('report')).to.be.null();
+        expect(message.typeOf({ cmd: 42 })).to.be.null();
+        expect(message.typeOf({ cmd: 'report' })).to.be.null();
+        done();
+      });
+    }); // end 'typeOf'
+
+    describe('send', function () {
+      it('should send the message to a connected process', function (done) {
+        var proc = { connected: true, send: sinon.spy() };
+        expect(message.send(proc, 'report', 1)).to.be.true();
+        expect(proc.send.calledWith(message.create('report', 1))).to.be.true();
+        done();
+      });
+
+      it('should send the message to a connected worker', function (done) {
+        var worker = {
+          isConnected: function () { return true; },
+          send: sinon.spy()
+        };
+        expect(message.send(worker, 'report')).to.be.true();
+        expect(worker.send.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should call back once the message is written', function (done) {
+        var proc = { connected: true, send: sinon.spy() };
+        var cb = sinon.spy();
+        message.send(proc, 'report', 1, null, cb);
+        expect(proc.send.args[0][1]).to.equal(cb);
+        done();
+      });
+
+      it('should drop messages to disconnected targets', function (done) {
+        var proc = { connected: false, send: sinon.spy() };
+        var worker = {
+          isConnected: function () { return false; },
+          send: sinon.spy()
+        };
+        expect(message.send(proc, 'report')).to.be.false();
+        expect(message.send(worker, 'report')).to.be.false();
+        expect(proc.send.callCount).to.equal(0);
+        expect(worker.send.callCount).to.equal(0);
+        done();
+      });
+
+      it('should drop messages to processes without IPC', function (done) {
+        expect(message.send({}, 'report')).to.be.false();
+        expect(message.send(null, 'report')).to.be.false();
+        done();
+      });
+    }); // end 'send'
+  }); // end 'message'
+}); // end 'cluster-man'
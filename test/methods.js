@@ -62,7 +62,8 @@ describe('cluster-man', function () {
 
       it('should use `CLUSTER_WORKERS` for `numWorkers`', function (done) {
         var manager = new ClusterManager(noop);
-        expect(manager.options.numWorkers).to.equal(process.env.CLUSTER_WORKERS);
+        expect(manager.options.numWorkers)
+          .to.equal(parseInt(process.env.CLUSTER_WORKERS, 10));
         done();
       });
 
@@ -205,14 +206,25 @@ describe('cluster-man', function () {
         done();
       });
 
-      it('should apply a domain to the cluster manager', function (done) {
+      afterEach(function (done) {
+        manager._unbindSignals();
+        manager.cluster.removeAllListeners();
+        done();
+      });
+
+      it('should handle uncaught errors on the master process', function (done) {
         manager._startMaster();
-        expect(manager.domain).to.exist();
+        expect(process.listeners('uncaughtException'))
+          .to.contain(manager._signalHandlers.uncaughtException);
+        expect(process.listeners('unhandledRejection'))
+          .to.contain(manager._signalHandlers.unhandledRejection);
         done();
       });
 
       it('should bind the appropriate events on `cluster`', function (done) {
-        var events = ['fork', 'online', 'listening', 'disconnect', 'exit'];
+        var events = [
+          'fork', 'online', 'listening', 'disconnect', 'exit', 'message'
+        ];
         var spy = sinon.spy(manager.cluster, 'on');
         manager._startMaster();
         expect(spy.callCount).to.equal(events.length);
@@ -254,6 +266,15 @@ describe('cluster-man', function () {
         expect(spy.calledWith('Number of workers not specified, using default.'))
           .to.be.true();
         process.env.CLUSTER_WORKERS = envClusterWorkers;
+        manager._unbindSignals();
+        manager.cluster.removeAllListeners();
+        done();
+      });
+
+      it('should bind signal handlers on the master process', function (done) {
+        manager._startMaster();
+        expect(process.listeners('SIGHUP'))
+          .to.contain(manager._signalHandlers.SIGHUP);
         done();
       });
     }); // end '_startMaster'
@@ -299,6 +320,16 @@ describe('cluster-man', function () {
         expect(process.exit.calledWith(0)).to.be.true();
         done();
       });
+
+      it('should only exit the master process once', function (done) {
+        var manager = new ClusterManager(noop);
+        var spy = sinon.spy(manager.options, 'beforeExit');
+        manager._exitMaster(new Error('first'));
+        manager._exitMaster(new Error('second'));
+        expect(spy.calledOnce).to.be.true();
+        expect(process.exit.calledOnce).to.be.true();
+        done();
+      });
     }); // end '_exitMaster'
 
     describe('_startWorker', function () {
@@ -306,6 +337,7 @@ describe('cluster-man', function () {
         var manager = new ClusterManager(noop);
         var spy = sinon.spy(manager.options, 'worker');
         manager._startWorker();
+        manager._unbindProcessMessages();
         expect(spy.calledWith(manager)).to.be.true();
         manager.options.worker.restore();
         done();
@@ -340,12 +372,6 @@ describe('cluster-man', function () {
         done();
       });
 
-      it('should set a domain for the worker', function (done) {
-        var worker = manager.createWorker();
-        expect(worker.domain).to.exist();
-        done();
-      });
-
       it('should kill a worker if there was an unhandled error', function (done) {
         var worker = manager.createWorker();
         var spy = sinon.spy(worker.process, 'kill');
@@ -0,0 +1,229 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var http = require('http');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var Metrics = require('../lib/metrics');
+
+describe('cluster-man', function () {
+  describe('metrics', function () {
+    var manager;
+
+    // Creates a manager with workers that emit `fork` events like real ones
+    function createManager(options) {
+      manager = new ClusterManager(options);
+      fixtures.stubFork(manager, function (worker) {
+        setImmediate(function () {
+          manager.cluster.emit('fork', worker);
+        });
+      });
+      sinon.stub(manager, '_exitMaster');
+    }
+
+    describe('metrics', function () {
+      var clock;
+
+      beforeEach(function (done) {
+        clock = sinon.useFakeTimers();
+        createManager({ worker: noop, numWorkers: 3 });
+        manager._startMaster();
+        clock.tick(0);
+        done();
+      });
+
+      afterEach(function (done) {
+        fixtures.restore(manager);
+        clock.restore();
+        done();
+      });
+
+      it('should count workers per state', function (done) {
+        var workers = manager.workers;
+        manager.cluster.emit('online', workers[0]);
+        manager.cluster.emit('online', workers[1]);
+        manager.cluster.emit('listening', workers[1], {
+          address: '0.0.0.0',
+          port: 80
+        });
+        var text = manager.metrics();
+        expect(text).to.contain('cluster_man_workers{state="forked"} 1\n');
+        expect(text).to.contain('cluster_man_workers{state="online"} 1\n');
+        expect(text).to.contain('cluster_man_workers{state="listening"} 1\n');
+        expect(text)
+          .to.contain('cluster_man_workers{state="disconnected"} 0\n');
+        done();
+      });
+
+      it('should count disconnected workers', function (done) {
+        manager.cluster.emit('disconnect', manager.workers[0]);
+        expect(manager.metrics())
+          .to.contain('cluster_man_workers{state="disconnected"} 1\n');
+        done();
+      });
+
+      it('should count forks', function (done) {
+        expect(manager.metrics())
+          .to.contain('cluster_man_worker_forks_total 3\n');
+        done();
+      });
+
+      it('should count exits by exit code and signal', function (done) {
+        fixtures.exitWorker(manager, manager.workers[0], 1, null);
+        fixtures.exitWorker(manager, manager.workers[0], 1, null);
+        fixtures.exitWorker(manager, manager.workers[0], null, 'SIGKILL');
+        var text = manager.metrics();
+        expect(text).to.contain(
+          'cluster_man_worker_exits_total{code="1",signal=""} 2\n'
+        );
+        expect(text).to.contain(
+          'cluster_man_worker_exits_total{code="",signal="SIGKILL"} 1\n'
+        );
+        expect(text).to.contain('cluster_man_workers{state="forked"} 0\n');
+        done();
+      });
+
+      it('should count respawned workers as restarts', function (done) {
+        fixtures.exitWorker(manager, manager.workers[0], 1, null);
+        clock.tick(manager.options.respawnDelay);
+        expect(manager.metrics())
+          .to.contain('cluster_man_worker_restarts_total 1\n');
+        done();
+      });
+
+      it('should count replaced workers as restarts', function (done) {
+        manager.replaceWorker(manager.workers[0]);
+        manager.scaleUp();
+        expect(manager.metrics())
+          .to.contain('cluster_man_worker_restarts_total 1\n');
+        done();
+      });
+
+      it('should report the uptime of the master', function (done) {
+        clock.tick(1500);
+        expect(manager.metrics())
+          .to.contain('cluster_man_master_uptime_seconds 1.5\n');
+        done();
+      });
+
+      it('should describe every metric', function (done) {
+        var text = manager.metrics();
+        [
+          'workers gauge',
+          'worker_forks_total counter',
+          'worker_exits_total counter',
+          'worker_restarts_total counter',
+          'master_uptime_seconds gauge'
+        ].forEach(function (type) {
+          expect(text).to.contain('# TYPE cluster_man_' + type + '\n');
+        });
+        done();
+      });
+    }); // end 'metrics'
+
+    describe('endpoint', function () {
+      // Requests a path of the metrics endpoint
+      function get(path, cb, method) {
+        http.request({
+          host: '127.0.0.1',
+          port: manager.metricsServer.address().port,
+          path: path,
+          method: method || 'GET'
+        }, function (res) {
+          var body = '';
+          res.setEncoding('utf8');
+          res.on('data', function (chunk) {
+            body += chunk;
+          });
+          res.on('end', function () {
+            cb(res, body);
+          });
+        }).end();
+      }
+
+      afterEach(function (done) {
+        fixtures.restore(manager);
+        if (manager.metricsServer) {
+          return manager.metricsServer.close(function () {
+            done();
+          });
+        }
+        done();
+      });
+
+      it('should not serve metrics by default', function (done) {
+        createManager({ worker: noop, numWorkers: 1 });
+        manager._startMaster();
+        expect(manager.metricsServer).to.be.null();
+        done();
+      });
+
+      it('should serve metrics over HTTP', function (done) {
+        createManager({ worker: noop, numWorkers: 1, metricsPort: 0 });
+        manager._startMaster();
+        manager.metricsServer.on('listening', function () {
+          get('/metrics', function (res, body) {
+            expect(res.statusCode).to.equal(200);
+            expect(res.headers['content-type'])
+              .to.equal('text/plain; version=0.0.4');
+            expect(body).to.contain('cluster_man_worker_forks_total 1\n');
+            done();
+          });
+        });
+      });
+
+      it('should respond with not found to other paths', function (done) {
+        createManager({ worker: noop, numWorkers: 1, metricsPort: 0 });
+        manager._startMaster();
+        manager.metricsServer.on('listening', function () {
+          get('/', function (res) {
+            expect(res.statusCode).to.equal(404);
+            get('/metrics', function (res) {
+              expect(res.statusCode).to.equal(404);
+              done();
+            }, 'POST');
+          });
+        });
+      });
+
+      it('should log errors of the endpoint', function (done) {
+        var server = http.createServer().listen(0, '127.0.0.1', function () {
+          createManager({
+            worker: noop,
+            numWorkers: 1,
+            metricsPort: server.address().port
+          });
+          sinon.stub(manager.log, 'error', function (msg) {
+            expect(msg).to.match(/^Metrics endpoint failed: .*EADDRINUSE/);
+            server.close(function () {
+              done();
+            });
+          });
+          manager._startMaster();
+        });
+      });
+    }); // end 'endpoint'
+
+    describe('Metrics', function () {
+      it('should escape label values', function (done) {
+        var metrics = new Metrics('test');
+        metrics.exit(1, 'a"b\\c\nd', null);
+        expect(metrics.render()).to.contain(
+          'test_worker_exits_total{code="a\\"b\\\\c\\nd",signal=""} 1\n'
+        );
+        done();
+      });
+    }); // end 'Metrics'
+  }); // end 'metrics'
+}); // end 'cluster-man'
@@ -0,0 +1,217 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var PubSub = require('../lib/pubsub');
+var message = require('../lib/message');
+
+describe('cluster-man', function () {
+  describe('pubsub', function () {
+    describe('master', function () {
+      var manager;
+
+      // Simulates a worker sending an internal message to the master
+      function send(worker, type, data) {
+        manager.cluster.emit('message', worker, message.create(type, data));
+      }
+
+      // Determines the messages delivered to a worker
+      function delivered(worker) {
+        return worker.send.args.map(function (args) {
+          return args[0];
+        }).filter(function (msg) {
+          return message.typeOf(msg) === 'deliver';
+        }).map(function (msg) {
+          return msg.data;
+        });
+      }
+
+      beforeEach(function (done) {
+        manager = new ClusterManager({ worker: noop, numWorkers: 3 });
+        fixtures.stubFork(manager, function (worker) {
+          worker.connected = true;
+          worker.isConnected = function () { return this.connected; };
+          worker.send = sinon.spy();
+        });
+        sinon.stub(manager, '_exitMaster');
+        manager._startMaster();
+        done();
+      });
+
+      afterEach(function (done) {
+        fixtures.restore(manager);
+        done();
+      });
+
+      it('should relay messages to other subscribed workers', function (done) {
+        var workers = manager.workers;
+        send(workers[0], 'subscribe', 'cache');
+        send(workers[1], 'subscribe', 'cache');
+        send(workers[2], 'publish', { channel: 'cache', data: 'flush' });
+        var expected = [{ channel: 'cache', data: 'flush' }];
+        expect(delivered(workers[0])).to.deep.equal(expected);
+        expect(delivered(workers[1])).to.deep.equal(expected);
+        expect(delivered(workers[2])).to.deep.equal([]);
+        done();
+      });
+
+      it('should not relay messages back to the publisher', function (done) {
+        var workers = manager.workers;
+        send(workers[0], 'subscribe', 'cache');
+        send(workers[1], 'subscribe', 'cache');
+        send(workers[0], 'publish', { channel: 'cache', data: 'flush' });
+        expect(delivered(workers[0])).to.deep.equal([]);
+        expect(delivered(workers[1]).length).to.equal(1);
+        done();
+      });
+
+      it('should not relay messages to unsubscribed workers', function (done) {
+        var workers = manager.workers;
+        send(workers[0], 'subscribe', 'cache');
+        send(workers[0], 'unsubscribe', 'cache');
+        send(workers[1], 'subscribe', 'config');
+        send(workers[2], 'publish', { channel: 'cache', data: 'flush' });
+        expect(delivered(workers[0])).to.deep.equal([]);
+        expect(delivered(workers[1])).to.deep.equal([]);
+        done();
+      });
+
+      it('should deliver worker messages to subscribers on the master', function (done) {
+        var subscriber = sinon.spy();
+        manager.subscribe('cache', subscriber);
+        send(manager.workers[0], 'publish', { channel: 'cache', data: 'flush' });
+        expect(subscriber.calledWith('flush', 'cache')).to.be.true();
+        done();
+      });
+
+      it('should publish from the master to subscribed workers', function (done) {
+        var subscriber = sinon.spy();
+        manager.subscribe('config', subscriber);
+        send(manager.workers[1], 'subscribe', 'config');
+        manager.publish('config', { port: 80 });
+        expect(delivered(manager.workers[1])).to.deep.equal([
+          { channel: 'config', data: { port: 80 } }
+        ]);
+        expect(subscriber.callCount).to.equal(0);
+        done();
+      });
+
+      it('should not throw when publishing to a dead worker', function (done) {
+        var worker = manager.workers[0];
+        send(worker, 'subscribe', 'cache');
+        worker.connected = false;
+        manager.publish('cache', 'flush');
+        expect(worker.send.callCount).to.equal(0);
+        done();
+      });
+
+      it('should forget the subscriptions of workers that exit', function (done) {
+        var worker = manager.workers[0];
+        send(worker, 'subscribe', 'cache');
+        send(worker, 'subscribe', 'config');
+        manager.cluster.emit('exit', worker, 1, null);
+        expect(manager.pubsub.workers).to.deep.equal({});
+        done();
+      });
+    }); // end 'master'
+
+    describe('worker', function () {
+      var manager;
+      var send;
+
+      beforeEach(function (done) {
+        manager = new ClusterManager(noop);
+        manager.cluster = { isMaster: false };
+        send = process.send;
+        process.send = sinon.spy();
+        done();
+      });
+
+      afterEach(function (done) {
+        process.send = send;
+        done();
+      });
+
+      it('should subscribe with the master once per channel', function (done) {
+        manager.subscribe('cache', noop);
+        manager.subscribe('cache', function () {});
+        expect(process.send.calledOnce).to.be.true();
+        expect(process.send.calledWith(message.create('subscribe', 'cache')))
+          .to.be.true();
+        done();
+      });
+
+      it('should unsubscribe from the master after the last subscriber', function (done) {
+        var other = function () {};
+        manager.subscribe('cache', noop);
+        manager.subscribe('cache', other);
+        manager.unsubscribe('cache', noop);
+        expect(process.send.calledOnce).to.be.true();
+        manager.unsubscribe('cache', other);
+        expect(process.send.calledWith(message.create('unsubscribe', 'cache')))
+          .to.be.true();
+        done();
+      });
+
+      it('should publish through the master', function (done) {
+        manager.publish('cache', 'flush');
+        expect(process.send.calledWith(message.create('publish', {
+          channel: 'cache',
+          data: 'flush'
+        }))).to.be.true();
+        done();
+      });
+
+      it('should deliver relayed messages to subscribers', function (done) {
+        var subscriber = sinon.spy();
+        var other = sinon.spy();
+        manager.subscribe('cache', subscriber);
+        manager.subscribe('config', other);
+        manager._receive(process, message.create('deliver', {
+          channel: 'cache',
+          data: 'flush'
+        }));
+        expect(subscriber.calledWith('flush', 'cache')).to.be.true();
+        expect(other.callCount).to.equal(0);
+        done();
+      });
+    }); // end 'worker'
+
+    describe('PubSub', function () {
+      it('should ignore unknown subscribers', function (done) {
+        var pubsub = new PubSub();
+        expect(pubsub.unsubscribe('cache', noop)).to.be.false();
+        pubsub.subscribe('cache', noop);
+        expect(pubsub.unsubscribe('cache', function () {})).to.be.false();
+        done();
+      });
+
+      it('should remove a worker from a single channel', function (done) {
+        var pubsub = new PubSub();
+        pubsub.addWorker('cache', 1);
+        pubsub.addWorker('config', 1);
+        pubsub.addWorker('config', 2);
+        pubsub.removeWorker(1, 'cache');
+        pubsub.removeWorker(1, 'unknown');
+        expect(pubsub.hasWorker('cache', 1)).to.be.false();
+        expect(pubsub.hasWorker('config', 1)).to.be.true();
+        pubsub.removeWorker(1, 'config');
+        expect(pubsub.hasWorker('config', 1)).to.be.false();
+        expect(pubsub.hasWorker('config', 2)).to.be.true();
+        done();
+      });
+    }); // end 'PubSub'
+  }); // end 'pubsub'
+}); // end 'cluster-man'
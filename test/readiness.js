@@ -0,0 +1,292 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var message = require('../lib/message');
+
+describe('cluster-man', function () {
+  describe('readiness', function () {
+    describe('master', function () {
+      var manager;
+      var clock;
+      var started;
+
+      // Creates a manager with fake workers and starts its master
+      function startMaster(options) {
+        options.worker = noop;
+        options.numWorkers = 2;
+        manager = new ClusterManager(options);
+        fixtures.stubFork(manager);
+        sinon.stub(manager, '_exitMaster');
+        return manager.start();
+      }
+
+      // Simulates a worker calling `manager.ready()`
+      function ready(worker) {
+        manager.cluster.emit('message', worker, message.create('ready'));
+      }
+
+      beforeEach(function (done) {
+        clock = sinon.useFakeTimers();
+        done();
+      });
+
+      afterEach(function (done) {
+        fixtures.restore(manager);
+        clock.restore();
+        done();
+      });
+
+      describe('awaitReady', function () {
+        beforeEach(function (done) {
+          started = startMaster({ awaitReady: true, startupTimeoutMs: 5000 });
+          done();
+        });
+
+        it('should not count online workers as ready', function (done) {
+          var worker = manager.workers[0];
+          manager.cluster.emit('online', worker);
+          expect(manager.records[worker.id].ready).to.be.false();
+          expect(manager.getWorkers()[0]).to.contain({
+            state: 'online',
+            ready: false
+          });
+          done();
+        });
+
+        it('should count workers as ready once they say so', function (done) {
+          var worker = manager.workers[0];
+          var onReady = sinon.spy();
+          worker.on('ready', onReady);
+          clock.tick(100);
+          ready(worker);
+          ready(worker);
+          expect(onReady.calledOnce).to.be.true();
+          expect(manager.getWorkers()[0].ready).to.be.true();
+          expect(manager.getWorkers()[0].timestamps.ready).to.equal(100);
+          done();
+        });
+
+        it('should resolve `start` once all workers are ready', function (done) {
+          started.then(function () {
+            expect(manager.getWorkers().map(function (worker) {
+              return worker.ready;
+            })).to.deep.equal([true, true]);
+            done();
+          });
+          manager.workers.forEach(function (worker) {
+            manager.cluster.emit('online', worker);
+          });
+          ready(manager.workers[0]);
+          expect(manager._onStarted).to.exist();
+          ready(manager.workers[1]);
+          expect(manager._onStarted).to.not.exist();
+        });
+
+        it('should kill workers that do not become ready in time', function (done) {
+          var worker = manager.workers[0];
+          ready(manager.workers[1]);
+          manager.cluster.emit('online', worker);
+          clock.tick(4999);
+          expect(worker.process.kill.called).to.be.false();
+          clock.tick(1);
+          expect(worker.process.kill.calledWith('SIGKILL')).to.be.true();
+          expect(manager.workers[1].process.kill.called).to.be.false();
+          done();
+        });
+
+        it('should not kill retiring workers', function (done) {
+          var worker = manager.workers[0];
+          manager.retireWorker(worker);
+          clock.tick(5000);
+          expect(worker.process.kill.called).to.be.false();
+          done();
+        });
+
+        it('should stop the startup timeout of exited workers', function (done) {
+          var worker = manager.workers[0];
+          fixtures.exitWorker(manager, worker, 1, null);
+          expect(manager._startupTimers[worker.id]).to.not.exist();
+          done();
+        });
+
+        it('should count workers that exit early as failed starts', function (done) {
+          var first = manager.workers[0];
+          var second = manager.workers[1];
+          fixtures.exitWorker(manager, first, 1, null);
+          ready(second);
+          fixtures.exitWorker(manager, second, 1, null);
+          expect(manager.metrics())
+            .to.contain('cluster_man_worker_failed_starts_total 1\n');
+          done();
+        });
+
+        it('should replace workers once the replacement is ready', function (done) {
+          var oldWorker = manager.workers[0];
+          manager.replaceWorker(oldWorker, function (err, worker) {
+            expect(err).to.not.exist();
+            expect(worker.id).to.equal(3);
+            done();
+          });
+          var replacement = manager.workers[2];
+          manager.cluster.emit('online', replacement);
+          replacement.emit('listening', { address: '::', port: 80 });
+          expect(oldWorker.disconnect.called).to.be.false();
+          ready(replacement);
+          expect(oldWorker.disconnect.calledOnce).to.be.true();
+          fixtures.exitWorker(manager, oldWorker, 0, null);
+        });
+
+        it('should fail replacements that exit before becoming ready', function (done) {
+          manager.replaceWorker(manager.workers[0], function (err) {
+            expect(err.message).to.equal(
+              'Replacement worker 3 exited before becoming ready.'
+            );
+            done();
+          });
+          clock.tick(5000);
+          fixtures.exitWorker(manager, manager.workers[2], null, 'SIGKILL');
+        });
+
+        it('should call back once respawned workers are ready', function (done) {
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          manager.respawn(function (err, workers) {
+            expect(err).to.not.exist();
+            expect(workers.length).to.equal(1);
+            expect(workers[0].id).to.equal(3);
+            done();
+          });
+          manager.cluster.emit('online', manager.workers[1]);
+          ready(manager.workers[1]);
+        });
+
+        it('should fail respawns when a worker exits before being ready', function (done) {
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          manager.respawn(function (err) {
+            expect(err.message)
+              .to.equal('Worker 3 exited before becoming ready.');
+            done();
+          });
+          fixtures.exitWorker(manager, manager.workers[1], 1, null);
+        });
+
+        it('should wait for every respawned worker', function (done) {
+          fixtures.exitWorker(manager, manager.workers[1], 1, null);
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          var cb = sinon.spy();
+          manager.respawn(cb);
+          ready(manager.workers[0]);
+          expect(cb.callCount).to.equal(0);
+          ready(manager.workers[1]);
+          expect(cb.calledOnce).to.be.true();
+          expect(cb.args[0][1].length).to.equal(2);
+          done();
+        });
+
+        it('should only fail respawns once', function (done) {
+          fixtures.exitWorker(manager, manager.workers[1], 1, null);
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          var cb = sinon.spy();
+          manager.respawn(cb);
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          expect(cb.calledOnce).to.be.true();
+          expect(cb.args[0][0].message)
+            .to.equal('Worker 3 exited before becoming ready.');
+          done();
+        });
+
+        it('should log scheduled respawns once the workers are ready', function (done) {
+          sinon.stub(manager.log, 'info');
+          fixtures.exitWorker(manager, manager.workers[0], 1, null);
+          clock.tick(manager.options.respawnDelay);
+          ready(manager.workers[1]);
+          expect(manager.log.info.calledWith(
+            'Respawned workers are ready: 3'
+          )).to.be.true();
+          done();
+        });
+      }); // end 'awaitReady'
+
+      describe('without awaitReady', function () {
+        beforeEach(function (done) {
+          startMaster({ startupTimeoutMs: 5000 });
+          done();
+        });
+
+        it('should count online workers as ready', function (done) {
+          var worker = manager.workers[0];
+          var onReady = sinon.spy();
+          worker.on('ready', onReady);
+          manager.cluster.emit('online', worker);
+          expect(onReady.calledOnce).to.be.true();
+          expect(manager.getWorkers()[0].ready).to.be.true();
+          done();
+        });
+
+        it('should kill workers that do not come online in time', function (done) {
+          manager.cluster.emit('online', manager.workers[0]);
+          clock.tick(5000);
+          expect(manager.workers[0].process.kill.called).to.be.false();
+          expect(manager.workers[1].process.kill.calledWith('SIGKILL'))
+            .to.be.true();
+          done();
+        });
+
+        it('should replace workers once the replacement is listening', function (done) {
+          var oldWorker = manager.workers[0];
+          manager.replaceWorker(oldWorker, done);
+          var replacement = manager.workers[2];
+          manager.cluster.emit('online', replacement);
+          expect(oldWorker.disconnect.called).to.be.false();
+          replacement.emit('listening', { address: '::', port: 80 });
+          expect(oldWorker.disconnect.calledOnce).to.be.true();
+          fixtures.exitWorker(manager, oldWorker, 0, null);
+        });
+      }); // end 'without awaitReady'
+    }); // end 'master'
+
+    describe('worker', function () {
+      var manager;
+
+      beforeEach(function (done) {
+        manager = new ClusterManager({ worker: noop, awaitReady: true });
+        manager.cluster = { isMaster: false };
+        process.send = sinon.spy();
+        done();
+      });
+
+      afterEach(function (done) {
+        delete process.send;
+        done();
+      });
+
+      it('should tell the master it is ready', function (done) {
+        manager.ready();
+        expect(process.send.calledOnce).to.be.true();
+        expect(message.typeOf(process.send.args[0][0])).to.equal('ready');
+        done();
+      });
+
+      it('should not signal readiness on the master', function (done) {
+        var master = new ClusterManager(noop);
+        expect(function () {
+          master.ready();
+        }).to.throw('Only workers can signal that they are ready.');
+        done();
+      });
+    }); // end 'worker'
+  }); // end 'readiness'
+}); // end 'cluster-man'
@@ -0,0 +1,303 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var EventEmitter = require('events').EventEmitter;
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var WorkerRecord = require('../lib/worker-record');
+
+describe('cluster-man', function () {
+  describe('records', function () {
+    var clock;
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers(1000);
+      done();
+    });
+
+    afterEach(function (done) {
+      clock.restore();
+      done();
+    });
+
+    describe('WorkerRecord', function () {
+      var record;
+
+      beforeEach(function (done) {
+        record = new WorkerRecord({
+          id: 3,
+          group: 'web',
+          index: 1,
+          process: { pid: 1003 }
+        });
+        done();
+      });
+
+      it('should start in the forking state', function (done) {
+        expect(record.id).to.equal(3);
+        expect(record.pid).to.equal(1003);
+        expect(record.group).to.equal('web');
+        expect(record.state).to.equal('forking');
+        expect(record.timestamps).to.deep.equal({ forking: 1000 });
+        expect(record.restarts).to.equal(0);
+        done();
+      });
+
+      it('should record the time of each transition', function (done) {
+        clock.tick(10);
+        expect(record.transition('online')).to.be.true();
+        clock.tick(10);
+        expect(record.transition('disconnecting')).to.be.true();
+        expect(record.state).to.equal('disconnecting');
+        expect(record.timestamps).to.deep.equal({
+          forking: 1000,
+          online: 1010,
+          disconnecting: 1020
+        });
+        done();
+      });
+
+      it('should only move forward', function (done) {
+        record.transition('listening');
+        clock.tick(10);
+        expect(record.transition('online')).to.be.false();
+        expect(record.transition('listening')).to.be.false();
+        expect(record.state).to.equal('listening');
+        expect(record.timestamps.online).to.not.exist();
+        expect(record.timestamps.listening).to.equal(1000);
+        done();
+      });
+
+      it('should record addresses', function (done) {
+        record.listen({ address: '0.0.0.0', port: 80, addressType: 4 });
+        record.listen({ address: '::', port: 443, addressType: 6 });
+        expect(record.state).to.equal('listening');
+        expect(record.addresses).to.deep.equal([
+          { address: '0.0.0.0', port: 80, addressType: 4 },
+          { address: '::', port: 443, addressType: 6 }
+        ]);
+        done();
+      });
+
+      it('should record when the worker became ready', function (done) {
+        clock.tick(10);
+        expect(record.setReady()).to.be.true();
+        clock.tick(10);
+        expect(record.setReady()).to.be.false();
+        expect(record.ready).to.be.true();
+        expect(record.timestamps.ready).to.equal(1010);
+        expect(record.state).to.equal('forking');
+        done();
+      });
+
+      it('should not become ready after exiting', function (done) {
+        record.exit(1, null);
+        expect(record.setReady()).to.be.false();
+        expect(record.ready).to.be.false();
+        done();
+      });
+
+      it('should record exits', function (done) {
+        clock.tick(500);
+        record.exit(1, null);
+        clock.tick(500);
+        expect(record.state).to.equal('dead');
+        expect(record.exitCode).to.equal(1);
+        expect(record.signal).to.be.null();
+        expect(record.uptime()).to.equal(500);
+        done();
+      });
+
+      it('should inherit from the worker it replaces', function (done) {
+        var previous = new WorkerRecord({ id: 1 });
+        previous.restarts = 2;
+        previous.exit(null, 'SIGKILL');
+        record.inherit(previous);
+        expect(record.restarts).to.equal(3);
+        expect(record.exitCode).to.be.null();
+        expect(record.signal).to.equal('SIGKILL');
+        expect(record.state).to.equal('forking');
+        done();
+      });
+
+      it('should create serializable snapshots', function (done) {
+        record.listen({ address: '0.0.0.0', port: 80, addressType: 4 });
+        clock.tick(250);
+        var snapshot = record.toJSON();
+        expect(JSON.parse(JSON.stringify(snapshot))).to.deep.equal(snapshot);
+        expect(snapshot).to.deep.equal({
+          id: 3,
+          pid: 1003,
+          group: 'web',
+          index: 1,
+          state: 'listening',
+          timestamps: { forking: 1000, listening: 1000 },
+          uptime: 250,
+          ready: false,
+          restarts: 0,
+          exitCode: null,
+          signal: null,
+          addresses: [{ address: '0.0.0.0', port: 80, addressType: 4 }]
+        });
+        snapshot.addresses[0].port = 8080;
+        expect(record.addresses[0].port).to.equal(80);
+        done();
+      });
+    }); // end 'WorkerRecord'
+
+    describe('getWorkers', function () {
+      var manager;
+
+      // Finds the snapshot of a worker
+      function snapshot(worker) {
+        return manager.getWorkers().filter(function (record) {
+          return record.id === worker.id;
+        })[0];
+      }
+
+      beforeEach(function (done) {
+        manager = new ClusterManager({ worker: noop, numWorkers: 2 });
+        fixtures.stubFork(manager);
+        sinon.stub(manager, '_exitMaster');
+        manager._startMaster();
+        done();
+      });
+
+      afterEach(function (done) {
+        fixtures.restore(manager);
+        done();
+      });
+
+      it('should describe every worker', function (done) {
+        var workers = manager.getWorkers();
+        expect(workers.length).to.equal(2);
+        expect(workers[0]).to.contain({ id: 1, pid: 1001, state: 'forking' });
+        expect(workers[1]).to.contain({ id: 2, pid: 1002, state: 'forking' });
+        done();
+      });
+
+      it('should track the state of workers', function (done) {
+        var worker = manager.workers[0];
+        manager.cluster.emit('online', worker);
+        expect(snapshot(worker).state).to.equal('online');
+        clock.tick(100);
+        manager.cluster.emit('listening', worker, {
+          address: '127.0.0.1',
+          port: 3000,
+          addressType: 4
+        });
+        expect(snapshot(worker).state).to.equal('listening');
+        expect(snapshot(worker).timestamps).to.deep.equal({
+          forking: 1000,
+          online: 1000,
+          ready: 1000,
+          listening: 1100
+        });
+        expect(snapshot(worker).addresses).to.deep.equal([
+          { address: '127.0.0.1', port: 3000, addressType: 4 }
+        ]);
+        manager.cluster.emit('disconnect', worker);
+        expect(snapshot(worker).state).to.equal('disconnecting');
+        done();
+      });
+
+      it('should mark retiring workers as disconnecting', function (done) {
+        var worker = manager.workers[0];
+        manager.retireWorker(worker);
+        expect(snapshot(worker).state).to.equal('disconnecting');
+        fixtures.exitWorker(manager, worker, 0, null);
+        expect(snapshot(worker)).to.not.exist();
+        done();
+      });
+
+      it('should report crashed workers as dead', function (done) {
+        var worker = manager.workers[0];
+        clock.tick(300);
+        fixtures.exitWorker(manager, worker, 1, null);
+        expect(snapshot(worker)).to.contain({
+          state: 'dead',
+          exitCode: 1,
+          signal: null,
+          uptime: 300
+        });
+        expect(snapshot(worker).timestamps.dead).to.equal(1300);
+        done();
+      });
+
+      it('should count restarts of respawned workers', function (done) {
+        fixtures.exitWorker(manager, manager.workers[0], null, 'SIGSEGV');
+        clock.tick(manager.options.respawnDelay);
+        var workers = manager.getWorkers();
+        expect(workers.length).to.equal(2);
+        expect(workers[1]).to.contain({
+          id: 3,
+          state: 'forking',
+          restarts: 1,
+          exitCode: null,
+          signal: 'SIGSEGV'
+        });
+        fixtures.exitWorker(manager, manager.workers[1], 1, null);
+        clock.tick(manager.options.respawnDelay * 2);
+        expect(manager.getWorkers()[1]).to.contain({
+          id: 4,
+          restarts: 2,
+          exitCode: 1
+        });
+        done();
+      });
+
+      it('should count restarts of replaced workers', function (done) {
+        manager.replaceWorker(manager.workers[0]);
+        expect(snapshot(manager.workers[2]).restarts).to.equal(1);
+        done();
+      });
+
+      it('should not count restarts of workers that already exited', function (done) {
+        var worker = manager.workers[0];
+        manager._stopRespawning();
+        fixtures.exitWorker(manager, worker, 1, null);
+        manager.replaceWorker(worker);
+        expect(snapshot(manager.workers[1]).restarts).to.equal(0);
+        done();
+      });
+
+      it('should not track workers it did not fork', function (done) {
+        var worker = new EventEmitter();
+        worker.id = 42;
+        worker.process = { pid: 4242 };
+        manager.cluster.emit('online', worker);
+        manager.cluster.emit('listening', worker, {
+          address: '127.0.0.1',
+          port: 3000,
+          addressType: 4
+        });
+        fixtures.exitWorker(manager, worker, 0, null);
+        expect(manager.getWorkers().map(function (record) {
+          return record.id;
+        })).to.deep.equal([1, 2]);
+        done();
+      });
+
+      it('should drop dead workers that will not be respawned', function (done) {
+        manager._stopRespawning();
+        fixtures.exitWorker(manager, manager.workers[0], 1, null);
+        expect(manager.getWorkers().length).to.equal(2);
+        manager.scaleTo(1);
+        expect(manager.getWorkers().length).to.equal(1);
+        expect(manager.getWorkers()[0].id).to.equal(2);
+        done();
+      });
+    }); // end 'getWorkers'
+  }); // end 'records'
+}); // end 'cluster-man'
@@ -0,0 +1,207 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var message = require('../lib/message');
+
+describe('cluster-man', function () {
+  describe('recycle', function () {
+    var manager;
+    var clock;
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      sinon.stub(Math, 'random').returns(0.5);
+      manager = new ClusterManager({
+        worker: noop,
+        numWorkers: 2,
+        maxWorkerAge: 10000,
+        maxWorkUnits: 100
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      sinon.spy(manager, 'recycleWorker');
+      manager._startMaster();
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      Math.random.restore();
+      clock.restore();
+      done();
+    });
+
+    describe('maxWorkerAge', function () {
+      it('should recycle workers once they reach their maximum age', function (done) {
+        clock.tick(10499);
+        expect(manager.recycleWorker.callCount).to.equal(0);
+        clock.tick(1);
+        expect(manager.recycleWorker.calledTwice).to.be.true();
+        expect(manager.recycleWorker.calledWith(
+          manager.workers[0],
+          'reached maximum age of 10500ms'
+        )).to.be.true();
+        done();
+      });
+
+      it('should use the given jitter', function (done) {
+        manager.options.maxWorkerAgeJitter = 4000;
+        var worker = manager.createWorker();
+        clock.tick(12000);
+        expect(manager.recycleWorker.calledWith(worker)).to.be.true();
+        done();
+      });
+
+      it('should fork the successor before retiring the worker', function (done) {
+        var worker = manager.workers[0];
+        clock.tick(10500);
+        expect(manager.workers.length).to.equal(4);
+        expect(worker.disconnect.callCount).to.equal(0);
+        manager.workers[2].emit('listening', {});
+        expect(worker.disconnect.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should run one replacement at a time for workers that do not listen', function (done) {
+        manager.options.replaceTimeoutMs = 20000;
+        var started = {};
+        var most = 0;
+        for (var time = 0; time < 60000; time += 100) {
+          manager.workers.slice().forEach(function (worker) {
+            if (!started[worker.id]) {
+              started[worker.id] = true;
+              manager.cluster.emit('online', worker);
+            }
+            if (worker.disconnect.called) {
+              fixtures.exitWorker(manager, worker, 0, null);
+            }
+          });
+          most = Math.max(most, manager.workers.length);
+          clock.tick(100);
+        }
+        expect(most).to.equal(4);
+        // Replacements are recycled once they have taken over
+        expect(manager.cluster.fork.callCount).to.equal(8);
+        expect(manager.workers.map(function (worker) {
+          return worker.id;
+        })).to.deep.equal([5, 6, 7, 8]);
+        expect(manager.recycling[5]).to.be.true();
+        done();
+      });
+
+      it('should not recycle workers that already exited', function (done) {
+        manager.respawning = false;
+        var worker = manager.workers[0];
+        fixtures.exitWorker(manager, worker, 1, null);
+        expect(manager._ageTimers[worker.id]).to.not.exist();
+        clock.tick(20000);
+        expect(manager.recycleWorker.calledWith(worker)).to.be.false();
+        done();
+      });
+
+      it('should not recycle by age by default', function (done) {
+        var other = new ClusterManager({ worker: noop, numWorkers: 1 });
+        other.createWorker();
+        expect(other._ageTimers).to.deep.equal({});
+        done();
+      });
+    }); // end 'maxWorkerAge'
+
+    describe('recycleWorker', function () {
+      it('should recycle a worker once its failed replacement is over', function (done) {
+        var worker = manager.workers[0];
+        manager.replaceWorker(worker);
+        manager.recycleWorker(worker, 'reached maximum age of 10500ms');
+        expect(manager.recycling[worker.id]).to.not.exist();
+        fixtures.exitWorker(manager, manager.workers[2], 1, null);
+        expect(manager.recycling[worker.id]).to.be.true();
+        expect(manager.workers.length).to.equal(3);
+        done();
+      });
+
+      it('should not recycle a replacement before it has taken over', function (done) {
+        var worker = manager.workers[0];
+        manager.recycleWorker(worker, 'reached maximum age of 10500ms');
+        manager.recycleWorker(manager.workers[2], 'reached maximum of 100 units');
+        expect(manager.workers.length).to.equal(3);
+        fixtures.exitWorker(manager, manager.workers[2], 1, null);
+        expect(manager.workers.length).to.equal(2);
+        done();
+      });
+    }); // end 'recycleWorker'
+
+    describe('maxWorkUnits', function () {
+      var send;
+
+      beforeEach(function (done) {
+        send = process.send;
+        process.send = sinon.spy();
+        done();
+      });
+
+      afterEach(function (done) {
+        process.send = send;
+        done();
+      });
+
+      it('should count units of work', function (done) {
+        manager.countWork();
+        manager.countWork(5);
+        expect(manager.workUnits).to.equal(6);
+        done();
+      });
+
+      it('should ask the master for a recycle at the limit', function (done) {
+        manager.countWork(99);
+        expect(process.send.callCount).to.equal(0);
+        manager.countWork();
+        expect(process.send.calledWith(message.create(
+          'recycle',
+          'reached maximum of 100 units of work'
+        ))).to.be.true();
+        done();
+      });
+
+      it('should only ask for a recycle once', function (done) {
+        manager.countWork(150);
+        manager.countWork(150);
+        expect(process.send.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should not ask for a recycle without a limit', function (done) {
+        delete manager.options.maxWorkUnits;
+        manager.countWork(1000);
+        expect(process.send.callCount).to.equal(0);
+        done();
+      });
+
+      it('should recycle workers that ask for it', function (done) {
+        var worker = manager.workers[1];
+        manager.cluster.emit('message', worker, message.create(
+          'recycle',
+          'reached maximum of 100 units of work'
+        ));
+        expect(manager.recycleWorker.calledWith(
+          worker,
+          'reached maximum of 100 units of work'
+        )).to.be.true();
+        expect(manager.workers.length).to.equal(3);
+        done();
+      });
+    }); // end 'maxWorkUnits'
+  }); // end 'recycle'
+}); // end 'cluster-man'
@@ -0,0 +1,308 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var EventEmitter = require('events').EventEmitter;
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+
+describe('cluster-man', function () {
+  describe('reload', function () {
+    var manager;
+    var clock;
+    var numWorkers = 2;
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      manager = new ClusterManager({
+        worker: noop,
+        numWorkers: numWorkers,
+        gracePeriod: 500,
+        shutdownTimeoutMs: 100
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      manager._startMaster();
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      clock.restore();
+      done();
+    });
+
+    describe('retireWorker', function () {
+      it('should disconnect the worker', function (done) {
+        var worker = manager.workers[0];
+        manager.retireWorker(worker);
+        expect(worker.disconnect.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should kill the worker after the grace period', function (done) {
+        var worker = manager.workers[0];
+        manager.retireWorker(worker);
+        clock.tick(499);
+        expect(worker.process.kill.callCount).to.equal(0);
+        clock.tick(1);
+        expect(worker.process.kill.calledWith('SIGKILL')).to.be.true();
+        done();
+      });
+
+      it('should give the shutdown hooks of the worker time to complete', function (done) {
+        var worker = manager.workers[0];
+        manager.options.shutdownTimeoutMs = 2000;
+        manager.retireWorker(worker);
+        clock.tick(1999);
+        expect(worker.process.kill.callCount).to.equal(0);
+        clock.tick(1);
+        expect(worker.process.kill.calledWith('SIGKILL')).to.be.true();
+        done();
+      });
+
+      it('should not kill a worker that exits in time', function (done) {
+        var worker = manager.workers[0];
+        var cb = sinon.spy();
+        manager.retireWorker(worker, cb);
+        fixtures.exitWorker(manager, worker, 0, null);
+        clock.tick(500);
+        expect(worker.process.kill.callCount).to.equal(0);
+        expect(cb.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should not treat the exit as a failure', function (done) {
+        var worker = manager.workers[0];
+        manager.retireWorker(worker);
+        fixtures.exitWorker(manager, worker, 0, null);
+        clock.tick(10000);
+        expect(manager.crashes.length).to.equal(0);
+        expect(manager.workers.length).to.equal(numWorkers - 1);
+        expect(manager.retiring[worker.id]).to.not.exist();
+        done();
+      });
+
+      it('should not exit the master when the last worker is retired', function (done) {
+        manager.respawning = false;
+        manager.workers.slice().forEach(function (worker) {
+          manager.retireWorker(worker);
+          fixtures.exitWorker(manager, worker, 0, null);
+        });
+        expect(manager._exitMaster.callCount).to.equal(0);
+        done();
+      });
+
+      it('should immediately call back for untracked workers', function (done) {
+        var worker = new EventEmitter();
+        worker.disconnect = sinon.spy();
+        manager.retireWorker(worker, function () {
+          expect(worker.disconnect.callCount).to.equal(0);
+          done();
+        });
+      });
+    }); // end 'retireWorker'
+
+    describe('replaceWorker', function () {
+      it('should retire the old worker once the new one is listening', function (done) {
+        var oldWorker = manager.workers[0];
+        manager.replaceWorker(oldWorker, function (err, worker) {
+          expect(err).to.not.exist();
+          expect(worker.id).to.equal(numWorkers + 1);
+          done();
+        });
+        var newWorker = manager.workers[numWorkers];
+        expect(oldWorker.disconnect.callCount).to.equal(0);
+        newWorker.emit('listening', {});
+        expect(oldWorker.disconnect.calledOnce).to.be.true();
+        fixtures.exitWorker(manager, oldWorker, 0, null);
+      });
+
+      it('should fail if the new worker exits before listening', function (done) {
+        var oldWorker = manager.workers[0];
+        manager.replaceWorker(oldWorker, function (err) {
+          expect(err.message).to.match(/exited before listening/);
+          expect(oldWorker.disconnect.callCount).to.equal(0);
+          done();
+        });
+        fixtures.exitWorker(manager, manager.workers[numWorkers], 1, null);
+      });
+
+      it('should retire the old worker once a new worker that does not listen has started', function (done) {
+        var oldWorker = manager.workers[0];
+        manager.replaceWorker(oldWorker, function (err, worker) {
+          expect(err).to.not.exist();
+          expect(worker).to.equal(newWorker);
+          done();
+        });
+        var newWorker = manager.workers[numWorkers];
+        manager.cluster.emit('online', newWorker);
+        clock.tick(9999);
+        expect(oldWorker.disconnect.callCount).to.equal(0);
+        clock.tick(1);
+        expect(oldWorker.disconnect.calledOnce).to.be.true();
+        expect(newWorker.process.kill.callCount).to.equal(0);
+        fixtures.exitWorker(manager, oldWorker, 0, null);
+      });
+
+      it('should kill the new worker if it does not start in time', function (done) {
+        var oldWorker = manager.workers[0];
+        manager.replaceWorker(oldWorker, function (err) {
+          expect(err.message).to.equal(
+            'Replacement worker 3 did not start listening within 10000ms.'
+          );
+          expect(newWorker.process.kill.calledWith('SIGKILL')).to.be.true();
+          expect(oldWorker.disconnect.callCount).to.equal(0);
+          done();
+        });
+        var newWorker = manager.workers[numWorkers];
+        clock.tick(10000);
+      });
+
+      it('should kill the new worker if it does not become ready in time', function (done) {
+        manager.options.awaitReady = true;
+        manager.options.replaceTimeoutMs = 500;
+        manager.replaceWorker(manager.workers[0], function (err) {
+          expect(err.message).to.equal(
+            'Replacement worker 3 did not become ready within 500ms.'
+          );
+          expect(newWorker.process.kill.calledWith('SIGKILL')).to.be.true();
+          done();
+        });
+        var newWorker = manager.workers[numWorkers];
+        manager.cluster.emit('online', newWorker);
+        clock.tick(500);
+      });
+
+      it('should hand the slot of a worker that crashes to its replacement', function (done) {
+        var oldWorker = manager.workers[0];
+        var other = manager.workers[1];
+        manager.replaceWorker(oldWorker, function (err, worker) {
+          expect(err).to.not.exist();
+          expect(manager.workers).to.deep.equal([other, worker]);
+          expect(manager.cluster.fork.callCount).to.equal(numWorkers + 1);
+          done();
+        });
+        var newWorker = manager.workers[numWorkers];
+        fixtures.exitWorker(manager, oldWorker, 1, null);
+        clock.tick(1000);
+        expect(manager.cluster.fork.callCount).to.equal(numWorkers + 1);
+        newWorker.emit('listening', {});
+      });
+    }); // end 'replaceWorker'
+
+    describe('reload', function () {
+      it('should replace workers one at a time', function (done) {
+        var oldWorkers = manager.workers.slice();
+        manager.reload(function (err) {
+          expect(err).to.not.exist();
+          expect(manager.reloading).to.be.false();
+          expect(manager.workers.length).to.equal(numWorkers);
+          manager.workers.forEach(function (worker) {
+            expect(oldWorkers).to.not.contain(worker);
+          });
+          done();
+        });
+        expect(manager.reloading).to.be.true();
+        oldWorkers.forEach(function (oldWorker) {
+          var newWorker = manager.workers[manager.workers.length - 1];
+          expect(manager.workers.length).to.equal(numWorkers + 1);
+          newWorker.emit('listening', {});
+          fixtures.exitWorker(manager, oldWorker, 0, null);
+        });
+      });
+
+      it('should skip workers that died during the reload', function (done) {
+        var oldWorkers = manager.workers.slice();
+        manager.reload(function (err) {
+          expect(err).to.not.exist();
+          expect(manager.cluster.fork.callCount).to.equal(numWorkers + 1);
+          done();
+        });
+        manager.respawning = false;
+        fixtures.exitWorker(manager, oldWorkers[1], 1, null);
+        manager.workers[manager.workers.length - 1].emit('listening', {});
+        fixtures.exitWorker(manager, oldWorkers[0], 0, null);
+      });
+
+      it('should respawn workers that crash during the reload', function (done) {
+        var oldWorkers = manager.workers.slice();
+        manager.reload(function (err) {
+          expect(err).to.not.exist();
+          expect(manager.workers.length).to.equal(numWorkers);
+          expect(manager.cluster.fork.callCount).to.equal(numWorkers + 2);
+          done();
+        });
+        var newWorker = manager.workers[numWorkers];
+        fixtures.exitWorker(manager, oldWorkers[1], 1, null);
+        clock.tick(1000);
+        expect(manager.workers.length).to.equal(numWorkers + 1);
+        newWorker.emit('listening', {});
+        fixtures.exitWorker(manager, oldWorkers[0], 0, null);
+      });
+
+      it('should skip workers that are already being replaced', function (done) {
+        var oldWorkers = manager.workers.slice();
+        manager.recycleWorker(oldWorkers[0], 'reached maximum age of 10500ms');
+        manager.reload(function (err) {
+          expect(err).to.not.exist();
+          expect(manager.cluster.fork.callCount).to.equal(numWorkers + 2);
+          done();
+        });
+        manager.workers[manager.workers.length - 1].emit('listening', {});
+        fixtures.exitWorker(manager, oldWorkers[1], 0, null);
+      });
+
+      it('should not start a second concurrent reload', function (done) {
+        manager.reload();
+        manager.reload(function (err) {
+          expect(err.message).to.equal('Reload already in progress.');
+          done();
+        });
+      });
+
+      it('should stop and report replacement failures', function (done) {
+        var errorSpy = sinon.spy(manager.log, 'error');
+        manager.reload(function (err) {
+          expect(err).to.exist();
+          expect(manager.reloading).to.be.false();
+          expect(errorSpy.calledWithMatch('Reload failed')).to.be.true();
+          done();
+        });
+        fixtures.exitWorker(manager, manager.workers[numWorkers], 1, null);
+      });
+
+      it('should allow another reload once a replacement timed out', function (done) {
+        var errorSpy = sinon.spy(manager.log, 'error');
+        manager.reload(function (err) {
+          expect(err.message).to.match(/did not start listening/);
+          expect(manager.reloading).to.be.false();
+          expect(errorSpy.calledWithMatch('Reload failed')).to.be.true();
+          var cb = sinon.spy();
+          manager.reload(cb);
+          expect(manager.reloading).to.be.true();
+          expect(cb.callCount).to.equal(0);
+          done();
+        });
+        clock.tick(10000);
+      });
+
+      it('should reload when the master receives SIGHUP', function (done) {
+        sinon.stub(manager, 'reload');
+        process.emit('SIGHUP');
+        expect(manager.reload.calledOnce).to.be.true();
+        done();
+      });
+    }); // end 'reload'
+  }); // end 'reload'
+}); // end 'cluster-man'
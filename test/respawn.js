@@ -0,0 +1,139 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+
+describe('cluster-man', function () {
+  describe('respawn', function () {
+    var manager;
+    var clock;
+    var numWorkers = 3;
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      manager = new ClusterManager({
+        worker: noop,
+        numWorkers: numWorkers,
+        respawnDelay: 100,
+        maxRespawnDelay: 1000,
+        crashLoopCount: 4,
+        crashLoopWindow: 10000
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      manager._startMaster();
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      clock.restore();
+      done();
+    });
+
+    it('should respawn by default', function (done) {
+      expect(new ClusterManager(noop).respawning).to.be.true();
+      done();
+    });
+
+    it('should replace a worker that exits unexpectedly', function (done) {
+      manager.cluster.emit('exit', manager.workers[0], 1, null);
+      expect(manager.workers.length).to.equal(numWorkers - 1);
+      clock.tick(100);
+      expect(manager.workers.length).to.equal(numWorkers);
+      expect(manager.cluster.fork.callCount).to.equal(numWorkers + 1);
+      done();
+    });
+
+    it('should replace every dead worker with a single respawn', function (done) {
+      manager.cluster.emit('exit', manager.workers[0], 1, null);
+      manager.cluster.emit('exit', manager.workers[0], 1, null);
+      clock.tick(200);
+      expect(manager.workers.length).to.equal(numWorkers);
+      done();
+    });
+
+    it('should not respawn above `numWorkers`', function (done) {
+      manager.cluster.emit('exit', manager.workers[0], 1, null);
+      manager.createWorker();
+      clock.tick(100);
+      expect(manager.workers.length).to.equal(numWorkers);
+      done();
+    });
+
+    it('should back off exponentially on repeated crashes', function (done) {
+      manager.cluster.emit('exit', manager.workers[0], 1, null);
+      clock.tick(100);
+      manager.cluster.emit('exit', manager.workers[0], 1, null);
+      clock.tick(100);
+      expect(manager.workers.length).to.equal(numWorkers - 1);
+      clock.tick(100);
+      expect(manager.workers.length).to.equal(numWorkers);
+      done();
+    });
+
+    it('should cap the respawn delay at `maxRespawnDelay`', function (done) {
+      manager.crashes = [1, 2, 3, 4, 5, 6, 7, 8];
+      expect(manager._getRespawnDelay()).to.equal(1000);
+      done();
+    });
+
+    it('should forget crashes outside of the crash loop window', function (done) {
+      manager.cluster.emit('exit', manager.workers[0], 1, null);
+      clock.tick(20000);
+      manager.cluster.emit('exit', manager.workers[0], 1, null);
+      expect(manager.crashes.length).to.equal(1);
+      expect(manager._getRespawnDelay()).to.equal(100);
+      done();
+    });
+
+    it('should not exit the master when all workers die', function (done) {
+      manager.workers.slice().forEach(function (worker) {
+        manager.cluster.emit('exit', worker, 1, null);
+      });
+      expect(manager._exitMaster.callCount).to.equal(0);
+      clock.tick(400);
+      expect(manager.workers.length).to.equal(numWorkers);
+      done();
+    });
+
+    describe('crash loop', function () {
+      beforeEach(function (done) {
+        for (var i = 0; i < 4; i++) {
+          manager.cluster.emit('exit', manager.workers[0], 1, null);
+          clock.tick(100 * Math.pow(2, i));
+        }
+        done();
+      });
+
+      it('should exit the master with a descriptive error', function (done) {
+        expect(manager._exitMaster.calledOnce).to.be.true();
+        var err = manager._exitMaster.firstCall.args[0];
+        expect(err).to.be.an.instanceof(Error);
+        expect(err.message).to.match(/^Crash loop detected: 4 workers crashed/);
+        done();
+      });
+
+      it('should stop respawning workers', function (done) {
+        var forks = manager.cluster.fork.callCount;
+        expect(manager.respawning).to.be.false();
+        manager.cluster.emit('exit', manager.workers[0], 1, null);
+        clock.tick(10000);
+        expect(manager.cluster.fork.callCount).to.equal(forks);
+        done();
+      });
+    }); // end 'crash loop'
+  }); // end 'respawn'
+}); // end 'cluster-man'
@@ -0,0 +1,264 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var EventEmitter = require('events').EventEmitter;
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var Rpc = require('../lib/rpc');
+var message = require('../lib/message');
+
+describe('cluster-man', function () {
+  describe('rpc', function () {
+    var master;
+    var worker;
+    var workerManager;
+    var send;
+
+    beforeEach(function (done) {
+      master = new ClusterManager({
+        worker: noop,
+        numWorkers: 1,
+        rpcTimeout: 50
+      });
+      workerManager = new ClusterManager({ worker: noop, rpcTimeout: 50 });
+      workerManager.cluster = { isMaster: false };
+
+      // Loop messages back and forth between the master and worker managers
+      sinon.stub(master.cluster, 'fork', function () {
+        var w = new EventEmitter();
+        w.id = 1;
+        w.process = { kill: noop };
+        w.isConnected = function () { return true; };
+        w.send = function (msg) {
+          // Messages are serialized like they are over IPC
+          msg = JSON.parse(JSON.stringify(msg));
+          setImmediate(function () {
+            process.emit('message', msg);
+          });
+        };
+        return w;
+      });
+      send = process.send;
+      process.send = function (msg) {
+        msg = JSON.parse(JSON.stringify(msg));
+        setImmediate(function () {
+          master.cluster.emit('message', worker, msg);
+        });
+      };
+
+      sinon.stub(master, '_exitMaster');
+      master._startMaster();
+      workerManager._startWorker();
+      worker = master.workers[0];
+      done();
+    });
+
+    afterEach(function (done) {
+      process.send = send;
+      master._stopRespawning();
+      master._unbindSignals();
+      master.cluster.fork.restore();
+      master.cluster.removeAllListeners();
+      workerManager._unbindProcessMessages();
+      done();
+    });
+
+    describe('master to worker', function () {
+      it('should resolve with the result of the handler', function (done) {
+        workerManager.handle('add', function (a, b) {
+          return a + b;
+        });
+        master.call(worker.id, 'add', [1, 2]).then(function (result) {
+          expect(result).to.equal(3);
+          done();
+        }).catch(done);
+      });
+
+      it('should resolve with the result of a promise', function (done) {
+        workerManager.handle('later', function () {
+          return Promise.resolve('done');
+        });
+        master.call(worker.id, 'later').then(function (result) {
+          expect(result).to.equal('done');
+          done();
+        }).catch(done);
+      });
+
+      it('should reject with errors thrown by the handler', function (done) {
+        workerManager.handle('fail', function () {
+          var err = new TypeError('bad input');
+          err.code = 'EBAD';
+          throw err;
+        });
+        master.call(worker.id, 'fail').then(function () {
+          done(new Error('Expected the call to fail'));
+        }).catch(function (err) {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.name).to.equal('TypeError');
+          expect(err.message).to.equal('bad input');
+          expect(err.code).to.equal('EBAD');
+          expect(err.stack).to.match(/TypeError: bad input\n\s+at /);
+          done();
+        });
+      });
+
+      it('should reject results that can not be sent', function (done) {
+        workerManager.handle('circular', function () {
+          var o = {};
+          o.self = o;
+          return o;
+        });
+        master.call(worker.id, 'circular').catch(function (err) {
+          expect(err.message)
+            .to.match(/^Cannot send the result of "circular": /);
+          done();
+        });
+      });
+
+      it('should reject calls to methods without a handler', function (done) {
+        master.call(worker.id, 'missing').catch(function (err) {
+          expect(err.message)
+            .to.equal('No handler registered for method "missing".');
+          done();
+        });
+      });
+
+      it('should reject calls to unknown workers', function (done) {
+        master.call(42, 'add').catch(function (err) {
+          expect(err.message).to.equal('Unknown worker: 42');
+          done();
+        });
+      });
+
+      it('should reject calls that time out', function (done) {
+        workerManager.handle('slow', function () {
+          return new Promise(noop);
+        });
+        master.call(worker.id, 'slow').catch(function (err) {
+          expect(err.message).to.equal('Call to "slow" timed out after 50ms.');
+          expect(master.rpc.pending).to.deep.equal({});
+          done();
+        });
+      });
+
+      it('should reject pending calls when the worker exits', function (done) {
+        workerManager.handle('slow', function () {
+          return new Promise(noop);
+        });
+        master.call(worker.id, 'slow').catch(function (err) {
+          expect(err.message)
+            .to.equal('Call to "slow" failed: worker 1 exited.');
+          done();
+        });
+        master._stopRespawning();
+        master.cluster.emit('exit', worker, 1, null);
+      });
+
+      it('should reject calls to disconnected workers', function (done) {
+        worker.isConnected = function () { return false; };
+        master.call(worker.id, 'add').catch(function (err) {
+          expect(err.message)
+            .to.equal('Cannot call "add": target is not connected.');
+          done();
+        });
+      });
+
+      it('should ignore responses to unknown calls', function (done) {
+        master._receive(worker, message.create('rpc-response', {
+          id: 'unknown',
+          result: 1
+        }));
+        done();
+      });
+    }); // end 'master to worker'
+
+    describe('worker to master', function () {
+      it('should resolve with the result of the handler', function (done) {
+        master.handle('whoami', function (greeting) {
+          return greeting + ' ' + this.id;
+        });
+        workerManager.call('whoami', ['worker']).then(function (result) {
+          expect(result).to.equal('worker 1');
+          done();
+        }).catch(done);
+      });
+
+      it('should not interfere with application messages', function (done) {
+        process.once('message', function (msg) {
+          expect(msg).to.deep.equal({ cmd: 'app' });
+          done();
+        });
+        worker.send({ cmd: 'app' });
+      });
+
+      it('should not take down the master with results that can not be sent', function (done) {
+        master.handle('circular', function () {
+          var o = {};
+          o.self = o;
+          return o;
+        });
+        workerManager.call('circular').catch(function (err) {
+          expect(err.message)
+            .to.match(/^Cannot send the result of "circular": /);
+          expect(master._exitMaster.called).to.be.false();
+          done();
+        });
+      });
+    }); // end 'worker to master'
+
+    describe('Rpc', function () {
+      it('should serialize non-error values', function (done) {
+        expect(Rpc.serializeError('oops')).to.deep.equal({
+          name: 'Error',
+          message: 'oops'
+        });
+        done();
+      });
+
+      it('should deserialize errors without a stack', function (done) {
+        var err = Rpc.deserializeError({ name: 'Error', message: 'oops' });
+        expect(err.message).to.equal('oops');
+        expect(err.stack).to.exist();
+        done();
+      });
+
+      it('should namespace correlation ids by process', function (done) {
+        var rpc = new Rpc(10);
+        var target = { send: sinon.spy() };
+        rpc.call(target, 'method').catch(noop);
+        var request = target.send.firstCall.args[0].data;
+        expect(request.id).to.equal(process.pid + ':1');
+        done();
+      });
+
+      it('should only cancel the calls made to a target', function (done) {
+        var rpc = new Rpc(1000);
+        var first = { send: sinon.spy() };
+        var second = { send: sinon.spy() };
+        var rejected = sinon.spy();
+        rpc.call(first, 'method').catch(rejected);
+        rpc.call(second, 'method').catch(rejected);
+        rpc.cancel(first, 'worker exited');
+        expect(Object.keys(rpc.pending).length).to.equal(1);
+        rpc.cancel(second, 'worker exited');
+        expect(rpc.pending).to.be.empty();
+        setImmediate(function () {
+          expect(rejected.calledTwice).to.be.true();
+          expect(rejected.args[0][0].message)
+            .to.equal('Call to "method" failed: worker exited');
+          done();
+        });
+      });
+    }); // end 'Rpc'
+  }); // end 'rpc'
+}); // end 'cluster-man'
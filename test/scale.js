@@ -0,0 +1,210 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+
+describe('cluster-man', function () {
+  describe('scaling', function () {
+    var manager;
+    var clock;
+    var numWorkers = 3;
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      manager = new ClusterManager({
+        worker: noop,
+        numWorkers: numWorkers,
+        respawnDelay: 100
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      manager._startMaster();
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      clock.restore();
+      done();
+    });
+
+    describe('scaleTo', function () {
+      it('should throw if not given a positive integer', function (done) {
+        [0, -1, 1.5, '2', null].forEach(function (value) {
+          expect(function () {
+            manager.scaleTo(value);
+          }).to.throw(Error, 'Number of workers must be a positive integer.');
+        });
+        done();
+      });
+
+      it('should fork workers when scaling up', function (done) {
+        manager.scaleTo(5, function (err) {
+          expect(err).to.not.exist();
+          expect(manager.workers.length).to.equal(5);
+          expect(manager.options.numWorkers).to.equal(5);
+          done();
+        });
+      });
+
+      it('should retire the newest workers when scaling down', function (done) {
+        var workers = manager.workers.slice();
+        manager.scaleTo(1, function (err) {
+          expect(err).to.not.exist();
+          expect(manager.workers).to.deep.equal([workers[0]]);
+          done();
+        });
+        expect(manager.options.numWorkers).to.equal(1);
+        expect(workers[0].disconnect.callCount).to.equal(0);
+        expect(workers[1].disconnect.calledOnce).to.be.true();
+        expect(workers[2].disconnect.calledOnce).to.be.true();
+        fixtures.exitWorker(manager, workers[2], 0, null);
+        fixtures.exitWorker(manager, workers[1], 0, null);
+      });
+
+      it('should not treat scaled down workers as failures', function (done) {
+        var workers = manager.workers.slice();
+        manager.scaleTo(1);
+        fixtures.exitWorker(manager, workers[1], 0, null);
+        fixtures.exitWorker(manager, workers[2], 0, null);
+        clock.tick(10000);
+        expect(manager.crashes.length).to.equal(0);
+        expect(manager.cluster.fork.callCount).to.equal(numWorkers);
+        done();
+      });
+
+      it('should not exit the master while scaling down', function (done) {
+        manager.respawning = false;
+        var workers = manager.workers.slice();
+        manager.scaleTo(1);
+        fixtures.exitWorker(manager, workers[2], 0, null);
+        fixtures.exitWorker(manager, workers[1], 1, 'SIGKILL');
+        expect(manager._exitMaster.callCount).to.equal(0);
+        expect(manager.workers).to.deep.equal([workers[0]]);
+        done();
+      });
+
+      it('should respawn crashed workers up to the new size', function (done) {
+        manager.scaleTo(2);
+        fixtures.exitWorker(manager, manager.workers[2], 0, null);
+        fixtures.exitWorker(manager, manager.workers[0], 1, null);
+        clock.tick(100);
+        expect(manager.workers.length).to.equal(2);
+        done();
+      });
+
+      it('should not count retiring workers when scaling', function (done) {
+        var workers = manager.workers.slice();
+        manager.scaleTo(2);
+        manager.scaleTo(3);
+        expect(manager.workers.length).to.equal(4);
+        expect(manager.activeWorkers()).to.not.contain(workers[2]);
+        done();
+      });
+
+      it('should not count replacements when scaling down', function (done) {
+        var workers = manager.workers.slice();
+        manager.replaceWorker(workers[0]);
+        var replacement = manager.workers[numWorkers];
+        manager.scaleTo(2);
+        expect(workers[2].disconnect.calledOnce).to.be.true();
+        expect(workers[1].disconnect.called).to.be.false();
+        replacement.emit('listening', {});
+        fixtures.exitWorker(manager, workers[0], 0, null);
+        fixtures.exitWorker(manager, workers[2], 0, null);
+        expect(manager.workers).to.deep.equal([workers[1], replacement]);
+        done();
+      });
+
+      it('should not count replacements when scaling up', function (done) {
+        var workers = manager.workers.slice();
+        manager.replaceWorker(workers[0]);
+        var replacement = manager.workers[numWorkers];
+        manager.scaleTo(4);
+        expect(manager.cluster.fork.callCount).to.equal(5);
+        replacement.emit('listening', {});
+        fixtures.exitWorker(manager, workers[0], 0, null);
+        expect(manager.workers.length).to.equal(4);
+        done();
+      });
+
+      it('should retire the replacement of a worker it scales away', function (done) {
+        var workers = manager.workers.slice();
+        var replaced = sinon.spy();
+        manager.replaceWorker(workers[2], replaced);
+        var replacement = manager.workers[numWorkers];
+        manager.scaleTo(2, function () {
+          expect(replaced.args[0][0].message).to.match(/exited before/);
+          expect(workers[1].disconnect.called).to.be.false();
+          expect(manager.workers).to.deep.equal(workers.slice(0, 2));
+          done();
+        });
+        expect(replacement.disconnect.calledOnce).to.be.true();
+        replacement.emit('listening', {});
+        expect(manager.retiring[workers[1].id]).to.not.exist();
+        fixtures.exitWorker(manager, replacement, 0, null);
+        fixtures.exitWorker(manager, workers[2], 0, null);
+      });
+
+      it('should not scale while shutting down', function (done) {
+        manager.shutdown();
+        manager.scaleTo(5, function (err) {
+          expect(err.message).to.equal('Cluster is shutting down.');
+          expect(manager.cluster.fork.callCount).to.equal(numWorkers);
+          done();
+        });
+      });
+    }); // end 'scaleTo'
+
+    describe('scaleUp', function () {
+      it('should add a single worker by default', function (done) {
+        manager.scaleUp(function () {
+          expect(manager.workers.length).to.equal(numWorkers + 1);
+          done();
+        });
+      });
+
+      it('should add the given number of workers', function (done) {
+        manager.scaleUp(2);
+        expect(manager.workers.length).to.equal(numWorkers + 2);
+        done();
+      });
+
+      it('should handle `numWorkers` from the environment', function (done) {
+        manager.options.numWorkers = '3';
+        manager.scaleUp();
+        expect(manager.options.numWorkers).to.equal(4);
+        done();
+      });
+    }); // end 'scaleUp'
+
+    describe('scaleDown', function () {
+      it('should remove a single worker by default', function (done) {
+        var worker = manager.workers[numWorkers - 1];
+        manager.scaleDown(function () {
+          expect(manager.workers.length).to.equal(numWorkers - 1);
+          done();
+        });
+        fixtures.exitWorker(manager, worker, 0, null);
+      });
+
+      it('should remove the given number of workers', function (done) {
+        manager.scaleDown(2);
+        expect(manager.activeWorkers().length).to.equal(numWorkers - 2);
+        done();
+      });
+    }); // end 'scaleDown'
+  }); // end 'scaling'
+}); // end 'cluster-man'
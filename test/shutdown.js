@@ -0,0 +1,133 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+
+describe('cluster-man', function () {
+  describe('shutdown', function () {
+    var manager;
+    var clock;
+    var numWorkers = 3;
+
+    beforeEach(function (done) {
+      clock = sinon.useFakeTimers();
+      manager = new ClusterManager({
+        worker: noop,
+        numWorkers: numWorkers,
+        gracePeriod: 500,
+        shutdownTimeoutMs: 100
+      });
+      fixtures.stubFork(manager);
+      sinon.stub(manager, '_exitMaster');
+      manager._startMaster();
+      done();
+    });
+
+    afterEach(function (done) {
+      fixtures.restore(manager);
+      clock.restore();
+      done();
+    });
+
+    it('should stop respawning workers', function (done) {
+      manager.shutdown();
+      expect(manager.shuttingDown).to.be.true();
+      expect(manager.respawning).to.be.false();
+      done();
+    });
+
+    it('should disconnect every worker', function (done) {
+      var workers = manager.workers.slice();
+      manager.shutdown();
+      workers.forEach(function (worker) {
+        expect(worker.disconnect.calledOnce).to.be.true();
+      });
+      done();
+    });
+
+    it('should exit the master once all workers have exited', function (done) {
+      var workers = manager.workers.slice();
+      manager.shutdown();
+      workers.forEach(function (worker) {
+        expect(manager._exitMaster.callCount).to.equal(0);
+        fixtures.exitWorker(manager, worker, 0, null);
+      });
+      expect(manager._exitMaster.calledOnce).to.be.true();
+      expect(manager._exitMaster.firstCall.args[0]).to.not.exist();
+      done();
+    });
+
+    it('should kill workers that do not exit within the grace period', function (done) {
+      var workers = manager.workers.slice();
+      manager.shutdown();
+      fixtures.exitWorker(manager, workers[0], 0, null);
+      clock.tick(500);
+      expect(workers[0].process.kill.callCount).to.equal(0);
+      expect(workers[1].process.kill.calledWith('SIGKILL')).to.be.true();
+      expect(workers[2].process.kill.calledWith('SIGKILL')).to.be.true();
+      fixtures.exitWorker(manager, workers[1], null, 'SIGKILL');
+      fixtures.exitWorker(manager, workers[2], null, 'SIGKILL');
+      expect(manager._exitMaster.calledOnce).to.be.true();
+      done();
+    });
+
+    it('should exit immediately if there are no workers', function (done) {
+      manager.workers = [];
+      manager.shutdown();
+      expect(manager._exitMaster.calledOnce).to.be.true();
+      done();
+    });
+
+    it('should ignore repeated shutdown requests', function (done) {
+      manager.shutdown();
+      manager.shutdown();
+      expect(manager.workers[0].disconnect.calledOnce).to.be.true();
+      done();
+    });
+
+    it('should not reload while shutting down', function (done) {
+      manager.shutdown();
+      manager.reload(function (err) {
+        expect(err.message).to.equal('Cluster is shutting down.');
+        done();
+      });
+    });
+
+    it('should abort a reload in progress', function (done) {
+      var oldWorker = manager.workers[0];
+      manager.reload(function (err) {
+        expect(err.message).to.equal('Cluster is shutting down.');
+        done();
+      });
+      manager.workers[numWorkers].emit('listening', {});
+      manager.shutdown();
+      fixtures.exitWorker(manager, oldWorker, 0, null);
+    });
+
+    it('should shut down when the master receives SIGTERM', function (done) {
+      sinon.stub(manager, 'shutdown');
+      process.emit('SIGTERM', 'SIGTERM');
+      expect(manager.shutdown.calledOnce).to.be.true();
+      done();
+    });
+
+    it('should shut down when the master receives SIGINT', function (done) {
+      sinon.stub(manager, 'shutdown');
+      process.emit('SIGINT', 'SIGINT');
+      expect(manager.shutdown.calledOnce).to.be.true();
+      done();
+    });
+  }); // end 'shutdown'
+}); // end 'cluster-man'
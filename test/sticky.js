@@ -0,0 +1,483 @@
+'use strict';
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var describe = lab.describe;
+var it = lab.it;
+var beforeEach = lab.beforeEach;
+var afterEach = lab.afterEach;
+var Code = require('code');
+var expect = Code.expect;
+var sinon = require('sinon');
+var noop = require('101/noop');
+var net = require('net');
+var EventEmitter = require('events').EventEmitter;
+
+require('loadenv')('cluster-man');
+var ClusterManager = require('../index.js');
+var fixtures = require('./fixtures/master');
+var message = require('../lib/message');
+var StickyBalancer = require('../lib/sticky');
+
+describe('cluster-man', function () {
+  describe('sticky', function () {
+    // Creates a fake worker that records the messages sent to it
+    function createWorker(id) {
+      var worker = new EventEmitter();
+      worker.id = id;
+      worker.send = sinon.spy();
+      worker.isConnected = function () { return true; };
+      worker.disconnect = sinon.spy();
+      worker.process = { pid: 1000 + id, kill: sinon.spy() };
+      return worker;
+    }
+
+    // Calls back once the check passes
+    function until(check, cb) {
+      if (check()) {
+        return cb();
+      }
+      setImmediate(function () {
+        until(check, cb);
+      });
+    }
+
+    describe('StickyBalancer', function () {
+      var manager;
+      var balancer;
+      var keys;
+
+      // Maps every key to the id of its worker
+      function assignments() {
+        return keys.map(function (key) {
+          var worker = balancer.pick(key);
+          return worker ? worker.id : null;
+        });
+      }
+
+      beforeEach(function (done) {
+        manager = {
+          workers: [1, 2, 3].map(createWorker),
+          retiring: {},
+          log: { warning: sinon.spy() },
+          _logFields: function () { return {}; }
+        };
+        balancer = new StickyBalancer(manager);
+        manager.workers.forEach(balancer.add, balancer);
+        keys = [];
+        for (var i = 0; i < 300; i++) {
+          keys.push('10.0.' + Math.floor(i / 256) + '.' + (i % 256));
+        }
+        done();
+      });
+
+      it('should hash consistently', function (done) {
+        expect(StickyBalancer.hash('')).to.equal(0x811c9dc5);
+        expect(StickyBalancer.hash('a')).to.equal(0xe40c292c);
+        expect(StickyBalancer.hash('foobar')).to.equal(0xbf9cf968);
+        done();
+      });
+
+      it('should always pick the same worker for a key', function (done) {
+        expect(assignments()).to.deep.equal(assignments());
+        done();
+      });
+
+      it('should spread keys over the workers', function (done) {
+        var counts = {};
+        assignments().forEach(function (id) {
+          counts[id] = (counts[id] || 0) + 1;
+        });
+        expect(Object.keys(counts).sort()).to.deep.equal(['1', '2', '3']);
+        Object.keys(counts).forEach(function (id) {
+          expect(counts[id]).to.be.above(50);
+        });
+        done();
+      });
+
+      it('should only remap the keys of removed workers', function (done) {
+        var before = assignments();
+        balancer.remove(manager.workers[1]);
+        assignments().forEach(function (id, i) {
+          if (before[i] === 2) {
+            expect(id).to.not.equal(2);
+          }
+          else {
+            expect(id).to.equal(before[i]);
+          }
+        });
+        done();
+      });
+
+      it('should only move keys to added workers', function (done) {
+        var before = assignments();
+        var worker = createWorker(4);
+        manager.workers.push(worker);
+        balancer.add(worker);
+        var moved = 0;
+        assignments().forEach(function (id, i) {
+          if (id !== before[i]) {
+            expect(id).to.equal(4);
+            moved++;
+          }
+        });
+        expect(moved).to.be.above(0);
+        done();
+      });
+
+      it('should not pick retiring workers', function (done) {
+        manager.retiring[1] = noop;
+        manager.retiring[2] = noop;
+        assignments().forEach(function (id) {
+          expect(id).to.equal(3);
+        });
+        done();
+      });
+
+      it('should not pick workers that are not ready', function (done) {
+        var other = new StickyBalancer(manager);
+        expect(other.pick('10.0.0.1')).to.be.null();
+        done();
+      });
+
+      it('should use the remote address as the default key', function (done) {
+        expect(balancer.key({ remoteAddress: '10.0.0.1' }))
+          .to.equal('10.0.0.1');
+        var key = function () {};
+        expect(new StickyBalancer(manager, key).key).to.equal(key);
+        done();
+      });
+
+      it('should listen without a callback', function (done) {
+        var other = new StickyBalancer(manager);
+        other.listen(0, '127.0.0.1');
+        other.server.once('listening', function () {
+          expect(other.listening).to.be.true();
+          expect(other.address().address).to.equal('127.0.0.1');
+          other.close();
+          done();
+        });
+      });
+
+      it('should pass listen errors to the callback', function (done) {
+        var server = net.createServer();
+        server.listen(0, '127.0.0.1', function () {
+          var other = new StickyBalancer(manager);
+          other.listen(server.address().port, '127.0.0.1', function (err) {
+            expect(err.code).to.equal('EADDRINUSE');
+            expect(other.listening).to.be.false();
+            expect(other.address()).to.deep.equal({
+              address: undefined,
+              port: undefined
+            });
+            server.close(done);
+          });
+        });
+      });
+
+      it('should close connections without a worker once closed', function (done) {
+        var socket = { remoteAddress: '10.0.0.1', destroy: sinon.spy() };
+        var other = new StickyBalancer(manager);
+        other._connection(socket);
+        expect(socket.destroy.calledOnce).to.be.true();
+        expect(other.pending).to.be.empty();
+        done();
+      });
+
+      it('should hold connections without a worker while listening', function (done) {
+        var sockets = [1, 2].map(function () {
+          var socket = new EventEmitter();
+          socket.remoteAddress = '10.0.0.1';
+          return socket;
+        });
+        var other = new StickyBalancer(manager);
+        other.listening = true;
+        sockets.forEach(other._connection, other);
+        expect(other.pending).to.deep.equal(sockets);
+        expect(manager.log.warning.calledOnce).to.be.true();
+        sockets[0].emit('close');
+        expect(other.pending).to.deep.equal([sockets[1]]);
+        other.add(manager.workers[0]);
+        expect(other.pending).to.be.empty();
+        sockets[1].emit('close');
+        expect(other.pending).to.be.empty();
+        expect(manager.workers[0].send.calledOnce).to.be.true();
+        done();
+      });
+    }); // end 'StickyBalancer'
+
+    describe('master', function () {
+      var manager;
+      var clients;
+
+      // Connects to the sticky port
+      function connect() {
+        var client = net.connect(
+          manager.balancer.address().port,
+          '127.0.0.1'
+        );
+        client.on('error', noop);
+        clients.push(client);
+        return client;
+      }
+
+      // Reports a worker as ready to receive sticky connections
+      function ready(worker) {
+        manager.message(worker, message.create('sticky-ready'));
+      }
+
+      // Sockets handed off to a worker
+      function handedOff(worker) {
+        return worker.send.args.filter(function (args) {
+          return message.typeOf(args[0]) === 'sticky-connection';
+        }).map(function (args) {
+          return args[1];
+        });
+      }
+
+      beforeEach(function (done) {
+        clients = [];
+        manager = new ClusterManager({
+          worker: noop,
+          numWorkers: 2,
+          stickyPort: 0,
+          stickyHost: '127.0.0.1'
+        });
+        var workerId = 0;
+        sinon.stub(manager.cluster, 'fork', function () {
+          return createWorker(++workerId);
+        });
+        sinon.stub(manager, '_exitMaster');
+        manager._startMaster();
+        manager.balancer.server.on('listening', function () {
+          done();
+        });
+      });
+
+      afterEach(function (done) {
+        clients.forEach(function (client) {
+          client.destroy();
+        });
+        manager.workers.forEach(function (worker) {
+          handedOff(worker).forEach(function (socket) {
+            socket.destroy();
+          });
+        });
+        fixtures.restore(manager);
+        manager.balancer.close();
+        done();
+      });
+
+      it('should hand off connections to a ready worker', function (done) {
+        var worker = manager.workers[1];
+        ready(worker);
+        connect();
+        until(function () {
+          return handedOff(worker).length === 1;
+        }, function () {
+          expect(handedOff(worker)[0]).to.be.an.instanceof(net.Socket);
+          expect(handedOff(manager.workers[0])).to.be.empty();
+          done();
+        });
+      });
+
+      it('should hand off connections of a key to the same worker', function (done) {
+        manager.workers.forEach(ready);
+        connect();
+        connect();
+        connect();
+        until(function () {
+          return manager.workers.some(function (worker) {
+            return handedOff(worker).length === 3;
+          });
+        }, done);
+      });
+
+      it('should hold connections until a worker is ready', function (done) {
+        var worker = manager.workers[0];
+        connect();
+        until(function () {
+          return manager.balancer.pending.length === 1;
+        }, function () {
+          expect(worker.send.called).to.be.false();
+          ready(worker);
+          expect(manager.balancer.pending).to.be.empty();
+          expect(handedOff(worker).length).to.equal(1);
+          done();
+        });
+      });
+
+      it('should treat ready workers as listening', function (done) {
+        var worker = manager.workers[0];
+        var listening = sinon.spy();
+        worker.on('listening', listening);
+        ready(worker);
+        expect(listening.calledWith({
+          address: '127.0.0.1',
+          port: manager.balancer.address().port
+        })).to.be.true();
+        expect(manager.metrics())
+          .to.contain('cluster_man_workers{state="listening"} 1\n');
+        done();
+      });
+
+      it('should replace workers once the replacement is ready', function (done) {
+        var worker = manager.workers[0];
+        manager.workers.forEach(ready);
+        manager.replaceWorker(worker, function (err, replacement) {
+          expect(err).to.not.exist();
+          expect(replacement.id).to.equal(3);
+          done();
+        });
+        expect(manager.balancer.pick('10.0.0.1')).to.not.equal(worker);
+        ready(manager.workers[2]);
+        worker.emit('exit', 0, null);
+        manager.cluster.emit('exit', worker, 0, null);
+      });
+
+      it('should stop handing off to workers that exit', function (done) {
+        var worker = manager.workers[0];
+        ready(worker);
+        manager.cluster.emit('exit', worker, 1, null);
+        expect(manager.balancer.ready[worker.id]).to.not.exist();
+        done();
+      });
+
+      it('should stop accepting connections on shutdown', function (done) {
+        connect();
+        until(function () {
+          return manager.balancer.pending.length === 1;
+        }, function () {
+          var socket = manager.balancer.pending[0];
+          manager.shutdown();
+          expect(manager.balancer.listening).to.be.false();
+          expect(manager.balancer.pending).to.be.empty();
+          expect(socket.destroyed).to.be.true();
+          done();
+        });
+      });
+
+      it('should use the sticky key', function (done) {
+        manager.balancer.key = sinon.stub().returns('user-1');
+        manager.workers.forEach(ready);
+        connect();
+        until(function () {
+          return manager.balancer.key.calledOnce;
+        }, function () {
+          expect(manager.balancer.key.args[0][0]).to.be.an.instanceof(net.Socket);
+          done();
+        });
+      });
+
+      it('should stop accepting connections when the master exits', function (done) {
+        manager._exitMaster.restore();
+        sinon.stub(manager, '_runShutdownHooks');
+        manager._exitMaster();
+        expect(manager.balancer.listening).to.be.false();
+        expect(manager._runShutdownHooks.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should log errors of the balancer', function (done) {
+        var other = new ClusterManager({
+          worker: noop,
+          stickyPort: manager.balancer.address().port,
+          stickyHost: '127.0.0.1'
+        });
+        sinon.stub(other.log, 'error', function (msg, fields) {
+          expect(msg).to.match(/^Sticky balancer failed: .*EADDRINUSE/);
+          expect(fields.event).to.equal('stickyError');
+          done();
+        });
+        other._startBalancer();
+      });
+
+      it('should ignore workers that are ready without a balancer', function (done) {
+        var other = new ClusterManager(noop);
+        var worker = createWorker(1);
+        var listening = sinon.spy();
+        worker.on('listening', listening);
+        other.message(worker, message.create('sticky-ready'));
+        expect(listening.called).to.be.false();
+        done();
+      });
+    }); // end 'master'
+
+    describe('worker', function () {
+      var manager;
+
+      beforeEach(function (done) {
+        manager = new ClusterManager(noop);
+        manager.cluster = { isMaster: false };
+        process.send = sinon.spy();
+        done();
+      });
+
+      afterEach(function (done) {
+        delete process.send;
+        done();
+      });
+
+      it('should tell the master it is ready', function (done) {
+        var server = new EventEmitter();
+        expect(manager.sticky(server)).to.equal(server);
+        expect(process.send.calledOnce).to.be.true();
+        expect(message.typeOf(process.send.args[0][0]))
+          .to.equal('sticky-ready');
+        done();
+      });
+
+      it('should pass connections to the server', function (done) {
+        var server = new EventEmitter();
+        var connection = sinon.spy();
+        var socket = { resume: sinon.spy(), destroy: sinon.spy() };
+        server.on('connection', connection);
+        manager.sticky(server);
+        manager._receive(
+          process, message.create('sticky-connection'), socket
+        );
+        expect(connection.calledWith(socket)).to.be.true();
+        expect(socket.resume.calledOnce).to.be.true();
+        expect(socket.destroy.called).to.be.false();
+        done();
+      });
+
+      it('should close connections without a server', function (done) {
+        var socket = { resume: sinon.spy(), destroy: sinon.spy() };
+        manager._receive(
+          process, message.create('sticky-connection'), socket
+        );
+        expect(socket.destroy.calledOnce).to.be.true();
+        done();
+      });
+
+      it('should ignore connection messages without a socket', function (done) {
+        var server = new EventEmitter();
+        var connection = sinon.spy();
+        server.on('connection', connection);
+        manager.sticky(server);
+        manager._receive(process, message.create('sticky-connection'));
+        expect(connection.called).to.be.false();
+        done();
+      });
+
+      it('should not serve sticky sessions on the master', function (done) {
+        var master = new ClusterManager(noop);
+        expect(function () {
+          master.sticky(new EventEmitter());
+        }).to.throw('Sticky sessions can only be served by workers.');
+        done();
+      });
+    }); // end 'worker'
+
+    it('should not support worker groups', function (done) {
+      expect(function () {
+        new ClusterManager({
+          stickyPort: 8080,
+          groups: { web: noop }
+        });
+      }).to.throw('Sticky sessions are not supported with worker groups.');
+      done();
+    });
+  }); // end 'sticky'
+}); // end 'cluster-man'